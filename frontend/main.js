@@ -12,8 +12,9 @@ import { TemperatureColors } from './modules/utils/temperature-colors.js';
 // Palette colors for canvas rendering
 import { init as initPaletteColors } from './modules/utils/palette-colors.js';
 
-// Unit toggle and app
+// Unit and alert language toggles, and app
 import { initUnitToggle } from './modules/ui/unit-toggle.js';
+import { initLanguageToggle } from './modules/ui/language-toggle.js';
 import { initPWAInstall } from './modules/ui/pwa-install.js';
 import { App } from './modules/app/index.js';
 
@@ -28,6 +29,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Initialize unit toggle UI
   initUnitToggle();
 
+  // Initialize alert language toggle UI
+  initLanguageToggle();
+
   // Initialize PWA install prompt (shows after first share)
   initPWAInstall();
 
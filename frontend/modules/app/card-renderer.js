@@ -14,7 +14,7 @@ export function createCardRenderer(app) {
 
   return {
     // Render all weather cards
-    async renderAllCards(weather, alerts = [], wxStory = null, locationName = null) {
+    async renderAllCards(weather, alerts = [], wxStory = null, locationName = null, sources = null) {
       // Increment render version - any in-flight renders with older versions will be discarded
       const thisRenderVersion = ++currentRenderVersion;
       const daily = weather?.daily || [];
@@ -31,9 +31,12 @@ export function createCardRenderer(app) {
       // Get timezone from weather data for displaying location's local time
       const timezone = weather?.timezone || null;
 
-      // Determine if NWS data with detailed forecasts
+      // Determine if NWS data (US-only products: SPC, WPC)
       const isNWS = weather.source === 'nws';
 
+      // Text forecast periods come from NWS and ECCC (not Open-Meteo)
+      const hasTextForecasts = daily.some(day => day.dayForecast || day.nightForecast);
+
       // Determine night mode: after sunset OR today's high is missing
       const now = new Date();
       const todaySunset = daily[0]?.sunset ? new Date(daily[0].sunset) : null;
@@ -47,21 +50,52 @@ export function createCardRenderer(app) {
       const conditionQuery = WeatherCards.getConditionQuery(weather.current.condition, weather.current.temperature);
       const backgroundsPromise = app.weatherLoader.fetchBackgrounds(conditionQuery, bgLocationOpts);
 
-      // Start radar fetch early for US locations (parallel with background)
-      const radarPromise = isNWS ? app.weatherLoader.fetchRadar(app.currentLocation?.lat, app.currentLocation?.lon) : null;
+      // Start radar fetch early (parallel with background)
+      // NOAA regions cover US territories too - Puerto Rico/USVI and Guam/CNMI
+      // map to the carib and guam regions; elsewhere the server falls back to
+      // a global composite
+      const radarPromise = app.weatherLoader.fetchRadar(app.currentLocation?.lat, app.currentLocation?.lon);
+
+      // Storm approach nowcast from the radar loop (NOAA radar only, resolves
+      // null when nothing is in range); the current and radar cards render
+      // without it and redraw once it arrives, so it never holds up the page
+      const nowcastPromise = radarPromise
+        .then(radarData => WeatherCards.computeStormNowcast(radarData, app.currentLocation?.lat, app.currentLocation?.lon))
+        .catch(e => {
+          console.warn('Storm nowcast failed:', e);
+          return null;
+        });
 
       // Start satellite fetch early (near-global coverage, all locations)
       const satellitePromise = app.weatherLoader.fetchSatellite(app.currentLocation?.lat, app.currentLocation?.lon);
 
+      // Start forecast discussion fetch early (any location with an NWS office)
+      const afdPromise = app.weatherLoader.fetchAfd(app.currentLocation?.nwsOffice);
+
+      // Start air quality fetch early (near-global CAMS coverage, all locations)
+      const airQualityPromise = app.weatherLoader.fetchAirQuality(app.currentLocation?.lat, app.currentLocation?.lon);
+
+      // Start pollen fetch early (resolves null outside European model coverage
+      // or when counts are negligible)
+      const pollenPromise = app.weatherLoader.fetchPollen(app.currentLocation?.lat, app.currentLocation?.lon);
+
       // Start SPC severe weather outlook fetch early (US only, resolves null
       // unless the location is inside a severe risk area)
       const spcPromise = isNWS ? app.weatherLoader.fetchSpc(app.currentLocation?.lat, app.currentLocation?.lon) : null;
 
+      // Start WPC excessive rainfall outlook fetch early (US only, resolves null
+      // unless the location is inside a flood risk area)
+      const eroPromise = isNWS ? app.weatherLoader.fetchEro(app.currentLocation?.lat, app.currentLocation?.lon) : null;
+
+      // Start NHC tropical cyclone fetch early (all locations; resolves null
+      // unless a storm's cone covers the location or its track passes nearby)
+      const nhcPromise = app.weatherLoader.fetchNhc(app.currentLocation?.lat, app.currentLocation?.lon);
+
       // For detailed cards, fetch backgrounds based on their specific conditions and temps
       let detailedBgs1Promise = null;
       let detailedBgs2Promise = null;
       let detailedBgs3Promise = null;
-      if (isNWS) {
+      if (hasTextForecasts) {
         if (isNightMode) {
           // Tonight + Tomorrow + Tomorrow Night
           const tonightForecast = daily[0]?.nightForecast;
@@ -139,6 +173,8 @@ export function createCardRenderer(app) {
             ends: alert.ends,
             instruction: alert.instruction,
             description: alert.description,
+            sections: alert.sections,
+            language: alert.language,
             senderName: alert.senderName
           };
           await WeatherCards.renderAlert(canvas, alertData, timezone);
@@ -148,25 +184,49 @@ export function createCardRenderer(app) {
         })());
       });
 
-      // Current conditions card (order: 1, depends on background)
+      // Current conditions card (order: 1, depends on background; the storm
+      // nowcast line is drawn in when it resolves)
       cardPromises.push((async () => {
         const backgrounds = await backgroundsPromise;
         const startIndex = backgrounds.length > 0 ? Math.floor(Math.random() * backgrounds.length) : -1;
         const background = startIndex >= 0 ? backgrounds[startIndex] : null;
         const canvas = document.createElement('canvas');
+        let nowcast = null;
+        let shownPhoto = background;
         await WeatherCards.renderCurrentConditions(canvas, weather, background?.url, background?.username, timezone);
         const rerender = async (photo) => {
-          await WeatherCards.renderCurrentConditions(canvas, weather, photo?.url, photo?.username, timezone);
+          shownPhoto = photo;
+          const drawnNowcast = nowcast;
+          await WeatherCards.renderCurrentConditions(canvas, weather, photo?.url, photo?.username, timezone, drawnNowcast);
+          // The nowcast arrived mid-render; draw it in unless another photo is showing
+          if (nowcast !== drawnNowcast && shownPhoto === photo) {
+            await WeatherCards.renderCurrentConditions(canvas, weather, photo?.url, photo?.username, timezone, nowcast);
+          }
         };
         const card = WeatherCards.createCardContainer(canvas, 'current', {
           photos: backgrounds, currentIndex: startIndex, rerender
         });
         this.addPhotoAttribution(card, background);
+        // Drawn off-screen and kept only if the photo hasn't changed meanwhile
+        // (a newer photo's render already includes the nowcast)
+        nowcastPromise.then(async result => {
+          if (!result) return;
+          nowcast = result;
+          const photo = shownPhoto;
+          const scratch = document.createElement('canvas');
+          await WeatherCards.renderCurrentConditions(scratch, weather, photo?.url, photo?.username, timezone, nowcast);
+          if (shownPhoto !== photo) return;
+          canvas.width = scratch.width;
+          canvas.height = scratch.height;
+          canvas.getContext('2d').drawImage(scratch, 0, 0);
+        }).catch(e => {
+          console.warn('Failed to draw storm nowcast:', e);
+        });
         return { order: 1, card };
       })());
 
-      // Detailed forecast cards (NWS only, order: 2-3, depend on their backgrounds)
-      if (isNWS) {
+      // Detailed forecast cards (NWS and ECCC, order: 2-3, depend on their backgrounds)
+      if (hasTextForecasts) {
         if (isNightMode) {
           // Tonight card (order: 2)
           const tonightForecast = daily[0]?.nightForecast;
@@ -344,12 +404,27 @@ export function createCardRenderer(app) {
           const startIndex = backgrounds.length > 0 ? Math.floor(Math.random() * backgrounds.length) : -1;
           const background = startIndex >= 0 ? backgrounds[startIndex] : null;
           const canvas = document.createElement('canvas');
-          await WeatherCards.renderHourlyForecast(canvas, weather, cityName, background?.url, background?.username, timezone);
-          const rerender = async (photo) => {
-            await WeatherCards.renderHourlyForecast(canvas, weather, cityName, photo?.url, photo?.username, timezone);
+          // Photo, page and window state shared by both navigations so each re-render keeps the others
+          let photo = background;
+          let page = 0;
+          let pageHours = WeatherCards.HOURLY_PAGE_WINDOWS[0];
+          const render = () => WeatherCards.renderHourlyForecast(canvas, weather, cityName, photo?.url, photo?.username, timezone, page, pageHours);
+          await render();
+          const rerender = async (newPhoto) => {
+            photo = newPhoto;
+            await render();
+          };
+          const rerenderPage = async (newPage, newPageHours) => {
+            page = newPage;
+            pageHours = newPageHours;
+            await render();
           };
           const card = WeatherCards.createCardContainer(canvas, 'hourly', {
             photos: backgrounds, currentIndex: startIndex, rerender
+          }, {
+            windows: WeatherCards.HOURLY_PAGE_WINDOWS,
+            pageCount: (size) => WeatherCards.getHourlyPageCount(weather, size),
+            rerender: rerenderPage
           });
           this.addPhotoAttribution(card, background);
           return { order: 5.5, card };
@@ -374,29 +449,138 @@ export function createCardRenderer(app) {
         return { order: 5.7, card };
       })());
 
+      // Air quality card (order: 5.75, depends on air quality data and background)
+      // Skipped when the location has no air-quality coverage
+      cardPromises.push((async () => {
+        const [airQuality, backgrounds] = await Promise.all([airQualityPromise, backgroundsPromise]);
+        if (!airQuality) return null;
+        const startIndex = backgrounds.length > 0 ? Math.floor(Math.random() * backgrounds.length) : -1;
+        const background = startIndex >= 0 ? backgrounds[startIndex] : null;
+        const canvas = document.createElement('canvas');
+        const result = await WeatherCards.renderAirQuality(canvas, airQuality, cityName, background?.url, background?.username, timezone);
+        if (!result) return null;
+        const rerender = async (photo) => {
+          await WeatherCards.renderAirQuality(canvas, airQuality, cityName, photo?.url, photo?.username, timezone);
+        };
+        const card = WeatherCards.createCardContainer(canvas, 'air-quality', {
+          photos: backgrounds, currentIndex: startIndex, rerender
+        });
+        this.addPhotoAttribution(card, background);
+        return { order: 5.75, card };
+      })());
+
+      // Pollen card (order: 5.76, depends on pollen data and background)
+      // Skipped entirely unless some pollen type is at Low or above
+      cardPromises.push((async () => {
+        const [pollen, backgrounds] = await Promise.all([pollenPromise, backgroundsPromise]);
+        if (!pollen) return null;
+        const startIndex = backgrounds.length > 0 ? Math.floor(Math.random() * backgrounds.length) : -1;
+        const background = startIndex >= 0 ? backgrounds[startIndex] : null;
+        const canvas = document.createElement('canvas');
+        const result = await WeatherCards.renderPollen(canvas, pollen, cityName, background?.url, background?.username, timezone);
+        if (!result) return null;
+        const rerender = async (photo) => {
+          await WeatherCards.renderPollen(canvas, pollen, cityName, photo?.url, photo?.username, timezone);
+        };
+        const card = WeatherCards.createCardContainer(canvas, 'pollen', {
+          photos: backgrounds, currentIndex: startIndex, rerender
+        });
+        this.addPhotoAttribution(card, background);
+        return { order: 5.76, card };
+      })());
+
+      // NHC tropical cyclone map card (order: 5.79, only when a storm
+      // threatens this location)
+      cardPromises.push((async () => {
+        const nhc = await nhcPromise;
+        if (!nhc) return null;
+        const card = await WeatherCards.createTropicalMapCard(nhc, app.currentLocation, timezone);
+        return card ? { order: 5.79, card } : null;
+      })());
+
+      // SPC watch/mesoscale discussion map card (order: 5.8, only when one
+      // covers this location)
+      if (spcPromise) {
+        cardPromises.push((async () => {
+          const spc = await spcPromise;
+          if (!spc?.watches?.length && !spc?.mesoscaleDiscussions?.length) return null;
+          const card = await WeatherCards.createSpcMapCard(spc, app.currentLocation, timezone);
+          return card ? { order: 5.8, card } : null;
+        })());
+      }
+
       // SPC severe weather outlook cards (order: 5.81-5.83, one per day with
       // severe risk at this location; skipped entirely otherwise)
+      // Days 1-2 draw the state graphic with a tornado/hail/wind breakdown;
+      // day 3 (or a failed render) shows the graphic alone
       if (spcPromise) {
         [1, 2, 3].forEach(day => {
           cardPromises.push((async () => {
             const spc = await spcPromise;
             const dayRisk = spc?.days?.find(d => d.day === day);
             if (!dayRisk) return null;
-            const card = this.createSpcCard(dayRisk, spc.state);
+            const canvas = document.createElement('canvas');
+            const rendered = await WeatherCards.renderSpcOutlook(canvas, dayRisk, spc.state, timezone).catch(e => {
+              console.warn('SPC outlook render failed, falling back to graphic:', e);
+              return null;
+            });
+            const card = rendered
+              ? WeatherCards.createCardContainer(canvas, 'spc')
+              : this.createSpcCard(dayRisk, spc.state);
             return { order: 5.8 + day * 0.01, card };
           })());
         });
       }
 
-      // Radar card (order: 6, depends on radar data)
-      if (isNWS && radarPromise) {
+      // SPC extended (day 4-8) outlook card (order: 5.84, only when a 15%+
+      // area covers this location)
+      if (spcPromise) {
         cardPromises.push((async () => {
-          const radarData = await radarPromise;
-          const card = await WeatherCards.createRadarCard(radarData, cityName, timezone);
-          return { order: 6, card };
+          const spc = await spcPromise;
+          if (!spc?.extended?.length) return null;
+          const canvas = document.createElement('canvas');
+          const result = await WeatherCards.renderSpcExtended(canvas, spc.extended, timezone).catch(e => {
+            console.warn('SPC extended outlook render failed:', e);
+            return null;
+          });
+          if (!result) return null;
+          return { order: 5.84, card: WeatherCards.createCardContainer(canvas, 'spc') };
         })());
       }
 
+      // Flood risk cards (order: 5.85-5.87, one per day with excessive rainfall
+      // risk at this location; skipped entirely otherwise)
+      if (eroPromise) {
+        [1, 2, 3].forEach(day => {
+          cardPromises.push((async () => {
+            const ero = await eroPromise;
+            const dayRisk = ero?.days?.find(d => d.day === day);
+            if (!dayRisk) return null;
+            const canvas = document.createElement('canvas');
+            const result = await WeatherCards.renderFloodRisk(canvas, dayRisk, timezone).catch(e => {
+              console.warn('Flood risk render failed:', e);
+              return null;
+            });
+            if (!result) return null;
+            return { order: 5.84 + day * 0.01, card: WeatherCards.createCardContainer(canvas, 'flood-risk') };
+          })());
+        });
+      }
+
+      // Radar card (order: 6, depends on radar data)
+      // Outside the US the card is skipped when no radar imagery is available
+      cardPromises.push((async () => {
+        const radarData = await radarPromise;
+        if (!isNWS && !radarData?.coverage) return null;
+        const card = await WeatherCards.createRadarCard(radarData, cityName, timezone);
+        nowcastPromise.then(nowcast => {
+          if (nowcast && card._setNowcast) card._setNowcast(nowcast, weather.current.temperature);
+        }).catch(e => {
+          console.warn('Failed to draw storm nowcast:', e);
+        });
+        return { order: 6, card };
+      })());
+
       // Satellite card (order: 6.5, depends on satellite data)
       // Skipped entirely when the location is outside imagery coverage
       cardPromises.push((async () => {
@@ -423,6 +607,27 @@ export function createCardRenderer(app) {
         return { order: 7, card };
       })());
 
+      // Forecast discussion card (order: 7.5, depends on AFD and background)
+      // Lightbox shows the full discussion text instead of the card image
+      cardPromises.push((async () => {
+        const [afd, backgrounds] = await Promise.all([afdPromise, backgroundsPromise]);
+        if (!afd) return null;
+        const startIndex = backgrounds.length > 0 ? Math.floor(Math.random() * backgrounds.length) : -1;
+        const background = startIndex >= 0 ? backgrounds[startIndex] : null;
+        const canvas = document.createElement('canvas');
+        const result = await WeatherCards.renderAfd(canvas, afd, cityName, background?.url, background?.username, timezone);
+        if (!result) return null;
+        const rerender = async (photo) => {
+          await WeatherCards.renderAfd(canvas, afd, cityName, photo?.url, photo?.username, timezone);
+        };
+        const card = WeatherCards.createCardContainer(canvas, 'afd', {
+          photos: backgrounds, currentIndex: startIndex, rerender
+        });
+        card._createLightboxView = () => WeatherCards.createAfdTextView(afd, timezone);
+        this.addPhotoAttribution(card, background);
+        return { order: 7.5, card };
+      })());
+
       // Weather story cards (order: 8+)
       if (wxStory && wxStory.images.length > 0) {
         wxStory.images.forEach((image, i) => {
@@ -496,7 +701,7 @@ export function createCardRenderer(app) {
       }
 
       // Update footer attribution based on data source
-      this.updateDataSource(weather);
+      this.updateDataSource(weather, sources);
     },
 
     // Re-render existing card canvases for theme change (preserves current photos)
@@ -551,20 +756,30 @@ export function createCardRenderer(app) {
       }
     },
 
-    // Update footer data source attribution based on weather source
-    updateDataSource(weather) {
+    // Update footer data source attribution based on weather source (the
+    // provider that actually served the forecast, including fallbacks), plus
+    // the alert source when a different provider served alerts
+    updateDataSource(weather, sources = null) {
       if (!app.elements.dataSource) return;
-      const isNWS = weather?.source === 'nws';
       const lat = app.currentLocation?.lat;
       const lon = app.currentLocation?.lon;
-      if (isNWS) {
-        const url = lat && lon
-          ? `https://forecast.weather.gov/MapClick.php?lat=${lat}&lon=${lon}`
-          : 'https://www.weather.gov/';
-        app.elements.dataSource.innerHTML = `<a href="${url}" target="_blank" rel="noopener noreferrer" class="footer-link" aria-label="National Weather Service (opens in new tab)">NWS</a>`;
-      } else {
-        app.elements.dataSource.innerHTML = '<a href="https://open-meteo.com/" target="_blank" rel="noopener noreferrer" class="footer-link" aria-label="Open-Meteo weather API (opens in new tab)">Open-Meteo</a>';
-      }
+      const providers = {
+        nws: {
+          label: 'NWS',
+          name: 'National Weather Service',
+          url: lat && lon ? `https://forecast.weather.gov/MapClick.php?lat=${lat}&lon=${lon}` : 'https://www.weather.gov/'
+        },
+        eccc: { label: 'ECCC', name: 'Environment and Climate Change Canada', url: 'https://weather.gc.ca/' },
+        'met-norway': { label: 'MET Norway', name: 'MET Norway weather API', url: 'https://api.met.no/' },
+        'open-meteo': { label: 'Open-Meteo', name: 'Open-Meteo weather API', url: 'https://open-meteo.com/' },
+        meteoalarm: { label: 'MeteoAlarm', name: 'MeteoAlarm European weather warnings', url: 'https://meteoalarm.org/' }
+      };
+      const link = ({ url, name, label }) =>
+        `<a href="${url}" target="_blank" rel="noopener noreferrer" class="footer-link" aria-label="${name} (opens in new tab)">${label}</a>`;
+      const source = providers[weather?.source] || providers['open-meteo'];
+      const alertSource = providers[sources?.alerts];
+      app.elements.dataSource.innerHTML = link(source) +
+        (alertSource && alertSource !== source ? `, alerts via ${link(alertSource)}` : '');
       if (app.elements.footerAttribution) {
         app.elements.footerAttribution.hidden = false;
       }
@@ -676,9 +891,9 @@ export function createCardRenderer(app) {
       notifyEngagement();
     },
 
-    // Clean up MapLibre maps in radar, satellite, and alert-map cards before removing them
+    // Clean up MapLibre maps in radar, satellite, alert-map, spc-map and tropical-map cards before removing them
     cleanupMapCards() {
-      const mapCards = app.elements.weatherCards.querySelectorAll('[data-card-type="radar"], [data-card-type="satellite"], [data-card-type="alert-map"]');
+      const mapCards = app.elements.weatherCards.querySelectorAll('[data-card-type="radar"], [data-card-type="satellite"], [data-card-type="alert-map"], [data-card-type="spc-map"], [data-card-type="tropical-map"]');
       mapCards.forEach(card => {
         if (card._cleanup) {
           card._cleanup();
@@ -1,6 +1,7 @@
 // App orchestrator - main application logic
 
 import { Units } from '../utils/units.js';
+import { AlertLanguage } from '../utils/language.js';
 import { createLocationManager } from './location.js';
 import { createSearchManager } from './search.js';
 import { createWeatherLoader } from './weather-loader.js';
@@ -51,6 +52,7 @@ export const App = {
       errorRetry: document.getElementById('error-retry'),
       weatherCards: document.getElementById('weather-cards'),
       unitToggle: document.getElementById('unit-toggle'),
+      languageToggle: document.getElementById('language-toggle'),
       siteFooter: document.getElementById('site-footer'),
       footerAttribution: document.getElementById('footer-attribution'),
       dataSource: document.getElementById('data-source')
@@ -127,6 +129,14 @@ export const App = {
       this.cardRenderer.refreshTheme();
     });
 
+    // Alert language toggle - alerts come with the location response, so reload it
+    this.elements.languageToggle.addEventListener('change', () => {
+      AlertLanguage.set(this.elements.languageToggle.value);
+      if (this.currentLocation) {
+        this.loadWeather(this.currentLocation.lat, this.currentLocation.lon, this.currentLocation.name, false);
+      }
+    });
+
     // Location reset button - return to auto-detected location
     this.elements.locationResetBtn.addEventListener('click', () => this.location.resetToAutoLocation());
 
@@ -1,6 +1,7 @@
 // Search functionality for the app
 
 import { TemperatureColors } from '../utils/temperature-colors.js';
+import { AlertLanguage } from '../utils/language.js';
 
 // HTML escape function to prevent XSS
 function escapeHtml(text) {
@@ -123,7 +124,7 @@ export function createSearchManager(app) {
       app.showLoading();
 
       try {
-        const response = await fetch(`/api/location?q=${encodeURIComponent(query.trim())}`);
+        const response = await fetch(`/api/location?q=${encodeURIComponent(query.trim())}${AlertLanguage.toParam()}`);
         if (!response.ok) {
           const err = await response.json().catch(() => ({}));
           throw new Error(err.error || 'Location not found');
@@ -164,7 +165,7 @@ export function createSearchManager(app) {
         const wxStory = await wxStoryPromise;
         app.currentWxStory = wxStory;
 
-        await app.cardRenderer.renderAllCards(data.weather, data.alerts, wxStory, cityName);
+        await app.cardRenderer.renderAllCards(data.weather, data.alerts, wxStory, cityName, data.sources);
         app.hideLoading();
       } catch (e) {
         console.error('Search error:', e);
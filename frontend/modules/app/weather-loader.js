@@ -1,6 +1,7 @@
 // Weather data loading for the app
 
 import { TemperatureColors } from '../utils/temperature-colors.js';
+import { AlertLanguage } from '../utils/language.js';
 
 // Truncate coordinates to 3 decimal places (~111m) to match the server's
 // normalization — keeps request URLs identical across nearby users so the
@@ -21,7 +22,7 @@ export function createWeatherLoader(app) {
       app.showLoading();
 
       try {
-        const response = await fetch(`/api/location?lat=${truncateCoord(lat)}&lon=${truncateCoord(lon)}`);
+        const response = await fetch(`/api/location?lat=${truncateCoord(lat)}&lon=${truncateCoord(lon)}${AlertLanguage.toParam()}`);
 
         // Check if a newer request has started - if so, abandon this one
         if (thisRequest !== currentRequestVersion) return;
@@ -74,7 +75,7 @@ export function createWeatherLoader(app) {
         app.currentWxStory = wxStory;
 
         // Render weather cards
-        await app.cardRenderer.renderAllCards(data.weather, data.alerts, wxStory, cityName);
+        await app.cardRenderer.renderAllCards(data.weather, data.alerts, wxStory, cityName, data.sources);
 
         app.hideLoading();
       } catch (e) {
@@ -123,6 +124,20 @@ export function createWeatherLoader(app) {
       }
     },
 
+    // Fetch the latest NWS Area Forecast Discussion for an office
+    async fetchAfd(office) {
+      if (!office) return null;
+      try {
+        const response = await fetch(`/api/afd?office=${encodeURIComponent(office)}`);
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.available && data.synopsis ? data : null;
+      } catch (e) {
+        console.warn('Forecast discussion fetch failed:', e);
+        return null;
+      }
+    },
+
     // Fetch radar data for a location
     async fetchRadar(lat, lon) {
       try {
@@ -135,20 +150,79 @@ export function createWeatherLoader(app) {
       }
     },
 
-    // Fetch SPC severe weather outlook for a location (US only)
+    // Fetch SPC severe weather outlook, watches and mesoscale discussions for a location (US only)
     // Returns null unless the point is inside a severe risk area on at least one day
+    // (1-8) or covered by a watch or mesoscale discussion
     async fetchSpc(lat, lon) {
       try {
         const response = await fetch(`/api/spc?lat=${truncateCoord(lat)}&lon=${truncateCoord(lon)}`);
         if (!response.ok) return null;
         const data = await response.json();
-        return data.risk && data.days?.length > 0 ? data : null;
+        const hasOutlook = (data.risk && data.days?.length > 0) || data.extended?.length > 0;
+        const hasActive = data.watches?.length > 0 || data.mesoscaleDiscussions?.length > 0;
+        return hasOutlook || hasActive ? data : null;
       } catch (e) {
         console.warn('SPC outlook fetch failed:', e);
         return null;
       }
     },
 
+    // Fetch WPC Excessive Rainfall Outlook for a location (US only)
+    // Returns null unless the point is inside a flood risk area on at least one day (1-3)
+    async fetchEro(lat, lon) {
+      try {
+        const response = await fetch(`/api/ero?lat=${truncateCoord(lat)}&lon=${truncateCoord(lon)}`);
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.risk && data.days?.length > 0 ? data : null;
+      } catch (e) {
+        console.warn('Excessive rainfall outlook fetch failed:', e);
+        return null;
+      }
+    },
+
+    // Fetch NHC tropical cyclones threatening a location
+    // Returns null unless a forecast cone covers the point or a storm passes nearby
+    async fetchNhc(lat, lon) {
+      try {
+        const response = await fetch(`/api/nhc?lat=${truncateCoord(lat)}&lon=${truncateCoord(lon)}`);
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.threat && data.storms?.length > 0 ? data : null;
+      } catch (e) {
+        console.warn('Tropical cyclone fetch failed:', e);
+        return null;
+      }
+    },
+
+    // Fetch air quality for a location
+    // Returns null when the air-quality model has no coverage there
+    async fetchAirQuality(lat, lon) {
+      try {
+        const response = await fetch(`/api/airquality?lat=${truncateCoord(lat)}&lon=${truncateCoord(lon)}`);
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.coverage ? data : null;
+      } catch (e) {
+        console.warn('Air quality fetch failed:', e);
+        return null;
+      }
+    },
+
+    // Fetch pollen for a location (European model coverage only)
+    // Returns null unless at least one pollen type reaches the Low level
+    async fetchPollen(lat, lon) {
+      try {
+        const response = await fetch(`/api/pollen?lat=${truncateCoord(lat)}&lon=${truncateCoord(lon)}`);
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.coverage && data.present ? data : null;
+      } catch (e) {
+        console.warn('Pollen fetch failed:', e);
+        return null;
+      }
+    },
+
     // Fetch satellite imagery data for a location
     async fetchSatellite(lat, lon) {
       try {
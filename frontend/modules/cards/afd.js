@@ -0,0 +1,166 @@
+// Area Forecast Discussion card renderer (synopsis + issuance time) and the
+// full-text view shown in the lightbox
+
+import { CARD_WIDTH, drawWatermark, drawOverlay, drawFallbackBackground, drawWeatherIcon, wrapText, loadImage, cardText } from './core.js';
+
+// Layout constants for the discussion card
+const afdLayout = {
+  padding: { x: 60, top: 40, bottom: 100 },
+  header: { height: 100, iconX: 100, iconSize: 80, textX: 160 },
+  title: { font: 'bold 52px system-ui, sans-serif' },
+  meta: { font: '28px system-ui, sans-serif', height: 44 },
+  text: { font: '36px system-ui, sans-serif', lineHeight: 48 },
+  paragraphGap: 20,
+  gap: 30,
+  maxLines: 12,
+  minHeight: 400
+};
+
+// "NEAR TERM" -> "Near Term"
+function sectionTitle(name) {
+  return name.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// Format issuance time in the location's timezone (e.g. "Sun 3:32 PM EDT")
+function formatIssued(iso, timezone) {
+  if (!iso) return '';
+  const opts = { weekday: 'short', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+  if (timezone) opts.timeZone = timezone;
+  return new Date(iso).toLocaleString('en-US', opts);
+}
+
+// Create Area Forecast Discussion Card (synopsis, truncated to fit)
+// afd: /api/afd response ({ office, issued, synopsis: { name, period, text }, sections })
+// timezone: IANA timezone string for displaying location's local time
+export async function renderAfd(canvas, afd, cityName = '', backgroundUrl = null, unsplashUsername = null, timezone = null) {
+  const synopsis = afd?.synopsis;
+  if (!synopsis?.text) {
+    return null;
+  }
+
+  const ctx = canvas.getContext('2d');
+  const width = CARD_WIDTH;
+  const L = afdLayout;
+  const maxWidth = width - L.padding.x * 2;
+
+  // Pre-calculate wrapped text per paragraph (bullets keep their own lines)
+  canvas.width = width;
+  canvas.height = 100;
+  ctx.font = L.text.font;
+  const blocks = synopsis.text.split('\n\n').map(paragraph =>
+    paragraph.split('\n').flatMap(line => wrapText(ctx, line, maxWidth))
+  );
+
+  // Keep whole lines up to the limit; mark the cut with an ellipsis
+  let remaining = L.maxLines;
+  let truncated = false;
+  const visibleBlocks = [];
+  for (const lines of blocks) {
+    if (remaining <= 0) {
+      truncated = true;
+      break;
+    }
+    const kept = lines.slice(0, remaining);
+    if (kept.length < lines.length) truncated = true;
+    visibleBlocks.push(kept);
+    remaining -= kept.length;
+  }
+  if (truncated) {
+    const lastBlock = visibleBlocks[visibleBlocks.length - 1];
+    lastBlock[lastBlock.length - 1] += ' …';
+  }
+
+  // Calculate total height dynamically based on content
+  const lineCount = visibleBlocks.reduce((sum, lines) => sum + lines.length, 0);
+  let height = L.padding.top + L.header.height + L.meta.height + L.gap;
+  height += lineCount * L.text.lineHeight + (visibleBlocks.length - 1) * L.paragraphGap;
+  height += L.padding.bottom;
+  height = Math.max(height, L.minHeight);
+  canvas.height = height;
+
+  // Draw background
+  if (backgroundUrl) {
+    try {
+      const img = await loadImage(backgroundUrl);
+      const scale = Math.max(width / img.width, height / img.height);
+      const x = (width - img.width * scale) / 2;
+      const y = (height - img.height * scale) / 2;
+      ctx.drawImage(img, x, y, img.width * scale, img.height * scale);
+      drawOverlay(ctx, width, height, 0.7); // Darker for text readability
+    } catch (e) {
+      drawFallbackBackground(ctx, width, height);
+    }
+  } else {
+    drawFallbackBackground(ctx, width, height);
+  }
+
+  // Running Y cursor for layout
+  let y = L.padding.top;
+
+  // Header: discussion icon + section title (e.g. "Synopsis for Grand Rapids")
+  const headerCenterY = y + L.header.height / 2;
+  drawWeatherIcon(ctx, 'fa-comments', L.header.iconX, headerCenterY, L.header.iconSize);
+  ctx.fillStyle = cardText();
+  ctx.font = L.title.font;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  const name = sectionTitle(synopsis.name);
+  ctx.fillText(cityName ? `${name} for ${cityName}` : name, L.header.textX, headerCenterY);
+  y += L.header.height;
+
+  // Issuing office and time
+  ctx.fillStyle = cardText(0.75);
+  ctx.font = L.meta.font;
+  ctx.textBaseline = 'top';
+  ctx.fillText(`NWS ${afd.office} Area Forecast Discussion · Issued ${formatIssued(afd.issued, timezone)}`, L.padding.x, y);
+  y += L.meta.height + L.gap;
+
+  // Synopsis text
+  ctx.font = L.text.font;
+  ctx.fillStyle = cardText(0.95);
+  visibleBlocks.forEach((lines, i) => {
+    if (i > 0) y += L.paragraphGap;
+    for (const line of lines) {
+      ctx.fillText(line, L.padding.x, y);
+      y += L.text.lineHeight;
+    }
+  });
+
+  // Watermark with attribution
+  const attribution = unsplashUsername
+    ? `NWS and @${unsplashUsername} on Unsplash`
+    : 'NWS';
+  drawWatermark(ctx, width, height, attribution, timezone);
+
+  return canvas;
+}
+
+// Build the full-text discussion view for the lightbox: every section with
+// its heading and valid period
+export function createAfdTextView(afd, timezone = null) {
+  const view = document.createElement('article');
+  view.className = 'lightbox-text';
+
+  const heading = document.createElement('h2');
+  heading.textContent = 'Area Forecast Discussion';
+  view.appendChild(heading);
+
+  const meta = document.createElement('p');
+  meta.className = 'lightbox-text-meta';
+  meta.textContent = `NWS ${afd.office} · Issued ${formatIssued(afd.issued, timezone)}`;
+  view.appendChild(meta);
+
+  for (const section of afd.sections || []) {
+    const title = document.createElement('h3');
+    title.textContent = section.period
+      ? `${sectionTitle(section.name)} (${section.period.toLowerCase()})`
+      : sectionTitle(section.name);
+    view.appendChild(title);
+
+    const text = document.createElement('p');
+    text.textContent = section.text;
+    view.appendChild(text);
+  }
+
+  return view;
+}
@@ -0,0 +1,208 @@
+// Air quality card renderer (US AQI with category scale, pollutants and a
+// 24-hour AQI trend)
+
+import { CARD_WIDTH, drawWatermark, drawOverlay, drawFallbackBackground, drawWeatherIcon, drawPill, loadImage, cardText, cardDivider } from './core.js';
+import { getContrastingTextColor } from '../utils/palette-colors.js';
+
+// US EPA AQI categories (upper bound inclusive) with the standard EPA colors
+const US_AQI_CATEGORIES = [
+  { max: 50, label: 'Good', color: '#00e400' },
+  { max: 100, label: 'Moderate', color: '#ffff00' },
+  { max: 150, label: 'Unhealthy for Sensitive Groups', color: '#ff7e00' },
+  { max: 200, label: 'Unhealthy', color: '#ff0000' },
+  { max: 300, label: 'Very Unhealthy', color: '#8f3f97' },
+  { max: 500, label: 'Hazardous', color: '#7e0023' }
+];
+
+// European (EEA) AQI bands, upper bound exclusive
+const EUROPEAN_AQI_LABELS = [
+  { max: 20, label: 'Good' },
+  { max: 40, label: 'Fair' },
+  { max: 60, label: 'Moderate' },
+  { max: 80, label: 'Poor' },
+  { max: 100, label: 'Very Poor' },
+  { max: Infinity, label: 'Extremely Poor' }
+];
+
+// Look up the US AQI category for a value (values above 500 stay Hazardous)
+function getUsAqiCategory(aqi) {
+  return US_AQI_CATEGORIES.find(c => aqi <= c.max) || US_AQI_CATEGORIES[US_AQI_CATEGORIES.length - 1];
+}
+
+function getEuropeanAqiLabel(aqi) {
+  return EUROPEAN_AQI_LABELS.find(c => aqi < c.max).label;
+}
+
+// Format an hourly time label (e.g. "3PM")
+// Open-Meteo times are location-local with no offset suffix - parsing and
+// re-formatting in the browser's zone round-trips the literal clock time
+function formatHour(time) {
+  return new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', hour12: true }).replace(' ', '');
+}
+
+// Draw the category scale: six equal-width segments with a marker at the value
+function drawAqiScale(ctx, aqi, x, y, width) {
+  const segmentWidth = width / US_AQI_CATEGORIES.length;
+  const barHeight = 16;
+
+  US_AQI_CATEGORIES.forEach((category, i) => {
+    ctx.fillStyle = category.color;
+    ctx.fillRect(x + i * segmentWidth, y, segmentWidth, barHeight);
+  });
+
+  // Breakpoint labels under the segment boundaries
+  ctx.fillStyle = cardText(0.7);
+  ctx.font = '18px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText('0', x, y + barHeight + 6);
+  US_AQI_CATEGORIES.forEach((category, i) => {
+    ctx.fillText(String(category.max), x + (i + 1) * segmentWidth, y + barHeight + 6);
+  });
+
+  // Marker position: linear within the value's category segment
+  const index = US_AQI_CATEGORIES.indexOf(getUsAqiCategory(aqi));
+  const lower = index === 0 ? 0 : US_AQI_CATEGORIES[index - 1].max;
+  const upper = US_AQI_CATEGORIES[index].max;
+  const fraction = Math.min(Math.max((aqi - lower) / (upper - lower), 0), 1);
+  const markerX = x + (index + fraction) * segmentWidth;
+
+  ctx.fillStyle = cardText();
+  ctx.beginPath();
+  ctx.moveTo(markerX - 10, y - 14);
+  ctx.lineTo(markerX + 10, y - 14);
+  ctx.lineTo(markerX, y - 2);
+  ctx.closePath();
+  ctx.fill();
+}
+
+// Create Air Quality Card
+// airQuality: { current: { usAqi, europeanAqi, pm25, pm10, ozone }, hourly: [...] }
+// timezone: IANA timezone string for the watermark timestamp
+export async function renderAirQuality(canvas, airQuality, cityName = '', backgroundUrl = null, unsplashUsername = null, timezone = null) {
+  const current = airQuality?.current;
+  if (current?.usAqi == null) {
+    return null;
+  }
+
+  const ctx = canvas.getContext('2d');
+  const width = CARD_WIDTH;
+  const height = 600;
+  canvas.width = width;
+  canvas.height = height;
+
+  // Draw background
+  if (backgroundUrl) {
+    try {
+      const img = await loadImage(backgroundUrl);
+      const scale = Math.max(width / img.width, height / img.height);
+      const x = (width - img.width * scale) / 2;
+      const y = (height - img.height * scale) / 2;
+      ctx.drawImage(img, x, y, img.width * scale, img.height * scale);
+      drawOverlay(ctx, width, height, 0.6);
+    } catch (e) {
+      drawFallbackBackground(ctx, width, height);
+    }
+  } else {
+    drawFallbackBackground(ctx, width, height);
+  }
+
+  // Header: smog icon + title
+  drawWeatherIcon(ctx, 'fa-smog', 80, 54, 64);
+  ctx.fillStyle = cardText();
+  ctx.font = 'bold 48px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(cityName ? `Air Quality in ${cityName}` : 'Air Quality', 130, 54);
+
+  // Left column: US AQI value and category pill
+  const aqi = Math.round(current.usAqi);
+  const category = getUsAqiCategory(aqi);
+  const leftCenterX = 320;
+
+  ctx.fillStyle = cardText(0.8);
+  ctx.font = '26px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('US AQI', leftCenterX, 125);
+
+  ctx.fillStyle = cardText();
+  ctx.font = 'bold 120px system-ui, sans-serif';
+  ctx.fillText(String(aqi), leftCenterX, 205);
+
+  ctx.font = 'bold 32px system-ui, sans-serif';
+  const pillWidth = ctx.measureText(category.label).width + 40;
+  drawPill(ctx, leftCenterX - pillWidth / 2, 266, category.label, category.color, getContrastingTextColor(category.color));
+
+  // Vertical divider between the columns
+  ctx.strokeStyle = cardDivider(0.3);
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(620, 110);
+  ctx.lineTo(620, 310);
+  ctx.stroke();
+
+  // Right column: pollutant concentrations and European AQI
+  const formatConcentration = (value) => value == null ? '--' : `${Math.round(value)} μg/m³`;
+  const rows = [
+    ['PM2.5', formatConcentration(current.pm25)],
+    ['PM10', formatConcentration(current.pm10)],
+    ['Ozone', formatConcentration(current.ozone)],
+    ['European AQI', current.europeanAqi == null
+      ? '--'
+      : `${Math.round(current.europeanAqi)} (${getEuropeanAqiLabel(current.europeanAqi)})`]
+  ];
+  rows.forEach(([label, value], i) => {
+    const y = 130 + i * 55;
+    ctx.fillStyle = cardText(0.8);
+    ctx.font = '30px system-ui, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(label, 680, y);
+    ctx.fillStyle = cardText();
+    ctx.font = 'bold 30px system-ui, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(value, 1120, y);
+  });
+
+  // Category scale with a marker at the current value
+  drawAqiScale(ctx, aqi, 80, 360, width - 160);
+
+  // 24-hour trend: one bar per hour, colored by category
+  const trend = (airQuality.hourly || []).filter(h => h.usAqi != null).slice(0, 24);
+  if (trend.length > 1) {
+    const trendTop = 430;
+    const trendBottom = 515;
+    const trendLeft = 80;
+    const trendWidth = width - 160;
+    const slotWidth = trendWidth / trend.length;
+    // Scale to at least the Moderate ceiling so a clean day doesn't look alarming
+    const trendMax = Math.max(100, ...trend.map(h => h.usAqi));
+
+    trend.forEach((hour, i) => {
+      const barHeight = Math.max(hour.usAqi / trendMax * (trendBottom - trendTop), 2);
+      const x = trendLeft + i * slotWidth;
+      ctx.fillStyle = getUsAqiCategory(hour.usAqi).color;
+      ctx.beginPath();
+      ctx.roundRect(x + slotWidth * 0.15, trendBottom - barHeight, slotWidth * 0.7, barHeight, [4, 4, 0, 0]);
+      ctx.fill();
+
+      // Time labels every 4 hours
+      if (i % 4 === 0) {
+        ctx.fillStyle = cardText(0.8);
+        ctx.font = '20px system-ui, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(formatHour(hour.time), x + slotWidth / 2, trendBottom + 6);
+      }
+    });
+  }
+
+  // Watermark with data source and photo attribution
+  const dataSource = 'Open-Meteo/CAMS';
+  const attribution = unsplashUsername
+    ? `${dataSource} and @${unsplashUsername} on Unsplash`
+    : dataSource;
+  drawWatermark(ctx, width, height, attribution, timezone);
+
+  return canvas;
+}
@@ -12,6 +12,7 @@ export const alertLayout = {
   time: { height: 50, font: '38px system-ui, sans-serif', opacity: 0.85 },
   desc: { lineHeight: 56, font: '44px system-ui, sans-serif', opacity: 0.95 },
   inst: { lineHeight: 54, font: 'italic 40px system-ui, sans-serif', opacity: 0.75 },
+  section: { labelHeight: 44, labelFont: 'bold 32px system-ui, sans-serif', labelOpacity: 0.7, gap: 18, maxLines: 12, maxPriorityLines: 5 },
   gap: 20,
   minHeight: 400
 };
@@ -19,6 +20,83 @@ export const alertLayout = {
 // Text style for header event name
 const HEADER_FONT = 'bold 60px system-ui, sans-serif';
 
+// UI text by alert language (CAP severity/urgency values are always English)
+const ALERT_TEXT = {
+  en: {
+    locale: undefined,
+    until: 'Until',
+    starts: 'Starts',
+    fallbackEvent: 'Weather Alert',
+    watchWord: 'watch',
+    severity: {},
+    urgency: {}
+  },
+  es: {
+    locale: 'es',
+    until: 'Hasta',
+    starts: 'Comienza',
+    fallbackEvent: 'Alerta meteorológica',
+    watchWord: 'vigilancia',
+    severity: { Extreme: 'Extrema', Severe: 'Severa', Moderate: 'Moderada', Minor: 'Menor' },
+    urgency: { Immediate: 'Inmediata', Expected: 'Esperada', Future: 'Futura', Past: 'Pasada', Unknown: 'Desconocida' }
+  }
+};
+
+function getAlertText(alertData) {
+  return ALERT_TEXT[alertData.language] || ALERT_TEXT.en;
+}
+
+// Sections (by English key) that always get lines first; the rest share
+// what's left of the line budget in this order, then in description order
+const PRIORITY_SECTIONS = ['WHAT', 'WHEN'];
+const SECTION_ORDER = ['WHAT', 'WHEN', 'WHERE', 'IMPACTS'];
+
+// "ADDITIONAL DETAILS" -> "Additional Details" (word starts only, so "CUÁNDO" -> "Cuándo")
+function sectionLabel(label) {
+  return label.toLowerCase().replace(/(^|\s)\S/g, c => c.toUpperCase());
+}
+
+/**
+ * Wrap alert sections and fit them to the line budget
+ * WHAT and WHEN are always kept (up to maxPriorityLines each); the rest fill
+ * the remaining budget by priority and are cut with an ellipsis or dropped
+ * @param {CanvasRenderingContext2D} ctx - Canvas context for text measurement
+ * @param {Array<{key: string, label: string, text: string}>} sections - Parsed alert sections
+ * @param {number} maxWidth - Maximum text width
+ * @returns {Array<{label: string, lines: string[]}>} Visible sections in description order
+ */
+function fitAlertSections(ctx, sections, maxWidth) {
+  const L = alertLayout;
+  ctx.font = L.desc.font;
+  const wrapped = sections.map(section => ({
+    key: section.key || section.label,
+    label: section.label,
+    lines: section.text.split('\n').flatMap(line => wrapText(ctx, line, maxWidth))
+  }));
+
+  const rank = (section) => {
+    const index = SECTION_ORDER.indexOf(section.key);
+    return index >= 0 ? index : SECTION_ORDER.length + wrapped.indexOf(section);
+  };
+  const kept = new Map();
+  let remaining = L.section.maxLines;
+  for (const section of [...wrapped].sort((a, b) => rank(a) - rank(b))) {
+    const limit = Math.min(
+      PRIORITY_SECTIONS.includes(section.key) ? L.section.maxPriorityLines : remaining,
+      section.lines.length
+    );
+    if (limit <= 0) continue;
+    const lines = section.lines.slice(0, limit);
+    if (lines.length < section.lines.length) lines[lines.length - 1] += ' …';
+    kept.set(section, lines);
+    remaining -= lines.length;
+  }
+
+  return wrapped
+    .filter(section => kept.has(section))
+    .map(section => ({ label: sectionLabel(section.label), lines: kept.get(section) }));
+}
+
 /**
  * Calculate layout information for an alert card
  * Pre-computes wrapped text and determines which elements are visible
@@ -40,9 +118,14 @@ export function calculateAlertLayout(ctx, alertData, maxWidth) {
   const hasPills = showSeverityPill || showUrgencyPill;
   const hasTime = (isActiveNow && endsDate) || (!isActiveNow && onsetDate);
 
+  // Structured WHAT/WHERE/WHEN/IMPACTS sections replace the raw description
+  const sectionBlocks = alertData.sections?.length > 0
+    ? fitAlertSections(ctx, alertData.sections, maxWidth)
+    : [];
+
   // Wrap description text
   let descLines = [];
-  if (alertData.description) {
+  if (alertData.description && sectionBlocks.length === 0) {
     ctx.font = L.desc.font;
     descLines = wrapText(ctx, alertData.description, maxWidth);
   }
@@ -61,12 +144,20 @@ export function calculateAlertLayout(ctx, alertData, maxWidth) {
   if (hasPills && hasTime) height += L.pills.gapAfter;
   if (hasTime) height += L.time.height;
   height += L.gap;
+  if (sectionBlocks.length > 0) {
+    for (const block of sectionBlocks) {
+      height += L.section.labelHeight + block.lines.length * L.desc.lineHeight + L.section.gap;
+    }
+    height += L.gap - L.section.gap;
+  }
   if (descLines.length > 0) height += descLines.length * L.desc.lineHeight + L.gap;
   if (instructionLines.length > 0) height += instructionLines.length * L.inst.lineHeight;
   height += L.padding.bottom;
 
   return {
     height: Math.max(height, L.minHeight),
+    text: getAlertText(alertData),
+    sectionBlocks,
     descLines,
     instructionLines,
     hasPills,
@@ -93,8 +184,9 @@ export function drawAlertHeader(ctx, alertData, y, colors) {
   const headerCenterY = y + L.header.height / 2;
 
   // Determine icon based on watch vs warning
+  const text = getAlertText(alertData);
   const eventLower = (alertData.event || '').toLowerCase();
-  const isWatch = eventLower.includes('watch');
+  const isWatch = eventLower.includes(text.watchWord);
   const icon = isWatch ? 'fa-eye' : 'fa-triangle-exclamation';
 
   drawWeatherIcon(ctx, icon, L.header.iconX, headerCenterY, L.header.iconSize, colors.icon);
@@ -103,7 +195,7 @@ export function drawAlertHeader(ctx, alertData, y, colors) {
   ctx.font = HEADER_FONT;
   ctx.textAlign = 'left';
   ctx.textBaseline = 'middle';
-  ctx.fillText(alertData.event || 'Weather Alert', L.header.textX, headerCenterY);
+  ctx.fillText(alertData.event || text.fallbackEvent, L.header.textX, headerCenterY);
 
   return y + L.header.height;
 }
@@ -125,7 +217,7 @@ export function drawAlertPills(ctx, alertData, layout, y, colors) {
   let pillX = L.padding.x;
 
   if (layout.showSeverityPill) {
-    const severityText = alertData.severity.toUpperCase();
+    const severityText = (layout.text.severity[alertData.severity] || alertData.severity).toUpperCase();
     const pillWidth = drawPill(ctx, pillX, y, severityText, colors.pill, colors.pillText);
     pillX += pillWidth + L.pills.gap;
   }
@@ -133,7 +225,8 @@ export function drawAlertPills(ctx, alertData, layout, y, colors) {
   if (layout.showUrgencyPill) {
     const urgencyRaw = alertData.urgency || 'Unknown';
     const urgencyColors = getUrgencyColor(urgencyRaw.toLowerCase());
-    drawPill(ctx, pillX, y, urgencyRaw.toUpperCase(), urgencyColors.bg, urgencyColors.text);
+    const urgencyText = layout.text.urgency[urgencyRaw] || urgencyRaw;
+    drawPill(ctx, pillX, y, urgencyText.toUpperCase(), urgencyColors.bg, urgencyColors.text);
   }
 
   return y + L.pills.height;
@@ -144,9 +237,10 @@ export function drawAlertPills(ctx, alertData, layout, y, colors) {
  * @param {Date} date - Date to format
  * @param {Date} nowInTz - Current time in target timezone
  * @param {string|null} timezone - IANA timezone string
+ * @param {string|undefined} locale - Display locale (undefined for the browser's)
  * @returns {string} Formatted date string
  */
-function formatAlertDate(date, nowInTz, timezone) {
+function formatAlertDate(date, nowInTz, timezone, locale) {
   const dateInTz = timezone
     ? new Date(date.toLocaleString('en-US', { timeZone: timezone }))
     : date;
@@ -158,7 +252,7 @@ function formatAlertDate(date, nowInTz, timezone) {
 
   if (timezone) formatOpts.timeZone = timezone;
 
-  return date.toLocaleString(undefined, formatOpts);
+  return date.toLocaleString(locale, formatOpts);
 }
 
 /**
@@ -184,11 +278,11 @@ export function drawAlertTime(ctx, layout, y, timezone) {
     : now;
 
   if (layout.isActiveNow && layout.endsDate) {
-    const formattedDate = formatAlertDate(layout.endsDate, nowInTz, timezone);
-    ctx.fillText(`Until ${formattedDate}`, L.padding.x, y);
+    const formattedDate = formatAlertDate(layout.endsDate, nowInTz, timezone, layout.text.locale);
+    ctx.fillText(`${layout.text.until} ${formattedDate}`, L.padding.x, y);
   } else if (!layout.isActiveNow && layout.onsetDate) {
-    const formattedDate = formatAlertDate(layout.onsetDate, nowInTz, timezone);
-    ctx.fillText(`Starts ${formattedDate}`, L.padding.x, y);
+    const formattedDate = formatAlertDate(layout.onsetDate, nowInTz, timezone, layout.text.locale);
+    ctx.fillText(`${layout.text.starts} ${formattedDate}`, L.padding.x, y);
   }
 
   return y + L.time.height;
@@ -218,6 +312,39 @@ export function drawAlertDescription(ctx, lines, y) {
   return y + L.gap;
 }
 
+/**
+ * Draw the labelled description sections (What, Where, When, Impacts, ...)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<{label: string, lines: string[]}>} blocks - Pre-fitted sections
+ * @param {number} y - Y position for the first section
+ * @returns {number} Y position after the sections
+ */
+export function drawAlertSections(ctx, blocks, y) {
+  const L = alertLayout;
+
+  if (blocks.length === 0) return y;
+
+  ctx.textBaseline = 'top';
+
+  blocks.forEach((block, i) => {
+    if (i > 0) y += L.section.gap;
+
+    ctx.font = L.section.labelFont;
+    ctx.fillStyle = cardText(L.section.labelOpacity);
+    ctx.fillText(block.label, L.padding.x, y);
+    y += L.section.labelHeight;
+
+    ctx.font = L.desc.font;
+    ctx.fillStyle = cardText(L.desc.opacity);
+    for (const line of block.lines) {
+      ctx.fillText(line, L.padding.x, y);
+      y += L.desc.lineHeight;
+    }
+  });
+
+  return y + L.gap;
+}
+
 /**
  * Draw the instruction text
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -271,7 +398,8 @@ export function drawAlertContent(ctx, width, height, alertData, layout, timezone
   // Gap before description
   y += L.gap;
 
-  // Description
+  // Description (structured sections, or the raw text)
+  y = drawAlertSections(ctx, layout.sectionBlocks, y);
   y = drawAlertDescription(ctx, layout.descLines, y);
 
   // Instructions
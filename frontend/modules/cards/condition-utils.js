@@ -1,5 +1,7 @@
 // Condition code utilities for weather cards
 
+import { Units } from '../utils/units.js';
+
 // Condition code to photo search query mapping (use terms photographers tag with)
 export const conditionQueries = {
   'clear': 'blue sky sunshine',
@@ -28,6 +30,7 @@ export const coldImpliedConditions = new Set([
 // Condition codes that involve snow vs rain (for precipitation display)
 export const snowConditions = new Set(['snow-light', 'snow', 'snow-heavy']);
 export const rainConditions = new Set(['drizzle', 'rain-light', 'rain', 'rain-heavy', 'freezing-rain', 'thunderstorm', 'thunderstorm-severe']);
+export const iceConditions = new Set(['freezing-rain']);
 
 // Get temperature modifier for photo search query (use terms photographers tag with)
 export function getTemperatureModifier(tempC) {
@@ -59,7 +62,7 @@ export function formatPrecip(amount) {
 
 // Get formatted condition text with precipitation if applicable
 // condition: { code, text, icon, detail? }
-// precipitation: { snow, rain }
+// precipitation: { snow, rain, ice? }
 export function getConditionText(condition, precipitation = {}) {
   let text = condition?.text || 'Unknown';
 
@@ -69,8 +72,11 @@ export function getConditionText(condition, precipitation = {}) {
   }
 
   // Otherwise, add precipitation amounts for relevant conditions
-  const { snow = 0, rain = 0 } = precipitation;
-  if (snowConditions.has(condition?.code) && snow > 0) {
+  const { snow = 0, rain = 0, ice = 0 } = precipitation;
+  const icePrecip = iceConditions.has(condition?.code) ? formatPrecip(ice) : null;
+  if (icePrecip) {
+    text += ` (${icePrecip} ice)`;
+  } else if (snowConditions.has(condition?.code) && snow > 0) {
     const precip = formatPrecip(snow);
     if (precip) text += ` (${precip})`;
   } else if (rainConditions.has(condition?.code) && rain > 0) {
@@ -80,3 +86,34 @@ export function getConditionText(condition, precipitation = {}) {
 
   return text;
 }
+
+// Storm nowcast intensity by peak reflectivity (dBZ), strongest first
+const nowcastIntensities = [
+  { dbz: 50, rain: 'Storms', snow: 'Heavy snow' },
+  { dbz: 40, rain: 'Heavy rain', snow: 'Heavy snow' },
+  { dbz: 30, rain: 'Rain', snow: 'Snow' },
+  { dbz: 0, rain: 'Light rain', snow: 'Light snow' }
+];
+
+// Eight-point compass names for the direction of an approaching echo
+const compassNames = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// Format an arrival estimate ("about 40 min", "about 1.5 hr")
+function formatEta(minutes) {
+  if (minutes < 60) return `about ${Math.max(5, Math.round(minutes / 5) * 5)} min`;
+  return `about ${Math.round(minutes / 30) / 2} hr`;
+}
+
+// Get storm approach text (e.g. "Heavy rain 25 mi west, arriving in about 40 min")
+// nowcast: { distanceKm, bearing, maxDbz, overhead, etaMinutes } from the radar nowcast
+// tempC: current temperature, picks snow over rain at or below freezing
+export function getNowcastText(nowcast, tempC = null) {
+  if (!nowcast) return null;
+  const intensity = nowcastIntensities.find(i => nowcast.maxDbz >= i.dbz) || nowcastIntensities[nowcastIntensities.length - 1];
+  const label = tempC != null && tempC <= 0 ? intensity.snow : intensity.rain;
+  if (nowcast.overhead) return `${label} overhead`;
+
+  const direction = compassNames[Math.round(nowcast.bearing / 45) % 8];
+  const text = `${label} ${Units.formatDistance(nowcast.distanceKm)} ${direction}`;
+  return nowcast.etaMinutes != null ? `${text}, arriving in ${formatEta(nowcast.etaMinutes)}` : text;
+}
@@ -14,6 +14,9 @@ const DARK_TEXT = '255, 255, 255'; // white
 const LIGHT_OVERLAY = '255, 255, 255'; // white overlay for light mode
 const DARK_OVERLAY = '0, 0, 0';       // black overlay for dark mode
 
+// Precipitation-chance bar color (same on light and dark backgrounds)
+const PRECIP_BAR_COLOR = 'rgba(56, 189, 248, 0.45)';
+
 // Theme detection
 export function isDarkMode() {
   return document.documentElement.classList.contains('wa-dark');
@@ -45,6 +48,19 @@ export function getTempLowColor() {
   return getTemperatureColors().low;
 }
 
+// Watermark names for the weather providers (keyed by the API's source field)
+const SOURCE_LABELS = {
+  nws: 'NWS',
+  eccc: 'ECCC',
+  'open-meteo': 'Open-Meteo',
+  'met-norway': 'MET Norway'
+};
+
+// Watermark name for weather data or a detailed forecast period's source
+export function getSourceLabel(data, fallback = 'Open-Meteo') {
+  return SOURCE_LABELS[data?.source] || fallback;
+}
+
 // Draw weather icon using imported SVG path data
 export function drawWeatherIcon(ctx, iconClass, x, y, size, color) {
   if (color === undefined) color = cardText();
@@ -168,6 +184,18 @@ export function drawPill(ctx, x, y, text, bgColor, textColor) {
   return pillWidth;
 }
 
+// Draw a precipitation-chance bar rising from bottomY (probability 0-100)
+// Returns the bar's top y, or bottomY when there's nothing to draw
+export function drawPrecipBar(ctx, x, bottomY, barWidth, maxHeight, probability) {
+  if (probability == null || !(probability > 0)) return bottomY;
+  const barHeight = Math.min(probability, 100) / 100 * maxHeight;
+  ctx.fillStyle = PRECIP_BAR_COLOR;
+  ctx.beginPath();
+  ctx.roundRect(x - barWidth / 2, bottomY - barHeight, barWidth, barHeight, [4, 4, 0, 0]);
+  ctx.fill();
+  return bottomY - barHeight;
+}
+
 // Word wrap helper that returns lines
 export function wrapText(ctx, text, maxWidth) {
   const words = text.split(' ');
@@ -1,12 +1,13 @@
 // Current conditions card renderer
 
-import { CARD_WIDTH, CARD_HEIGHT, drawWatermark, drawOverlay, drawFallbackBackground, drawWeatherIcon, loadImage, cardText } from './core.js';
-import { getConditionText } from './condition-utils.js';
+import { CARD_WIDTH, CARD_HEIGHT, drawWatermark, drawOverlay, drawFallbackBackground, drawWeatherIcon, loadImage, cardText, getSourceLabel } from './core.js';
+import { getConditionText, getNowcastText } from './condition-utils.js';
 import { Units } from '../utils/units.js';
 
 // Create Current Conditions Card
 // timezone: IANA timezone string for displaying location's local time
-export async function renderCurrentConditions(canvas, weatherData, backgroundUrl = null, unsplashUsername = null, timezone = null) {
+// nowcast: radar storm approach nowcast (optional, NOAA radar locations)
+export async function renderCurrentConditions(canvas, weatherData, backgroundUrl = null, unsplashUsername = null, timezone = null, nowcast = null) {
   const ctx = canvas.getContext('2d');
   const width = CARD_WIDTH;
   const height = CARD_HEIGHT;
@@ -71,13 +72,22 @@ export async function renderCurrentConditions(canvas, weatherData, backgroundUrl
   const humidity = Units.formatHumidity(current.humidity);
   if (humidity !== '--') {
     ctx.fillText(`${humidity} Humidity`, 60, nextY);
+    nextY += 60;
+  }
+
+  // Approaching precipitation from radar
+  const nowcastText = getNowcastText(nowcast, current.temperature);
+  if (nowcastText) {
+    ctx.font = 'bold 40px system-ui, sans-serif';
+    ctx.fillStyle = cardText();
+    ctx.fillText(nowcastText, 60, nextY);
   }
 
   // Weather icon (right side) - icon is without fa- prefix, add it
   drawWeatherIcon(ctx, `fa-${condition.icon}`, width - 200, 200, 160);
 
-  // Watermark - indicate data source based on whether we have observedAt (NWS) or not (Open-Meteo)
-  const dataSource = current.observedAt ? 'NWS' : 'Open-Meteo';
+  // Watermark with the weather provider
+  const dataSource = getSourceLabel(weatherData);
   const attribution = unsplashUsername
     ? `${dataSource} and @${unsplashUsername} on Unsplash`
     : dataSource;
@@ -1,6 +1,6 @@
 // Day forecast card renderer (Today/Tonight/Tomorrow)
 
-import { CARD_WIDTH, getTempHighColor, getTempLowColor, drawWatermark, drawWeatherIcon, loadImage, drawOverlay, drawFallbackBackground, cardText, cardDivider } from './core.js';
+import { CARD_WIDTH, getTempHighColor, getTempLowColor, drawWatermark, drawWeatherIcon, loadImage, drawOverlay, drawFallbackBackground, cardText, cardDivider, getSourceLabel } from './core.js';
 import { Units } from '../utils/units.js';
 
 // Create Today/Tonight/Tomorrow Card
@@ -184,8 +184,8 @@ export async function renderDayForecast(canvas, weatherData, backgroundUrl = nul
     ctx.stroke();
   }
 
-  // Watermark - determine data source from observedAt presence
-  const dataSource = weatherData?.current?.observedAt ? 'NWS' : 'Open-Meteo';
+  // Watermark with the weather provider
+  const dataSource = getSourceLabel(weatherData);
   const attribution = unsplashUsername
     ? `${dataSource} and @${unsplashUsername} on Unsplash`
     : dataSource;
@@ -1,6 +1,6 @@
 // Detailed forecast card renderer (Today/Tonight/Tomorrow with text forecast)
 
-import { CARD_WIDTH, drawWatermark, drawOverlay, drawFallbackBackground, drawWeatherIcon, wrapText, loadImage, cardText } from './core.js';
+import { CARD_WIDTH, drawWatermark, drawOverlay, drawFallbackBackground, drawWeatherIcon, wrapText, loadImage, cardText, getSourceLabel } from './core.js';
 
 // Layout constants for detailed forecast cards
 const detailedLayout = {
@@ -84,9 +84,10 @@ export async function renderDetailedForecast(canvas, forecastData, backgroundUrl
   }
 
   // Watermark with attribution
+  const dataSource = getSourceLabel(forecastData, 'NWS');
   const attribution = unsplashUsername
-    ? `NWS and @${unsplashUsername} on Unsplash`
-    : 'NWS';
+    ? `${dataSource} and @${unsplashUsername} on Unsplash`
+    : dataSource;
   drawWatermark(ctx, width, height, attribution, timezone);
 
   return canvas;
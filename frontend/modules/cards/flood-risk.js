@@ -0,0 +1,82 @@
+// WPC Excessive Rainfall Outlook (flood risk) card renderer: the national
+// outlook graphic with the category at the location beside it
+
+import { drawWatermark, drawPill, wrapText, loadImage, cardText } from './core.js';
+import { IMAGE_WIDTH, PANEL_PADDING, drawGraphicLayout } from './spc-outlook.js';
+import { getContrastingTextColor } from '../utils/palette-colors.js';
+
+// WPC categories, lowest first (the location's category is dayRisk.level)
+const CATEGORY_SCALE = ['Marginal', 'Slight', 'Moderate', 'High'];
+const SCALE_HEIGHT = 40;
+const SCALE_GAP = 6;
+
+// Create Flood Risk Card (one per day at risk)
+// dayRisk: /api/ero day entry ({ day, level, label, probability, fill, description, image })
+export async function renderFloodRisk(canvas, dayRisk, timezone = null) {
+  if (!dayRisk?.level) {
+    return null;
+  }
+
+  // National graphic on the left
+  const img = await loadImage(dayRisk.image);
+  const { ctx, width, height } = drawGraphicLayout(canvas, img, 0);
+
+  // Risk panel on the right
+  const panelX = IMAGE_WIDTH + PANEL_PADDING;
+  const panelRight = width - PANEL_PADDING;
+  const panelWidth = panelRight - panelX;
+  let y = PANEL_PADDING;
+
+  ctx.fillStyle = cardText();
+  ctx.font = 'bold 40px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(`Day ${dayRisk.day} Flood Risk`, panelX, y);
+  y += 60;
+
+  // Category in its WPC color
+  const fill = dayRisk.fill || '#888888';
+  drawPill(ctx, panelX, y, dayRisk.label, fill, getContrastingTextColor(fill));
+  y += 78;
+
+  ctx.fillStyle = cardText();
+  ctx.font = 'bold 32px system-ui, sans-serif';
+  ctx.textBaseline = 'top';
+  for (const line of wrapText(ctx, dayRisk.description, panelWidth)) {
+    ctx.fillText(line, panelX, y);
+    y += 42;
+  }
+  y += 24;
+
+  // Category scale: segments up to the location's category are filled
+  const segmentWidth = (panelWidth - SCALE_GAP * (CATEGORY_SCALE.length - 1)) / CATEGORY_SCALE.length;
+  CATEGORY_SCALE.forEach((label, i) => {
+    const x = panelX + i * (segmentWidth + SCALE_GAP);
+    const active = i < dayRisk.level;
+    ctx.fillStyle = active ? fill : cardText(0.15);
+    ctx.beginPath();
+    ctx.roundRect(x, y, segmentWidth, SCALE_HEIGHT, 8);
+    ctx.fill();
+
+    ctx.fillStyle = active ? getContrastingTextColor(fill) : cardText(0.6);
+    ctx.font = `${i === dayRisk.level - 1 ? 'bold ' : ''}16px system-ui, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, x + segmentWidth / 2, y + SCALE_HEIGHT / 2);
+  });
+  y += SCALE_HEIGHT + 30;
+
+  ctx.fillStyle = cardText(0.7);
+  ctx.font = '20px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  const note = `At least ${dayRisk.probability}% chance of rain exceeding flash flood guidance within 25 miles of a point`;
+  for (const line of wrapText(ctx, note, panelWidth)) {
+    ctx.fillText(line, panelX, y);
+    y += 28;
+  }
+
+  drawWatermark(ctx, width, height, 'NOAA/WPC', timezone);
+
+  return canvas;
+}
@@ -1,6 +1,7 @@
-// Forecast graph card renderer (5-day forecast with line graph)
+// Forecast graph card renderer (5-day forecast with line graph, precipitation-chance
+// bars and peak wind)
 
-import { CARD_WIDTH, getTempHighColor, getTempLowColor, drawWatermark, drawWeatherIcon, loadImage, drawOverlay, drawFallbackBackground, cardText } from './core.js';
+import { CARD_WIDTH, getTempHighColor, getTempLowColor, drawWatermark, drawWeatherIcon, drawPrecipBar, loadImage, drawOverlay, drawFallbackBackground, cardText, getSourceLabel } from './core.js';
 import { Units } from '../utils/units.js';
 
 // Create 5-Day Forecast Card with line graph
@@ -8,7 +9,7 @@ import { Units } from '../utils/units.js';
 export async function renderForecastGraph(canvas, weatherData, locationName = '5-Day Forecast', backgroundUrl = null, unsplashUsername = null, timezone = null) {
   const ctx = canvas.getContext('2d');
   const width = CARD_WIDTH;
-  const height = 700;
+  const height = 760;
   canvas.width = width;
   canvas.height = height;
 
@@ -40,7 +41,7 @@ export async function renderForecastGraph(canvas, weatherData, locationName = '5
     return canvas;
   }
   const days = completeDays.length;
-  const padding = { left: 100, right: 100, top: 170, bottom: 220 };
+  const padding = { left: 100, right: 100, top: 170, bottom: 280 };
   const graphWidth = width - padding.left - padding.right;
   const graphHeight = height - padding.top - padding.bottom;
 
@@ -70,6 +71,20 @@ export async function renderForecastGraph(canvas, weatherData, locationName = '5
     lowPoints.push({ x, y: lowY, temp: day.low });
   }
 
+  // Precipitation-chance bars behind the temperature lines, labelled at their foot
+  const barWidth = Math.min(80, graphWidth / days * 0.4);
+  highPoints.forEach(p => {
+    const probability = p.day.precipProbability;
+    drawPrecipBar(ctx, p.x, height - padding.bottom, barWidth, graphHeight, probability);
+    if (probability >= 10) {
+      ctx.fillStyle = cardText(0.8);
+      ctx.font = 'bold 22px system-ui, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(`${Math.round(probability)}%`, p.x, height - padding.bottom - 6);
+    }
+  });
+
   // Draw filled area between lines
   ctx.beginPath();
   ctx.moveTo(highPoints[0].x, highPoints[0].y);
@@ -139,10 +154,20 @@ export async function renderForecastGraph(canvas, weatherData, locationName = '5
     // Weather icon
     const icon = `fa-${p.day.condition?.icon || 'cloud-sun'}`;
     drawWeatherIcon(ctx, icon, p.x, height - padding.bottom + 140, 40);
+
+    // Peak wind (gusts when available, otherwise sustained speed)
+    const peakWind = p.day.windGust ?? p.day.windSpeed;
+    if (peakWind != null) {
+      const dir = p.day.windDirection != null ? `${Units.windDirection(p.day.windDirection)} ` : '';
+      ctx.fillStyle = cardText(0.8);
+      ctx.font = '22px system-ui, sans-serif';
+      ctx.textBaseline = 'top';
+      ctx.fillText(`${dir}${Units.formatWind(peakWind)}`, p.x, height - padding.bottom + 180);
+    }
   });
 
-  // Watermark - determine data source from observedAt presence
-  const dataSource = weatherData?.current?.observedAt ? 'NWS' : 'Open-Meteo';
+  // Watermark with the weather provider
+  const dataSource = getSourceLabel(weatherData);
   const attribution = unsplashUsername
     ? `${dataSource} and @${unsplashUsername} on Unsplash`
     : dataSource;
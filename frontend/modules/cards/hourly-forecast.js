@@ -1,8 +1,30 @@
-// Hourly forecast card renderer (24-hour forecast with temperature line graph)
+// Hourly forecast card renderer (pages of 12 or 24 hours with temperature line
+// graph, precipitation-chance bars and wind)
 
-import { CARD_WIDTH, getTempLowColor, drawWatermark, drawWeatherIcon, loadImage, drawOverlay, drawFallbackBackground, cardText } from './core.js';
+import { CARD_WIDTH, getTempLowColor, drawWatermark, drawWeatherIcon, drawPrecipBar, loadImage, drawOverlay, drawFallbackBackground, cardText, getSourceLabel } from './core.js';
 import { Units } from '../utils/units.js';
 
+// Hours shown per card page: the default, and the window sizes the card
+// toggles between
+export const HOURLY_PAGE_HOURS = 24;
+export const HOURLY_PAGE_WINDOWS = [HOURLY_PAGE_HOURS, 12];
+
+// Number of full pages available in the hourly data (at least one)
+export function getHourlyPageCount(weatherData, pageHours = HOURLY_PAGE_HOURS) {
+  const count = weatherData?.hourly?.length || 0;
+  return Math.max(1, Math.floor(count / pageHours));
+}
+
+// Title for a page: "Next 24 Hours" for the first, otherwise the time range
+// (e.g. "Sat 2PM – Sun 1PM")
+function getPageTitle(hours, page, pageHours, timezone) {
+  if (page === 0) return `Next ${pageHours} Hours`;
+  const opts = { weekday: 'short', hour: 'numeric', hour12: true };
+  if (timezone) opts.timeZone = timezone;
+  const format = (time) => new Date(time).toLocaleString('en-US', opts).replace(' AM', 'AM').replace(' PM', 'PM');
+  return `${format(hours[0].time)} – ${format(hours[hours.length - 1].time)}`;
+}
+
 // Night icon mappings for clear/partly-cloudy conditions
 const NIGHT_ICON_MAP = {
   'sun': 'moon',
@@ -62,10 +84,11 @@ function getHourlyIcon(condition, time, daily, timezone) {
 
 // Create Hourly Forecast Card with temperature line graph
 // timezone: IANA timezone string for displaying location's local time
-export async function renderHourlyForecast(canvas, weatherData, cityName = '', backgroundUrl = null, unsplashUsername = null, timezone = null) {
+// page/pageHours: which window of the hourly data to draw (page 0 starts now)
+export async function renderHourlyForecast(canvas, weatherData, cityName = '', backgroundUrl = null, unsplashUsername = null, timezone = null, page = 0, pageHours = HOURLY_PAGE_HOURS) {
   const ctx = canvas.getContext('2d');
   const width = CARD_WIDTH;
-  const height = 500;
+  const height = 580;
   canvas.width = width;
   canvas.height = height;
 
@@ -93,19 +116,32 @@ export async function renderHourlyForecast(canvas, weatherData, cityName = '', b
     return canvas;
   }
 
-  // Take first 24 hours
-  const hours = hourly.slice(0, 24);
-  const padding = { left: 80, right: 80, top: 120, bottom: 140 };
+  // Slice out the requested page (fall back to the first if it's out of range)
+  const pageCount = getHourlyPageCount(weatherData, pageHours);
+  if (page >= pageCount) page = 0;
+  const hours = hourly.slice(page * pageHours, (page + 1) * pageHours);
+  const padding = { left: 80, right: 80, top: 120, bottom: 220 };
   const graphWidth = width - padding.left - padding.right;
   const graphHeight = height - padding.top - padding.bottom;
 
   // Header: calendar icon + title
   drawWeatherIcon(ctx, 'fa-calendar-day', 80, 54, 64);
   ctx.fillStyle = cardText();
-  ctx.font = 'bold 48px system-ui, sans-serif';
   ctx.textAlign = 'left';
   ctx.textBaseline = 'middle';
-  ctx.fillText(cityName ? `Next 24 Hours in ${cityName}` : 'Next 24 Hours', 130, 54);
+  const pageTitle = getPageTitle(hours, page, pageHours, timezone);
+  const title = cityName ? `${pageTitle} in ${cityName}` : pageTitle;
+  // Leave room on the right for the window toggle and page arrows overlaid
+  // when any window size has more than one page
+  const paged = HOURLY_PAGE_WINDOWS.some(size => getHourlyPageCount(weatherData, size) > 1);
+  const titleMaxWidth = width - 130 - (paged ? 360 : 40);
+  let titleSize = 48;
+  ctx.font = `bold ${titleSize}px system-ui, sans-serif`;
+  while (titleSize > 28 && ctx.measureText(title).width > titleMaxWidth) {
+    titleSize -= 2;
+    ctx.font = `bold ${titleSize}px system-ui, sans-serif`;
+  }
+  ctx.fillText(title, 130, 54);
 
   // Get temperature range
   const temps = hours.map(h => h.temperature);
@@ -119,13 +155,19 @@ export async function renderHourlyForecast(canvas, weatherData, cityName = '', b
   const adjustedMax = maxTemp + tempPadding;
   const adjustedRange = adjustedMax - adjustedMin;
 
-  // Calculate points for all 24 hours
+  // Calculate points for every hour on the page
   const points = hours.map((hour, i) => {
     const x = padding.left + (i / (hours.length - 1)) * graphWidth;
     const y = padding.top + (1 - (hour.temperature - adjustedMin) / adjustedRange) * graphHeight;
     return { x, y, temp: hour.temperature, hour };
   });
 
+  // Precipitation-chance bars behind the temperature line (100% = 60% of graph height)
+  const barWidth = (graphWidth / Math.max(hours.length - 1, 1)) * 0.6;
+  points.forEach(p => {
+    drawPrecipBar(ctx, p.x, height - padding.bottom, barWidth, graphHeight * 0.6, p.hour.precipProbability);
+  });
+
   // Draw filled area under the line
   ctx.beginPath();
   ctx.moveTo(points[0].x, height - padding.bottom);
@@ -143,12 +185,11 @@ export async function renderHourlyForecast(canvas, weatherData, cityName = '', b
   ctx.lineWidth = 4;
   ctx.stroke();
 
-  // Draw data points and labels every 4 hours (6 points total: 0, 4, 8, 12, 16, 20)
-  const labelIndices = [0, 4, 8, 12, 16, 20];
-
-  labelIndices.forEach(i => {
-    if (i >= points.length) return;
+  // Draw data points and labels at 6 evenly spaced hours
+  // (every 4 hours on a 24-hour page, every 2 on a 12-hour page)
+  const labelStep = Math.max(1, Math.round(pageHours / 6));
 
+  for (let i = 0; i < points.length; i += labelStep) {
     const p = points[i];
     const hour = hours[i];
 
@@ -180,13 +221,35 @@ export async function renderHourlyForecast(canvas, weatherData, cityName = '', b
     ctx.textBaseline = 'top';
     ctx.fillText(timeStr, p.x, height - padding.bottom + 15);
 
+    // Precipitation chance label at the foot of the bar (skip negligible chances)
+    if (hour.precipProbability >= 10) {
+      ctx.fillStyle = cardText(0.8);
+      ctx.font = 'bold 20px system-ui, sans-serif';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(`${Math.round(hour.precipProbability)}%`, p.x, height - padding.bottom - 6);
+    }
+
     // Weather icon
     const icon = `fa-${getHourlyIcon(hour.condition, hour.time, daily, timezone)}`;
     drawWeatherIcon(ctx, icon, p.x, height - padding.bottom + 70, 36);
-  });
+
+    // Wind (direction + speed), with gusts on a second line when notably higher
+    if (hour.windSpeed != null) {
+      const dir = hour.windDirection != null ? `${Units.windDirection(hour.windDirection)} ` : '';
+      ctx.fillStyle = cardText(0.8);
+      ctx.font = '20px system-ui, sans-serif';
+      ctx.textBaseline = 'top';
+      ctx.fillText(`${dir}${Units.formatWind(hour.windSpeed)}`, p.x, height - padding.bottom + 105);
+      if (hour.windGust != null && hour.windGust > hour.windSpeed + 10) {
+        ctx.fillStyle = cardText(0.6);
+        ctx.font = '18px system-ui, sans-serif';
+        ctx.fillText(`Gusts ${Units.formatWind(hour.windGust)}`, p.x, height - padding.bottom + 130);
+      }
+    }
+  }
 
   // Watermark
-  const dataSource = weatherData?.current?.observedAt ? 'NWS' : 'Open-Meteo';
+  const dataSource = getSourceLabel(weatherData);
   const attribution = unsplashUsername
     ? `${dataSource} and @${unsplashUsername} on Unsplash`
     : dataSource;
@@ -6,10 +6,15 @@ import { getConditionQuery, getConditionText } from './condition-utils.js';
 import { renderCurrentConditions } from './current.js';
 import { renderDayForecast } from './day-forecast.js';
 import { renderForecastGraph } from './forecast-graph.js';
-import { renderHourlyForecast } from './hourly-forecast.js';
+import { renderHourlyForecast, getHourlyPageCount, HOURLY_PAGE_WINDOWS } from './hourly-forecast.js';
 import { renderSunTimes } from './sun-times.js';
+import { renderAirQuality } from './air-quality.js';
+import { renderPollen } from './pollen.js';
 import { renderAlert } from './alert.js';
 import { renderDetailedForecast } from './detailed.js';
+import { renderAfd, createAfdTextView } from './afd.js';
+import { renderSpcOutlook, renderSpcExtended } from './spc-outlook.js';
+import { renderFloodRisk } from './flood-risk.js';
 import { shareCard, downloadCard, createCardActions, createCardContainer } from './share.js';
 
 // Lazy-loaded map card modules (keeps maplibre-gl out of main bundle)
@@ -20,11 +25,27 @@ async function createAlertMapCard(...args) {
   return create(...args);
 }
 
+async function createSpcMapCard(...args) {
+  const { createSpcMapCard: create } = await import('./spc-map.js');
+  return create(...args);
+}
+
+async function createTropicalMapCard(...args) {
+  const { createTropicalMapCard: create } = await import('./tropical-map.js');
+  return create(...args);
+}
+
 async function createRadarCard(...args) {
   const { createRadarCard: create } = await import('./radar.js');
   return create(...args);
 }
 
+// Storm nowcast samples the radar frames behind the radar card
+async function computeStormNowcast(...args) {
+  const { computeStormNowcast: compute } = await import('./radar-nowcast.js');
+  return compute(...args);
+}
+
 async function createSatelliteCard(...args) {
   const { createSatelliteCard: create } = await import('./satellite.js');
   return create(...args);
@@ -45,11 +66,23 @@ export const WeatherCards = {
   renderDayForecast,
   renderForecastGraph,
   renderHourlyForecast,
+  getHourlyPageCount,
+  HOURLY_PAGE_WINDOWS,
   renderSunTimes,
+  renderAirQuality,
+  renderPollen,
   renderAlert,
   createAlertMapCard,
+  createSpcMapCard,
+  createTropicalMapCard,
   renderDetailedForecast,
+  renderAfd,
+  createAfdTextView,
+  renderSpcOutlook,
+  renderSpcExtended,
+  renderFloodRisk,
   createRadarCard,
+  computeStormNowcast,
   createSatelliteCard,
 
   // Share/download utilities
@@ -67,11 +100,23 @@ export {
   renderDayForecast,
   renderForecastGraph,
   renderHourlyForecast,
+  getHourlyPageCount,
+  HOURLY_PAGE_WINDOWS,
   renderSunTimes,
+  renderAirQuality,
+  renderPollen,
   renderAlert,
   createAlertMapCard,
+  createSpcMapCard,
+  createTropicalMapCard,
   renderDetailedForecast,
+  renderAfd,
+  createAfdTextView,
+  renderSpcOutlook,
+  renderSpcExtended,
+  renderFloodRisk,
   createRadarCard,
+  computeStormNowcast,
   createSatelliteCard,
   shareCard,
   downloadCard,
@@ -0,0 +1,103 @@
+// Pollen card renderer (24-hour peak level per pollen type)
+
+import { CARD_WIDTH, drawWatermark, drawOverlay, drawFallbackBackground, drawWeatherIcon, loadImage, cardText } from './core.js';
+
+// Display label and color per level (levels come from the worker's NAB scales)
+const POLLEN_LEVEL_STYLES = {
+  'none': { label: 'None', color: null },
+  'low': { label: 'Low', color: '#22c55e' },
+  'moderate': { label: 'Moderate', color: '#eab308' },
+  'high': { label: 'High', color: '#f97316' },
+  'very-high': { label: 'Very High', color: '#ef4444' }
+};
+const LEVEL_SEGMENTS = ['low', 'moderate', 'high', 'very-high'];
+
+// Create Pollen Card
+// pollen: { types: [{ key, name, current, peak, level }] } from /api/pollen
+// timezone: IANA timezone string for the watermark timestamp
+export async function renderPollen(canvas, pollen, cityName = '', backgroundUrl = null, unsplashUsername = null, timezone = null) {
+  const types = pollen?.types || [];
+  if (types.length === 0) {
+    return null;
+  }
+
+  const ctx = canvas.getContext('2d');
+  const width = CARD_WIDTH;
+  const rowHeight = 64;
+  const rowsTop = 150;
+  const height = rowsTop + types.length * rowHeight + 70;
+  canvas.width = width;
+  canvas.height = height;
+
+  // Draw background
+  if (backgroundUrl) {
+    try {
+      const img = await loadImage(backgroundUrl);
+      const scale = Math.max(width / img.width, height / img.height);
+      const x = (width - img.width * scale) / 2;
+      const y = (height - img.height * scale) / 2;
+      ctx.drawImage(img, x, y, img.width * scale, img.height * scale);
+      drawOverlay(ctx, width, height, 0.6);
+    } catch (e) {
+      drawFallbackBackground(ctx, width, height);
+    }
+  } else {
+    drawFallbackBackground(ctx, width, height);
+  }
+
+  // Header: flower icon + title
+  drawWeatherIcon(ctx, 'fa-flower', 80, 54, 64);
+  ctx.fillStyle = cardText();
+  ctx.font = 'bold 48px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(cityName ? `Pollen in ${cityName}` : 'Pollen', 130, 54);
+
+  ctx.fillStyle = cardText(0.7);
+  ctx.font = '22px system-ui, sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillText('Peak in the next 24 hours', width - 80, 120);
+
+  // One row per pollen type: name, four-segment level meter, level and count
+  const meterX = 320;
+  const segmentWidth = 90;
+  const segmentGap = 8;
+
+  types.forEach((type, i) => {
+    const centerY = rowsTop + i * rowHeight + rowHeight / 2;
+    const style = POLLEN_LEVEL_STYLES[type.level] || POLLEN_LEVEL_STYLES.none;
+    const filled = LEVEL_SEGMENTS.indexOf(type.level) + 1;
+
+    ctx.fillStyle = cardText();
+    ctx.font = 'bold 34px system-ui, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(type.name, 80, centerY);
+
+    LEVEL_SEGMENTS.forEach((_, s) => {
+      ctx.fillStyle = s < filled ? style.color : cardText(0.15);
+      ctx.beginPath();
+      ctx.roundRect(meterX + s * (segmentWidth + segmentGap), centerY - 10, segmentWidth, 20, 10);
+      ctx.fill();
+    });
+
+    ctx.fillStyle = cardText();
+    ctx.font = 'bold 30px system-ui, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(style.label, meterX + LEVEL_SEGMENTS.length * (segmentWidth + segmentGap) + 30, centerY);
+
+    ctx.fillStyle = cardText(0.8);
+    ctx.font = '26px system-ui, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${Math.round(type.peak)} grains/m³`, width - 80, centerY);
+  });
+
+  // Watermark with data source and photo attribution
+  const dataSource = 'Open-Meteo/CAMS';
+  const attribution = unsplashUsername
+    ? `${dataSource} and @${unsplashUsername} on Unsplash`
+    : dataSource;
+  drawWatermark(ctx, width, height, attribution, timezone);
+
+  return canvas;
+}
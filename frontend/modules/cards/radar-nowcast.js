@@ -0,0 +1,204 @@
+// Storm approach nowcast: samples NOAA base reflectivity around a location in
+// the browser, finds the nearest precipitation echo and tracks how fast it
+// closes in between the oldest and latest loop frames
+
+import { radarColors } from './radar.js';
+
+// Sampled area: a square NOWCAST_RADIUS_KM either side of the location,
+// fetched through the radar tile proxy (256px WMS images)
+const NOWCAST_RADIUS_KM = 150;
+const SAMPLE_SIZE = 256;
+const WEB_MERCATOR_EXTENT = 20037508.34;
+
+// Echoes weaker than this are mostly clutter or virga
+const MIN_ECHO_DBZ = 20;
+// Pixels further than this (squared RGB distance) from every scale color are
+// basemap or anti-aliasing, not reflectivity
+const MAX_COLOR_DISTANCE = 60 * 60 * 3;
+const MIN_ALPHA = 128;
+
+// Echoes this close count as overhead
+const OVERHEAD_KM = 3;
+// Frames closer together than this give unreliable motion
+const MIN_FRAME_SPAN_MINUTES = 4;
+// Slower closing speeds read as stationary; later arrivals aren't shown
+const MIN_CLOSING_KMH = 5;
+const MAX_ETA_MINUTES = 180;
+
+// Color scale entries ({ dbz, color: '#rrggbb' }) -> RGB for pixel matching
+function toScaleRgb(entries) {
+  return entries.map(({ dbz, color }) => ({
+    dbz,
+    r: parseInt(color.slice(1, 3), 16),
+    g: parseInt(color.slice(3, 5), 16),
+    b: parseInt(color.slice(5, 7), 16)
+  }));
+}
+
+// The reflectivity layer's own color map (GeoServer JSON legend via
+// /api/radar/legend), so pixels decode against the style actually drawn;
+// falls back to the card legend's colors when it can't be read
+async function fetchReflectivityScale(radarData, layer) {
+  try {
+    const params = new URLSearchParams({ region: radarData.region, layer, format: 'json' });
+    const response = await fetch(`/api/radar/legend?${params.toString()}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const legend = await response.json();
+    const entries = (legend.Legend || [])
+      .flatMap(item => item.rules || [])
+      .flatMap(rule => rule.symbolizers || [])
+      .flatMap(symbolizer => symbolizer.Raster?.colormap?.entries || [])
+      .filter(entry => Number(entry.opacity ?? 1) > 0 && /^#[0-9a-f]{6}$/i.test(entry.color) && Number.isFinite(parseFloat(entry.quantity)))
+      .map(entry => ({ dbz: Math.max(0, Math.round(parseFloat(entry.quantity))), color: entry.color }));
+    if (entries.length === 0) throw new Error('no color map entries');
+    return toScaleRgb(entries);
+  } catch (e) {
+    console.warn('Reflectivity legend unavailable, using built-in colors:', e);
+    return toScaleRgb(radarColors);
+  }
+}
+
+// Web Mercator bbox (EPSG:3857) of the sampled square around a location;
+// Mercator meters stretch by 1/cos(lat), so the half-width is scaled to match
+function sampleBbox(lat, lon) {
+  const x = (lon / 180) * WEB_MERCATOR_EXTENT;
+  const y = Math.log(Math.tan((90 + lat) * Math.PI / 360)) / (Math.PI / 180) * (WEB_MERCATOR_EXTENT / 180);
+  const half = NOWCAST_RADIUS_KM * 1000 / Math.cos(lat * Math.PI / 180);
+  return [x - half, y - half, x + half, y + half].join(',');
+}
+
+// Match a pixel to the nearest dBZ scale color (0 when it isn't reflectivity)
+function pixelDbz(scaleRgb, r, g, b, a) {
+  if (a < MIN_ALPHA) return 0;
+  let best = 0;
+  let bestDistance = MAX_COLOR_DISTANCE;
+  for (const c of scaleRgb) {
+    const distance = (r - c.r) ** 2 + (g - c.g) ** 2 + (b - c.b) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = c.dbz;
+    }
+  }
+  return best;
+}
+
+// Fetch a reflectivity frame and decode it into a grid of dBZ values
+// scalePromise: color scale (fetchReflectivityScale), awaited once the frame is in
+async function fetchReflectivityGrid(radarData, layer, time, bbox, scalePromise) {
+  const params = new URLSearchParams({ region: radarData.region, layer, bbox });
+  if (time) params.set('time', time);
+  const response = await fetch(`/api/radar/tile?${params.toString()}`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const bitmap = await createImageBitmap(await response.blob());
+
+  const canvas = document.createElement('canvas');
+  canvas.width = SAMPLE_SIZE;
+  canvas.height = SAMPLE_SIZE;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+  const { data } = ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+  const scaleRgb = await scalePromise;
+
+  const grid = new Uint8Array(SAMPLE_SIZE * SAMPLE_SIZE);
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] = pixelDbz(scaleRgb, data[i * 4], data[i * 4 + 1], data[i * 4 + 2], data[i * 4 + 3]);
+  }
+  return grid;
+}
+
+// Nearest echo to the grid center: distance (km), bearing (degrees from the
+// location) and the strongest dBZ in the connected echo it belongs to
+function findNearestEcho(grid) {
+  const center = (SAMPLE_SIZE - 1) / 2;
+  let nearest = -1;
+  let nearestDistance = Infinity;
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] < MIN_ECHO_DBZ) continue;
+    const dx = (i % SAMPLE_SIZE) - center;
+    const dy = Math.floor(i / SAMPLE_SIZE) - center;
+    const distance = dx * dx + dy * dy;
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearest = i;
+    }
+  }
+  if (nearest < 0) return null;
+
+  // Flood fill the echo for its peak intensity
+  let maxDbz = 0;
+  const seen = new Uint8Array(grid.length);
+  const stack = [nearest];
+  seen[nearest] = 1;
+  while (stack.length > 0) {
+    const i = stack.pop();
+    maxDbz = Math.max(maxDbz, grid[i]);
+    const col = i % SAMPLE_SIZE;
+    const neighbors = [
+      col > 0 ? i - 1 : -1,
+      col < SAMPLE_SIZE - 1 ? i + 1 : -1,
+      i - SAMPLE_SIZE,
+      i + SAMPLE_SIZE
+    ];
+    for (const n of neighbors) {
+      if (n >= 0 && n < grid.length && !seen[n] && grid[n] >= MIN_ECHO_DBZ) {
+        seen[n] = 1;
+        stack.push(n);
+      }
+    }
+  }
+
+  const kmPerPixel = (NOWCAST_RADIUS_KM * 2) / SAMPLE_SIZE;
+  const dx = (nearest % SAMPLE_SIZE) - center;
+  const dy = center - Math.floor(nearest / SAMPLE_SIZE);
+  return {
+    distanceKm: Math.sqrt(nearestDistance) * kmPerPixel,
+    bearing: (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360,
+    maxDbz
+  };
+}
+
+/**
+ * Storm approach nowcast for a location from NOAA base reflectivity
+ * @param {Object} radarData - /api/radar response (NOAA regions only; global composite returns null)
+ * @param {number} lat - Location latitude
+ * @param {number} lon - Location longitude
+ * @returns {Promise<Object|null>} { distanceKm, bearing, maxDbz, overhead, etaMinutes } or null when no echo is in range
+ */
+export async function computeStormNowcast(radarData, lat, lon) {
+  if (!radarData?.coverage || radarData.source === 'rainviewer' || lat == null || lon == null) {
+    return null;
+  }
+  const reflectivity = radarData.products?.reflectivity;
+  const layer = reflectivity?.layer || `${radarData.region}_bref_qcd`;
+  const timestamps = reflectivity?.timestamps?.length ? reflectivity.timestamps : [radarData.timestamp];
+  const latestTime = timestamps[timestamps.length - 1];
+  const bbox = sampleBbox(lat, lon);
+
+  // Closing speed comes from the oldest loop frame; both frames are fetched
+  // together, alongside the color scale they're decoded with
+  const spanMinutes = timestamps.length > 1
+    ? (Date.parse(latestTime) - Date.parse(timestamps[0])) / 60000
+    : 0;
+  const hasMotion = spanMinutes >= MIN_FRAME_SPAN_MINUTES;
+  const scalePromise = fetchReflectivityScale(radarData, layer);
+  const [latestGrid, earlierGrid] = await Promise.all([
+    fetchReflectivityGrid(radarData, layer, latestTime, bbox, scalePromise),
+    hasMotion ? fetchReflectivityGrid(radarData, layer, timestamps[0], bbox, scalePromise).catch(() => null) : null
+  ]);
+
+  const latest = findNearestEcho(latestGrid);
+  if (!latest) return null;
+
+  const nowcast = { ...latest, overhead: latest.distanceKm <= OVERHEAD_KM, etaMinutes: null };
+  if (nowcast.overhead || !earlierGrid) return nowcast;
+
+  const earlier = findNearestEcho(earlierGrid);
+  if (!earlier) return nowcast;
+
+  const closingKmh = (earlier.distanceKm - latest.distanceKm) / (spanMinutes / 60);
+  if (closingKmh >= MIN_CLOSING_KMH) {
+    const etaMinutes = (latest.distanceKm / closingKmh) * 60;
+    if (etaMinutes <= MAX_ETA_MINUTES) nowcast.etaMinutes = etaMinutes;
+  }
+  return nowcast;
+}
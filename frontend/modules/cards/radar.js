@@ -1,10 +1,11 @@
 // Radar card renderer with lazy-loaded MapLibre
 
-import { CARD_WIDTH, CARD_HEIGHT, drawWatermark, drawFallbackBackground, drawWeatherIcon, cardText, cardOverlay, cardDivider } from './core.js';
+import { CARD_WIDTH, CARD_HEIGHT, drawWatermark, drawFallbackBackground, drawWeatherIcon, cardText, cardOverlay, cardDivider, loadImage } from './core.js';
 import { getRadarMarkerColor } from '../utils/palette-colors.js';
-import { createCardContainer, createCardActions, shareCard, downloadCard } from './share.js';
-import { ensureMapLibre, waitForDOMConnection, exportMapToCanvas } from '../utils/map-utils.js';
+import { createCardContainer, createCardActions, createLoopCardActions, shareCard, downloadCard } from './share.js';
+import { ensureMapLibre, waitForDOMConnection, exportMapToCanvas, createMapFrameLoop } from '../utils/map-utils.js';
 import { attachLightboxHandler } from '../ui/lightbox.js';
+import { getNowcastText } from './condition-utils.js';
 
 // Layout constants
 const HEADER_HEIGHT = 70;
@@ -13,10 +14,12 @@ const HEADER_BG_OPACITY = 0.7;
 const TITLE_FONT_SIZE = 36;
 const TIMESTAMP_FONT_SIZE = 24;
 const TIMESTAMP_TEXT_OPACITY = 0.8;
+const NOWCAST_BAND_HEIGHT = 44;
+const NOWCAST_FONT_SIZE = 24;
 
 const LEGEND_WIDTH = 200;
 const LEGEND_HEIGHT = 20;
-const LEGEND_BOTTOM_OFFSET = 60;
+const LEGEND_BOTTOM_OFFSET = 100; // clears the watermark timestamp below
 const LEGEND_BG_OPACITY = 0.6;
 const LEGEND_PADDING_X = 10;
 const LEGEND_PADDING_Y_TOP = 25;
@@ -25,6 +28,11 @@ const LEGEND_LABEL_FONT_SIZE = 14;
 const LEGEND_LABEL_OFFSET_TOP = 20;
 const LEGEND_LABEL_OFFSET_BOTTOM = 4;
 const LEGEND_BORDER_OPACITY = 0.5;
+const LEGEND_IMAGE_MAX_WIDTH = 260;
+const LEGEND_IMAGE_MAX_HEIGHT = 280;
+const LEGEND_IMAGE_BG = 'rgba(255, 255, 255, 0.85)';
+
+const RADAR_OPACITY = 0.9;
 
 const MARKER_DEFAULT_SIZE = 24;
 const MARKER_LARGE_SIZE = 32;
@@ -42,7 +50,7 @@ const UNAVAILABLE_SUBTEXT_OPACITY = 0.5;
 const WEB_MERCATOR_EXTENT = 20037508.34;
 
 // Radar dBZ color scale (reflectivity values and colors)
-const radarColors = [
+export const radarColors = [
   { dbz: 5, color: '#04e9e7' },   // Light cyan
   { dbz: 10, color: '#019ff4' },  // Light blue
   { dbz: 15, color: '#0300f4' },  // Blue
@@ -59,6 +67,44 @@ const radarColors = [
   { dbz: 70, color: '#9854c6' },  // Purple
 ];
 
+// Global (RainViewer "Universal Blue") dBZ color scale, shown as the legend
+// when NOAA radar isn't available
+const globalRadarColors = [
+  { dbz: 10, color: '#88ddee' },  // Pale blue
+  { dbz: 15, color: '#0099cc' },  // Light blue
+  { dbz: 20, color: '#0077aa' },  // Blue
+  { dbz: 25, color: '#005588' },  // Dark blue
+  { dbz: 30, color: '#ffee00' },  // Yellow
+  { dbz: 35, color: '#ffaa00' },  // Amber
+  { dbz: 40, color: '#ff7000' },  // Orange
+  { dbz: 45, color: '#ff4400' },  // Red-orange
+  { dbz: 50, color: '#c10000' },  // Red
+  { dbz: 55, color: '#ffaaff' },  // Pink
+  { dbz: 60, color: '#ff44ff' },  // Magenta
+  { dbz: 65, color: '#ff00ff' },  // Bright magenta
+];
+
+// Radar products (keys match the worker's NOAA_RADAR_CONFIG layers) with their
+// picker labels. Reflectivity draws its dBZ scale; the MRMS products use the
+// geoserver's own legend graphic (/api/radar/legend) so it matches the layer style
+const RADAR_PRODUCTS = {
+  reflectivity: {
+    label: 'Reflectivity',
+    legend: { title: 'dBZ', colors: radarColors.map(c => c.color), min: '5', max: '70+' }
+  },
+  precipType: { label: 'Precip Type' },
+  echoTops: { label: 'Echo Tops' },
+  qpe: { label: '1-hr Rain' }
+};
+
+// Global composite legend (RainViewer Universal Blue)
+const GLOBAL_RADAR_LEGEND = {
+  title: 'dBZ',
+  colors: globalRadarColors.map(c => c.color),
+  min: String(globalRadarColors[0].dbz),
+  max: `${globalRadarColors[globalRadarColors.length - 1].dbz}+`
+};
+
 // Draw location marker (red pin with white glow)
 function drawLocationMarker(ctx, x, y, size = MARKER_DEFAULT_SIZE) {
   ctx.save();
@@ -69,8 +115,10 @@ function drawLocationMarker(ctx, x, y, size = MARKER_DEFAULT_SIZE) {
 }
 
 // Draw radar header bar
+// timestamp: time of the frame shown; isLatest labels it "Updated" (older loop frames show just the time)
+// productLabel: shown before the time when the card offers several products
 // timezone: IANA timezone string for displaying location's local time
-function drawRadarHeader(ctx, width, radarData, locationName, timezone = null) {
+function drawRadarHeader(ctx, width, timestamp, locationName, timezone = null, isLatest = true, productLabel = null) {
   // Semi-transparent header background
   ctx.fillStyle = cardOverlay(HEADER_BG_OPACITY);
   ctx.fillRect(0, 0, width, HEADER_HEIGHT);
@@ -84,20 +132,34 @@ function drawRadarHeader(ctx, width, radarData, locationName, timezone = null) {
   ctx.fillText(title, HEADER_PADDING, HEADER_HEIGHT / 2);
 
   // Timestamp (right side) - use location's timezone if provided
-  if (radarData?.timestamp) {
+  if (timestamp) {
     ctx.font = `${TIMESTAMP_FONT_SIZE}px system-ui, sans-serif`;
     ctx.textAlign = 'right';
     ctx.fillStyle = cardText(TIMESTAMP_TEXT_OPACITY);
-    const date = new Date(radarData.timestamp);
+    const date = new Date(timestamp);
     const timeOpts = { hour: 'numeric', minute: '2-digit' };
     if (timezone) timeOpts.timeZone = timezone;
     const timeStr = date.toLocaleTimeString(undefined, timeOpts);
-    ctx.fillText(`Updated: ${timeStr}`, width - HEADER_PADDING, HEADER_HEIGHT / 2);
+    const label = isLatest ? `Updated: ${timeStr}` : timeStr;
+    ctx.fillText(productLabel ? `${productLabel} · ${label}` : label, width - HEADER_PADDING, HEADER_HEIGHT / 2);
   }
 }
 
-// Draw radar legend (dBZ color scale)
-function drawRadarLegend(ctx, width, height) {
+// Draw the storm approach nowcast in a band under the right side of the header
+function drawNowcastBand(ctx, width, text) {
+  ctx.font = `bold ${NOWCAST_FONT_SIZE}px system-ui, sans-serif`;
+  const bandWidth = ctx.measureText(text).width + HEADER_PADDING * 2;
+  ctx.fillStyle = cardOverlay(HEADER_BG_OPACITY);
+  ctx.fillRect(width - bandWidth, HEADER_HEIGHT, bandWidth, NOWCAST_BAND_HEIGHT);
+
+  ctx.fillStyle = cardText();
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, width - HEADER_PADDING, HEADER_HEIGHT + NOWCAST_BAND_HEIGHT / 2);
+}
+
+// Draw radar legend (continuous color scale with the title above and range ends below)
+function drawRadarLegend(ctx, width, height, legend) {
   const legendX = width - LEGEND_WIDTH - HEADER_PADDING;
   const legendY = height - LEGEND_BOTTOM_OFFSET;
 
@@ -110,29 +172,44 @@ function drawRadarLegend(ctx, width, height) {
     LEGEND_HEIGHT + LEGEND_PADDING_Y_BOTTOM
   );
 
-  // Draw color gradient
-  const segmentWidth = LEGEND_WIDTH / radarColors.length;
-  for (let i = 0; i < radarColors.length; i++) {
-    ctx.fillStyle = radarColors[i].color;
+  // Draw color segments
+  const segmentWidth = LEGEND_WIDTH / legend.colors.length;
+  legend.colors.forEach((color, i) => {
+    ctx.fillStyle = color;
     ctx.fillRect(legendX + i * segmentWidth, legendY, segmentWidth + 1, LEGEND_HEIGHT);
-  }
+  });
 
   // Border
   ctx.strokeStyle = cardDivider(LEGEND_BORDER_OPACITY);
   ctx.lineWidth = 1;
   ctx.strokeRect(legendX, legendY, LEGEND_WIDTH, LEGEND_HEIGHT);
 
-  // Labels
+  // Labels: title above, range ends below
   ctx.fillStyle = cardText();
   ctx.font = `${LEGEND_LABEL_FONT_SIZE}px system-ui, sans-serif`;
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'top';
-  ctx.fillText('dBZ', legendX + LEGEND_WIDTH / 2, legendY - LEGEND_LABEL_OFFSET_TOP);
   ctx.textBaseline = 'top';
+  ctx.textAlign = 'center';
+  ctx.fillText(legend.title, legendX + LEGEND_WIDTH / 2, legendY - LEGEND_LABEL_OFFSET_TOP);
+  const labelY = legendY + LEGEND_HEIGHT + LEGEND_LABEL_OFFSET_BOTTOM;
   ctx.textAlign = 'left';
-  ctx.fillText('5', legendX, legendY + LEGEND_HEIGHT + LEGEND_LABEL_OFFSET_BOTTOM);
+  ctx.fillText(legend.min, legendX, labelY);
   ctx.textAlign = 'right';
-  ctx.fillText('70+', legendX + LEGEND_WIDTH, legendY + LEGEND_HEIGHT + LEGEND_LABEL_OFFSET_BOTTOM);
+  ctx.fillText(legend.max, legendX + LEGEND_WIDTH, labelY);
+}
+
+// Draw a geoserver legend graphic (dark text on transparent) on a light panel,
+// scaled down to fit and bottom-aligned with the drawn legends
+function drawLegendImage(ctx, width, height, img) {
+  const scale = Math.min(1, LEGEND_IMAGE_MAX_WIDTH / img.width, LEGEND_IMAGE_MAX_HEIGHT / img.height);
+  const imgWidth = img.width * scale;
+  const imgHeight = img.height * scale;
+  const bottom = height - LEGEND_BOTTOM_OFFSET + LEGEND_HEIGHT + LEGEND_PADDING_Y_BOTTOM - LEGEND_PADDING_Y_TOP;
+  const x = width - HEADER_PADDING - imgWidth;
+  const y = bottom - LEGEND_PADDING_X - imgHeight;
+
+  ctx.fillStyle = LEGEND_IMAGE_BG;
+  ctx.fillRect(x - LEGEND_PADDING_X, y - LEGEND_PADDING_X, imgWidth + LEGEND_PADDING_X * 2, imgHeight + LEGEND_PADDING_X * 2);
+  ctx.drawImage(img, x, y, imgWidth, imgHeight);
 }
 
 // Convert Web Mercator (EPSG:3857) coordinates to lat/lon
@@ -144,7 +221,8 @@ function webMercatorToLatLon(x, y) {
 }
 
 // Create radar card with embedded MapLibre map
-// Returns a wa-card element (not a canvas)
+// Returns a wa-card element (not a canvas); card._setNowcast(nowcast, temperature)
+// adds the storm approach nowcast under the header once it resolves
 export async function createRadarCard(radarData, locationName, timezone = null) {
   const width = CARD_WIDTH;
   const height = CARD_HEIGHT;
@@ -211,6 +289,96 @@ export async function createRadarCard(radarData, locationName, timezone = null)
     if (map) map.zoomIn({ duration: 200 });
   });
 
+  // Global composite (RainViewer XYZ tiles) outside NOAA coverage
+  const isGlobal = radarData.source === 'rainviewer';
+
+  // Products and their loop frames (oldest first); older metadata only carries
+  // base reflectivity's timestamps
+  const products = radarData.products && Object.keys(radarData.products).length > 0
+    ? radarData.products
+    : {
+      reflectivity: {
+        layer: `${radarData.region}_bref_qcd`,
+        timestamps: radarData.timestamps?.length ? radarData.timestamps : [radarData.timestamp]
+      }
+    };
+  const hasProductPicker = !isGlobal && Object.keys(products).length > 1;
+
+  let nowcastText = null;
+
+  // Geoserver legend graphics, loaded once per product; the overlay redraws
+  // when one arrives (a failed legend just leaves the product without one)
+  const legendImages = {};
+  const legendRequests = new Set();
+  const loadProductLegend = (key) => {
+    if (legendRequests.has(key)) return;
+    legendRequests.add(key);
+    const params = new URLSearchParams({ region: radarData.region, layer: products[key].layer });
+    loadImage(`/api/radar/legend?${params.toString()}`)
+      .then(img => {
+        legendImages[key] = img;
+        if (key === loop.layer) redrawOverlay();
+      })
+      .catch(e => console.warn('Radar legend failed:', e));
+  };
+
+  // Redraw overlay (marker, header with the product and frame time, legend, watermark)
+  const redrawOverlay = () => {
+    const { layer: product, timestamps, currentFrame, latestFrame } = loop;
+    const ctx = overlay.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    drawLocationMarker(ctx, width / 2, height / 2, MARKER_LARGE_SIZE);
+    const productLabel = hasProductPicker ? RADAR_PRODUCTS[product]?.label || product : null;
+    drawRadarHeader(ctx, width, timestamps[currentFrame], locationName, timezone, currentFrame === latestFrame, productLabel);
+    if (nowcastText) drawNowcastBand(ctx, width, nowcastText);
+    if (isGlobal) {
+      drawRadarLegend(ctx, width, height, GLOBAL_RADAR_LEGEND);
+      drawWatermark(ctx, width, height, 'RainViewer', timezone, true, true);
+    } else {
+      const legend = RADAR_PRODUCTS[product]?.legend;
+      if (legend) {
+        drawRadarLegend(ctx, width, height, legend);
+      } else if (legendImages[product]) {
+        drawLegendImage(ctx, width, height, legendImages[product]);
+      } else {
+        loadProductLegend(product);
+      }
+      drawWatermark(ctx, width, height, 'NOAA', timezone, true, true);
+    }
+  };
+
+  // Build radar tile URL for a frame - bbox (NOAA WMS) and z/x/y (global XYZ)
+  // must stay unencoded for MapLibre substitution
+  const frameTileUrl = (product, time, i) => {
+    if (isGlobal) {
+      const frameParams = new URLSearchParams({ frame: radarData.frames[i] });
+      return `/api/radar/global-tile?${frameParams.toString()}&z={z}&x={x}&y={y}`;
+    }
+    const baseParams = new URLSearchParams({
+      region: radarData.region,
+      layer: products[product].layer,
+      time: time || ''
+    });
+    return `/api/radar/tile?${baseParams.toString()}&bbox={bbox-epsg-3857}`;
+  };
+
+  // Frame loop with play/pause + scrubber and the product picker
+  const loop = createMapFrameLoop({
+    wrapper: mapWrapper,
+    layers: products,
+    initialLayer: products[radarData.product] ? radarData.product : Object.keys(products)[0],
+    idPrefix: 'radar',
+    tileUrl: frameTileUrl,
+    sourceOptions: radarData.maxZoom ? { maxzoom: radarData.maxZoom } : {},
+    opacity: RADAR_OPACITY,
+    beforeId: 'highways-overlay',
+    loopLabel: 'Radar loop',
+    picker: hasProductPicker
+      ? { label: 'Radar product', optionLabel: value => RADAR_PRODUCTS[value]?.label || value }
+      : null,
+    onChange: redrawOverlay
+  });
+
   card.appendChild(mapWrapper);
 
   // Initialize map after element is in DOM
@@ -262,28 +430,8 @@ export async function createRadarCard(radarData, locationName, timezone = null)
         resizeObserver.observe(mapContainer);
       }
 
-      // Build radar WMS tile URL - bbox must be a top-level param for MapLibre substitution
-      const layer = `${radarData.region}_bref_qcd`;
-      const baseParams = new URLSearchParams({
-        region: radarData.region,
-        layer: layer,
-        time: radarData.timestamp || ''
-      });
-      const proxiedRadarUrl = `/api/radar/tile?${baseParams.toString()}&bbox={bbox-epsg-3857}`;
-
-      // Add NOAA radar WMS layer
-      map.addSource('noaa-radar', {
-        type: 'raster',
-        tiles: [proxiedRadarUrl],
-        tileSize: 256
-      });
-
-      map.addLayer({
-        id: 'radar-layer',
-        type: 'raster',
-        source: 'noaa-radar',
-        paint: { 'raster-opacity': 0.9 }
-      });
+      // Add the radar layer for the shown frame
+      loop.attach(map);
 
       // Debug: log any tile errors
       map.on('error', (e) => {
@@ -305,13 +453,7 @@ export async function createRadarCard(radarData, locationName, timezone = null)
       });
 
       // Draw overlay elements once map is fully loaded and positioned
-      const ctx = overlay.getContext('2d');
-      map.once('idle', () => {
-        drawLocationMarker(ctx, width / 2, height / 2, MARKER_LARGE_SIZE);
-        drawRadarHeader(ctx, width, radarData, locationName, timezone);
-        // drawRadarLegend(ctx, width, height);
-        drawWatermark(ctx, width, height, 'NOAA', timezone, true, true);
-      });
+      map.once('idle', redrawOverlay);
     });
   };
 
@@ -325,32 +467,37 @@ export async function createRadarCard(radarData, locationName, timezone = null)
   card._exportToCanvas = exportToCanvas;
 
   // Theme refresh: redraw overlay canvas (header, legend, watermark) without touching the map
-  card._rerenderTheme = () => {
-    const ctx = overlay.getContext('2d');
-    ctx.clearRect(0, 0, width, height);
-    drawLocationMarker(ctx, width / 2, height / 2, MARKER_LARGE_SIZE);
-    drawRadarHeader(ctx, width, radarData, locationName, timezone);
-    drawWatermark(ctx, width, height, 'NOAA', timezone, true, true);
+  card._rerenderTheme = redrawOverlay;
+
+  // Storm approach nowcast arrives after the card renders
+  card._setNowcast = (nowcast, temperature = null) => {
+    nowcastText = getNowcastText(nowcast, temperature);
+    redrawOverlay();
   };
 
   // Attach lightbox click handler
   attachLightboxHandler(card);
 
-  // Add share/download actions
-  card.appendChild(createCardActions(
-    async () => {
-      const canvas = await exportToCanvas();
-      shareCard(canvas, 'radar');
-    },
-    async () => {
-      const canvas = await exportToCanvas();
-      downloadCard(canvas, 'radar');
-    }
-  ));
+  // Add share/download actions (with a GIF/Video picker when any product loops)
+  if (loop.loops) {
+    card.appendChild(createLoopCardActions('radar', exportToCanvas, () => loop.exportFrames(exportToCanvas)));
+  } else {
+    card.appendChild(createCardActions(
+      async () => {
+        const canvas = await exportToCanvas();
+        shareCard(canvas, 'radar');
+      },
+      async () => {
+        const canvas = await exportToCanvas();
+        downloadCard(canvas, 'radar');
+      }
+    ));
+  }
 
   // Store cleanup function
   card._cleanup = () => {
     cancelDOMWait();
+    loop.stop();
     if (resizeObserver) {
       resizeObserver.disconnect();
       resizeObserver = null;
@@ -364,7 +511,7 @@ export async function createRadarCard(radarData, locationName, timezone = null)
   return card;
 }
 
-// Render "radar unavailable" card for non-US locations
+// Render "radar unavailable" card (no NOAA or global radar frames)
 export function renderRadarUnavailable(canvas, locationName, timezone = null) {
   const ctx = canvas.getContext('2d');
   const width = CARD_WIDTH;
@@ -386,7 +533,7 @@ export function renderRadarUnavailable(canvas, locationName, timezone = null) {
   ctx.fillText('Radar not available for this location', width / 2, height / 2 - UNAVAILABLE_MESSAGE_OFFSET_Y);
   ctx.font = `${UNAVAILABLE_SUBMESSAGE_FONT_SIZE}px system-ui, sans-serif`;
   ctx.fillStyle = cardText(UNAVAILABLE_SUBTEXT_OPACITY);
-  ctx.fillText('NOAA radar coverage is limited to US territories', width / 2, height / 2 + UNAVAILABLE_SUBMESSAGE_OFFSET_Y);
+  ctx.fillText('Radar imagery could not be loaded right now', width / 2, height / 2 + UNAVAILABLE_SUBMESSAGE_OFFSET_Y);
 
   // Watermark
   drawWatermark(ctx, width, height, null, timezone);
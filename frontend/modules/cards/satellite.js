@@ -2,8 +2,8 @@
 
 import { CARD_WIDTH, CARD_HEIGHT, drawWatermark, drawFallbackBackground, drawWeatherIcon, cardText, cardOverlay } from './core.js';
 import { getRadarMarkerColor } from '../utils/palette-colors.js';
-import { createCardContainer, createCardActions, shareCard, downloadCard } from './share.js';
-import { ensureMapLibre, waitForDOMConnection, exportMapToCanvas } from '../utils/map-utils.js';
+import { createCardContainer, createCardActions, createLoopCardActions, shareCard, downloadCard } from './share.js';
+import { ensureMapLibre, waitForDOMConnection, exportMapToCanvas, createMapFrameLoop } from '../utils/map-utils.js';
 import { attachLightboxHandler } from '../ui/lightbox.js';
 
 // Layout constants
@@ -11,6 +11,10 @@ const HEADER_HEIGHT = 70;
 const HEADER_PADDING = 24;
 const HEADER_BG_OPACITY = 0.7;
 const TITLE_FONT_SIZE = 36;
+const TIMESTAMP_FONT_SIZE = 24;
+const TIMESTAMP_TEXT_OPACITY = 0.8;
+
+const SATELLITE_OPACITY = 0.85;
 
 const MARKER_DEFAULT_SIZE = 24;
 const MARKER_LARGE_SIZE = 32;
@@ -27,6 +31,13 @@ const UNAVAILABLE_SUBTEXT_OPACITY = 0.5;
 // Web Mercator projection constant (Earth's circumference / 2 in meters)
 const WEB_MERCATOR_EXTENT = 20037508.34;
 
+// Band picker labels (keys match the worker's NOAA_SATELLITE_CONFIG layers)
+const BAND_LABELS = {
+  visible: 'Visible',
+  infrared: 'Infrared',
+  waterVapor: 'Water Vapor'
+};
+
 // Draw location marker (red pin with white glow)
 function drawLocationMarker(ctx, x, y, size = MARKER_DEFAULT_SIZE) {
   ctx.save();
@@ -37,7 +48,9 @@ function drawLocationMarker(ctx, x, y, size = MARKER_DEFAULT_SIZE) {
 }
 
 // Draw satellite header bar
-function drawSatelliteHeader(ctx, width, locationName) {
+// band/timestamp: imagery shown; isLatest labels the time "Updated" (older loop frames show just the time)
+// timezone: IANA timezone string for displaying location's local time
+function drawSatelliteHeader(ctx, width, locationName, band = null, timestamp = null, timezone = null, isLatest = true) {
   // Semi-transparent header background
   ctx.fillStyle = cardOverlay(HEADER_BG_OPACITY);
   ctx.fillRect(0, 0, width, HEADER_HEIGHT);
@@ -49,6 +62,18 @@ function drawSatelliteHeader(ctx, width, locationName) {
   ctx.textBaseline = 'middle';
   const title = locationName ? `${locationName} Satellite` : 'Satellite';
   ctx.fillText(title, HEADER_PADDING, HEADER_HEIGHT / 2);
+
+  // Band and frame time (right side) - use location's timezone if provided
+  if (timestamp) {
+    ctx.font = `${TIMESTAMP_FONT_SIZE}px system-ui, sans-serif`;
+    ctx.textAlign = 'right';
+    ctx.fillStyle = cardText(TIMESTAMP_TEXT_OPACITY);
+    const timeOpts = { hour: 'numeric', minute: '2-digit' };
+    if (timezone) timeOpts.timeZone = timezone;
+    const timeStr = new Date(timestamp).toLocaleTimeString(undefined, timeOpts);
+    const label = isLatest ? `Updated: ${timeStr}` : timeStr;
+    ctx.fillText(band ? `${BAND_LABELS[band] || band} · ${label}` : label, width - HEADER_PADDING, HEADER_HEIGHT / 2);
+  }
 }
 
 // Convert Web Mercator (EPSG:3857) coordinates to lat/lon
@@ -127,6 +152,46 @@ export async function createSatelliteCard(satelliteData, locationName, timezone
     if (map) map.zoomIn({ duration: 200 });
   });
 
+  // Bands and their loop frames (oldest first); older metadata only carries the
+  // default band's latest timestamp
+  const bands = satelliteData.bands && Object.keys(satelliteData.bands).length > 0
+    ? satelliteData.bands
+    : { [satelliteData.band]: { layer: satelliteData.layer, timestamps: [satelliteData.timestamp] } };
+
+  // Redraw overlay (marker, header with the band and frame time, watermark)
+  const redrawOverlay = () => {
+    const { layer: band, timestamps, currentFrame, latestFrame } = loop;
+    const ctx = overlay.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    drawLocationMarker(ctx, width / 2, height / 2, MARKER_LARGE_SIZE);
+    drawSatelliteHeader(ctx, width, locationName, band, timestamps[currentFrame], timezone, currentFrame === latestFrame);
+    drawWatermark(ctx, width, height, 'NOAA', timezone, true, true);
+  };
+
+  // Build satellite WMS tile URL for a frame - bbox must be a top-level param for MapLibre substitution
+  const frameTileUrl = (band, time) => {
+    const baseParams = new URLSearchParams({
+      region: satelliteData.region,
+      layer: bands[band].layer,
+      time: time || ''
+    });
+    return `/api/satellite/tile?${baseParams.toString()}&bbox={bbox-epsg-3857}`;
+  };
+
+  // Frame loop with play/pause + scrubber and the band picker
+  const loop = createMapFrameLoop({
+    wrapper: mapWrapper,
+    layers: bands,
+    initialLayer: bands[satelliteData.band] ? satelliteData.band : Object.keys(bands)[0],
+    idPrefix: 'satellite',
+    tileUrl: frameTileUrl,
+    opacity: SATELLITE_OPACITY,
+    beforeId: 'boundaries-overlay',
+    loopLabel: 'Satellite loop',
+    picker: { label: 'Satellite band', optionLabel: value => BAND_LABELS[value] || value },
+    onChange: redrawOverlay
+  });
+
   card.appendChild(mapWrapper);
 
   // Initialize map after element is in DOM
@@ -178,27 +243,8 @@ export async function createSatelliteCard(satelliteData, locationName, timezone
         resizeObserver.observe(mapContainer);
       }
 
-      // Build satellite WMS tile URL - bbox must be a top-level param for MapLibre substitution
-      const baseParams = new URLSearchParams({
-        region: satelliteData.region,
-        layer: satelliteData.layer,
-        time: satelliteData.timestamp || ''
-      });
-      const proxiedSatelliteUrl = `/api/satellite/tile?${baseParams.toString()}&bbox={bbox-epsg-3857}`;
-
-      // Add nowCOAST satellite WMS layer
-      map.addSource('noaa-satellite', {
-        type: 'raster',
-        tiles: [proxiedSatelliteUrl],
-        tileSize: 256
-      });
-
-      map.addLayer({
-        id: 'satellite-layer',
-        type: 'raster',
-        source: 'noaa-satellite',
-        paint: { 'raster-opacity': 0.85 }
-      });
+      // Add nowCOAST satellite WMS layer for the shown frame
+      loop.attach(map);
 
       // Debug: log any tile errors
       map.on('error', (e) => {
@@ -225,12 +271,7 @@ export async function createSatelliteCard(satelliteData, locationName, timezone
       });
 
       // Draw overlay elements once map is fully loaded and positioned
-      const ctx = overlay.getContext('2d');
-      map.once('idle', () => {
-        drawLocationMarker(ctx, width / 2, height / 2, MARKER_LARGE_SIZE);
-        drawSatelliteHeader(ctx, width, locationName);
-        drawWatermark(ctx, width, height, 'NOAA', timezone, true, true);
-      });
+      map.once('idle', redrawOverlay);
     });
   };
 
@@ -244,32 +285,31 @@ export async function createSatelliteCard(satelliteData, locationName, timezone
   card._exportToCanvas = exportToCanvas;
 
   // Theme refresh: redraw overlay canvas (header, watermark) without touching the map
-  card._rerenderTheme = () => {
-    const ctx = overlay.getContext('2d');
-    ctx.clearRect(0, 0, width, height);
-    drawLocationMarker(ctx, width / 2, height / 2, MARKER_LARGE_SIZE);
-    drawSatelliteHeader(ctx, width, locationName);
-    drawWatermark(ctx, width, height, 'NOAA', timezone, true, true);
-  };
+  card._rerenderTheme = redrawOverlay;
 
   // Attach lightbox click handler
   attachLightboxHandler(card);
 
-  // Add share/download actions
-  card.appendChild(createCardActions(
-    async () => {
-      const canvas = await exportToCanvas();
-      shareCard(canvas, 'satellite');
-    },
-    async () => {
-      const canvas = await exportToCanvas();
-      downloadCard(canvas, 'satellite');
-    }
-  ));
+  // Add share/download actions (with a GIF/Video picker when any band loops)
+  if (loop.loops) {
+    card.appendChild(createLoopCardActions('satellite', exportToCanvas, () => loop.exportFrames(exportToCanvas)));
+  } else {
+    card.appendChild(createCardActions(
+      async () => {
+        const canvas = await exportToCanvas();
+        shareCard(canvas, 'satellite');
+      },
+      async () => {
+        const canvas = await exportToCanvas();
+        downloadCard(canvas, 'satellite');
+      }
+    ));
+  }
 
   // Store cleanup function
   card._cleanup = () => {
     cancelDOMWait();
+    loop.stop();
     if (resizeObserver) {
       resizeObserver.disconnect();
       resizeObserver = null;
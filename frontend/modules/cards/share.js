@@ -2,12 +2,20 @@
 
 import { attachLightboxHandler } from '../ui/lightbox.js';
 import { notifyEngagement } from '../ui/pwa-install.js';
+import { getLoopFormats, encodeLoop } from '../utils/loop-export.js';
 
 // Share card using Web Share API
 export async function shareCard(canvas, cardType) {
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  await shareFile(blob, cardType, 'png');
+}
+
+// Share an exported file (PNG, GIF or WebM) using Web Share API
+// Falls back to download when file sharing isn't supported or fails
+// (e.g. the click's user activation expired during a long loop encode)
+export async function shareFile(blob, cardType, extension) {
   try {
-    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
-    const file = new File([blob], `weather-${cardType}.png`, { type: 'image/png' });
+    const file = new File([blob], `weather-${cardType}.${extension}`, { type: blob.type });
 
     const shareData = {
       title: 'Weather from weather.gripe',
@@ -16,7 +24,7 @@ export async function shareCard(canvas, cardType) {
 
     // Verify file sharing is supported before attempting
     if (!navigator.canShare?.(shareData)) {
-      downloadCard(canvas, cardType);
+      downloadFile(blob, cardType, extension);
       return;
     }
 
@@ -26,7 +34,7 @@ export async function shareCard(canvas, cardType) {
     if (e.name !== 'AbortError') {
       console.error('Share failed:', e);
       // Fallback to download
-      downloadCard(canvas, cardType);
+      downloadFile(blob, cardType, extension);
     }
   }
 }
@@ -40,12 +48,55 @@ export function downloadCard(canvas, cardType) {
   notifyEngagement(); // Triggers PWA install prompt after first engagement
 }
 
+// Download an exported file (PNG, GIF or WebM)
+export function downloadFile(blob, cardType, extension) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = `weather-${cardType}-${Date.now()}.${extension}`;
+  link.href = url;
+  link.click();
+  // Revoke once the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  notifyEngagement();
+}
+
 // Create share/download action buttons (shared utility)
-export function createCardActions(onShare, onDownload) {
+// formats: optional [{ value, label }] for a format picker (e.g. Image/GIF/Video on
+// map loops); the selected value is passed to onShare/onDownload
+export function createCardActions(onShare, onDownload, formats = null) {
   const footer = document.createElement('div');
   footer.setAttribute('slot', 'footer');
   footer.className = 'wa-split wa-gap-xs';
 
+  let picker = null;
+  if (formats) {
+    picker = document.createElement('wa-radio-group');
+    picker.className = 'card-format-picker wa-visually-hidden-label';
+    picker.setAttribute('label', 'Export format');
+    picker.setAttribute('orientation', 'horizontal');
+    picker.setAttribute('size', 'small');
+    picker.setAttribute('value', formats[0].value);
+    for (const format of formats) {
+      const radio = document.createElement('wa-radio');
+      radio.setAttribute('value', format.value);
+      radio.setAttribute('appearance', 'button');
+      radio.textContent = format.label;
+      picker.appendChild(radio);
+    }
+    footer.appendChild(picker);
+  }
+
+  // Show a spinner while exports run (map rendering, loop encoding)
+  const withLoading = (btn, handler) => async () => {
+    if (btn.loading) return;
+    btn.loading = true;
+    try {
+      await handler(picker?.value);
+    } finally {
+      btn.loading = false;
+    }
+  };
+
   // Check if file sharing is supported (not just basic share)
   // Firefox lacks canShare() but supports share() with files, so fall back to checking share exists
   const testFile = new File([''], 'test.png', { type: 'image/png' });
@@ -59,7 +110,7 @@ export function createCardActions(onShare, onDownload) {
     shareBtn.setAttribute('aria-label', 'Share this weather card');
     shareBtn.style.flex = '1';
     shareBtn.innerHTML = '<wa-icon slot="start" name="share-nodes"></wa-icon> Share';
-    shareBtn.onclick = onShare;
+    shareBtn.onclick = withLoading(shareBtn, onShare);
     footer.appendChild(shareBtn);
   }
 
@@ -70,12 +121,38 @@ export function createCardActions(onShare, onDownload) {
   downloadBtn.setAttribute('aria-label', 'Download this weather card as an image');
   downloadBtn.style.flex = '1';
   downloadBtn.innerHTML = '<wa-icon slot="start" name="download"></wa-icon> Download';
-  downloadBtn.onclick = onDownload;
+  downloadBtn.onclick = withLoading(downloadBtn, onDownload);
   footer.appendChild(downloadBtn);
 
   return footer;
 }
 
+// Create share/download actions for looping map cards (radar, satellite) with an
+// Image/GIF/Video picker: Image exports the frame shown, GIF and Video the whole loop
+// exportFrame: async () => canvas; exportFrames: async () => [{ canvas, delay }] oldest first
+export function createLoopCardActions(cardType, exportFrame, exportFrames) {
+  const exportFile = async (format) => {
+    if (format === 'png') {
+      const canvas = await exportFrame();
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      return { blob, extension: 'png' };
+    }
+    return encodeLoop(await exportFrames(), format);
+  };
+
+  return createCardActions(
+    async (format) => {
+      const { blob, extension } = await exportFile(format);
+      await shareFile(blob, cardType, extension);
+    },
+    async (format) => {
+      const { blob, extension } = await exportFile(format);
+      downloadFile(blob, cardType, extension);
+    },
+    getLoopFormats()
+  );
+}
+
 // Update photo attribution on a card (used by photo nav buttons)
 function updatePhotoAttribution(card, photo) {
   const existing = card.querySelector('.photo-attribution');
@@ -108,7 +185,11 @@ function updatePhotoAttribution(card, photo) {
 
 // Create card container with share/download buttons
 // photoNav: optional { photos, currentIndex, rerender } for background photo cycling
-export function createCardContainer(canvas, cardType, photoNav = null) {
+// pageNav: optional { pageCount, rerender(page) } for paging through windows of a
+// multi-page card (e.g. hourly forecast); each page shares as its own PNG. With
+// windows (e.g. [24, 12] hours, first is the default) a toggle switches the
+// window size, and pageCount(size) and rerender(page, size) take the size too
+export function createCardContainer(canvas, cardType, photoNav = null, pageNav = null) {
   const container = document.createElement('wa-card');
   container.className = 'weather-card';
   container.dataset.cardType = cardType;
@@ -117,53 +198,115 @@ export function createCardContainer(canvas, cardType, photoNav = null) {
   canvas.style.height = 'auto';
   canvas.style.display = 'block';
 
-  if (photoNav && photoNav.photos.length > 1) {
+  const hasPhotoNav = photoNav && photoNav.photos.length > 1;
+  const windows = pageNav?.windows || [];
+  let currentWindow = windows[0] ?? null;
+  const getPageCount = () => windows.length ? pageNav.pageCount(currentWindow) : pageNav.pageCount;
+  const hasPageNav = pageNav && (windows.length ? windows.some(size => pageNav.pageCount(size) > 1) : pageNav.pageCount > 1);
+  let currentPage = 0;
+
+  if (hasPhotoNav || hasPageNav) {
     // Wrap canvas in a positioned container for overlay buttons
     const wrapper = document.createElement('div');
     wrapper.className = 'card-media-wrapper';
     wrapper.setAttribute('slot', 'media');
     wrapper.appendChild(canvas);
 
-    let currentIndex = photoNav.currentIndex;
+    // Photo and page navigation both re-render the same canvas; one at a time
     let isNavigating = false;
-
-    const prevBtn = document.createElement('button');
-    prevBtn.className = 'photo-nav-btn photo-nav-prev';
-    prevBtn.setAttribute('aria-label', 'Previous photo');
-    prevBtn.innerHTML = '<wa-icon name="angle-left"></wa-icon>';
-    wrapper.appendChild(prevBtn);
-
-    const nextBtn = document.createElement('button');
-    nextBtn.className = 'photo-nav-btn photo-nav-next';
-    nextBtn.setAttribute('aria-label', 'Next photo');
-    nextBtn.innerHTML = '<wa-icon name="angle-right"></wa-icon>';
-    wrapper.appendChild(nextBtn);
-
-    const navigate = async (newIndex) => {
+    const guarded = async (fn) => {
       if (isNavigating) return;
       isNavigating = true;
       try {
-        currentIndex = newIndex;
-        const photo = photoNav.photos[currentIndex];
-        await photoNav.rerender(photo);
-        updatePhotoAttribution(container, photo);
+        await fn();
       } finally {
         isNavigating = false;
       }
     };
 
-    prevBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      navigate((currentIndex - 1 + photoNav.photos.length) % photoNav.photos.length);
-    });
+    const createNavButton = (className, label, icon, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = `photo-nav-btn ${className}`;
+      btn.setAttribute('aria-label', label);
+      btn.innerHTML = `<wa-icon name="${icon}"></wa-icon>`;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      wrapper.appendChild(btn);
+      return btn;
+    };
+
+    if (hasPhotoNav) {
+      let currentIndex = photoNav.currentIndex;
+
+      const navigate = (newIndex) => guarded(async () => {
+        currentIndex = newIndex;
+        const photo = photoNav.photos[currentIndex];
+        await photoNav.rerender(photo);
+        updatePhotoAttribution(container, photo);
+      });
 
-    nextBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      navigate((currentIndex + 1) % photoNav.photos.length);
-    });
+      createNavButton('photo-nav-prev', 'Previous photo', 'angle-left', () => {
+        navigate((currentIndex - 1 + photoNav.photos.length) % photoNav.photos.length);
+      });
+      createNavButton('photo-nav-next', 'Next photo', 'angle-right', () => {
+        navigate((currentIndex + 1) % photoNav.photos.length);
+      });
 
-    // Expose theme refresh: re-render canvas with current photo (no re-fetch)
-    container._rerenderTheme = () => photoNav.rerender(photoNav.photos[currentIndex]);
+      // Expose theme refresh: re-render canvas with current photo (no re-fetch)
+      container._rerenderTheme = () => photoNav.rerender(photoNav.photos[currentIndex]);
+    }
+
+    if (hasPageNav) {
+      let prevPageBtn;
+      let nextPageBtn;
+      const updatePageButtons = () => {
+        prevPageBtn.disabled = currentPage === 0;
+        nextPageBtn.disabled = currentPage >= getPageCount() - 1;
+      };
+
+      const goToPage = (page) => guarded(async () => {
+        if (page < 0 || page >= getPageCount()) return;
+        currentPage = page;
+        updatePageButtons();
+        await pageNav.rerender(currentPage, currentWindow);
+      });
+
+      prevPageBtn = createNavButton('page-nav-btn page-nav-prev', 'Previous page', 'angle-left', () => goToPage(currentPage - 1));
+      nextPageBtn = createNavButton('page-nav-btn page-nav-next', 'Next page', 'angle-right', () => goToPage(currentPage + 1));
+      updatePageButtons();
+
+      if (windows.length > 1) {
+        // Window size toggle, labelled with the current size; the new page
+        // starts at (or just before) the first hour being shown
+        const windowBtn = document.createElement('button');
+        windowBtn.className = 'photo-nav-btn page-nav-btn page-window-btn';
+        const updateWindowButton = () => {
+          const next = windows[(windows.indexOf(currentWindow) + 1) % windows.length];
+          windowBtn.textContent = `${currentWindow}h`;
+          windowBtn.setAttribute('aria-label', `Show ${next}-hour pages`);
+        };
+        windowBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          guarded(async () => {
+            const firstHour = currentPage * currentWindow;
+            currentWindow = windows[(windows.indexOf(currentWindow) + 1) % windows.length];
+            currentPage = Math.min(Math.floor(firstHour / currentWindow), getPageCount() - 1);
+            updateWindowButton();
+            updatePageButtons();
+            await pageNav.rerender(currentPage, currentWindow);
+          });
+        });
+        updateWindowButton();
+        wrapper.appendChild(windowBtn);
+      }
+
+      // Without photo cycling, theme refresh re-renders the current page
+      if (!hasPhotoNav) {
+        container._rerenderTheme = () => pageNav.rerender(currentPage, currentWindow);
+      }
+    }
 
     container.appendChild(wrapper);
   } else {
@@ -172,9 +315,14 @@ export function createCardContainer(canvas, cardType, photoNav = null) {
     container.appendChild(canvas);
   }
 
+  // Paged cards name each export after the page being shown
+  const exportType = () => {
+    if (!hasPageNav) return cardType;
+    return currentWindow ? `${cardType}-${currentWindow}h-${currentPage + 1}` : `${cardType}-${currentPage + 1}`;
+  };
   container.appendChild(createCardActions(
-    () => shareCard(canvas, cardType),
-    () => downloadCard(canvas, cardType)
+    () => shareCard(canvas, exportType()),
+    () => downloadCard(canvas, exportType())
   ));
 
   // Attach lightbox click handler
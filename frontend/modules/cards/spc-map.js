@@ -0,0 +1,373 @@
+// SPC watch and mesoscale discussion map card with lazy-loaded MapLibre
+// Lists the watches/MDs covering the location over a map of their polygons
+
+import { CARD_WIDTH, drawWatermark, drawWeatherIcon, wrapText, cardText, cardOverlay } from './core.js';
+import { createCardActions, shareCard, downloadCard } from './share.js';
+import { ensureMapLibre, waitForDOMConnection, exportMapToCanvas } from '../utils/map-utils.js';
+import { attachLightboxHandler } from '../ui/lightbox.js';
+
+// Layout constants for the text overlay
+const spcMapLayout = {
+  padding: { x: 60, top: 40, bottom: 100 },
+  header: { height: 100, iconX: 100, iconSize: 80, textX: 160 },
+  title: { font: 'bold 52px system-ui, sans-serif' },
+  name: { font: 'bold 44px system-ui, sans-serif', height: 60, swatchSize: 16 },
+  meta: { font: '30px system-ui, sans-serif', height: 42 },
+  summary: { font: '32px system-ui, sans-serif', lineHeight: 42, maxLines: 5 },
+  itemGap: 28,
+  minHeight: 400
+};
+
+// Map layout constants
+const MAP_LAYOUT = {
+  TEXT_WIDTH_RATIO: 0.80,       // Text occupies left 80% of card
+  BOUNDS_PADDING: 0.15,         // 15% padding around polygon bounds
+  MAP_CENTER_OFFSET: 0.04,      // Offset bounds center 4% of width to the right
+  POLYGON_FILL_OPACITY: 0.2,
+  POLYGON_STROKE_WIDTH: 3,
+  POLYGON_STROKE_OPACITY: 0.9,
+  FIT_BOUNDS_PADDING: 20
+};
+
+// Polygon colors (NWS hazard map colors for watches; blue for MDs as on SPC's maps)
+const SPC_PRODUCT_COLORS = {
+  'tornado': '#ffff00',
+  'severe-thunderstorm': '#db7093',
+  'md': '#3b82f6'
+};
+
+// Format a time in the location's timezone (e.g. "Tue 9:00 PM CDT")
+function formatTime(iso, timezone) {
+  const opts = { weekday: 'short', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+  if (timezone) opts.timeZone = timezone;
+  return new Date(iso).toLocaleString('en-US', opts);
+}
+
+// Flatten watches and MDs into display items (watches first): a colored name,
+// detail lines and, for MDs, the summary paragraph
+function getSpcItems(spc, timezone) {
+  const watches = (spc.watches || []).map(watch => ({
+    name: watch.name,
+    color: SPC_PRODUCT_COLORS[watch.type],
+    details: watch.expires ? [`Until ${formatTime(watch.expires, timezone)}`] : [],
+    summary: null,
+    geometry: watch.geometry
+  }));
+
+  const mds = (spc.mesoscaleDiscussions || []).map(md => {
+    const details = [];
+    if (md.concerning) details.push(`Concerning: ${md.concerning}`);
+    const probability = md.probability != null ? `Watch probability ${md.probability}%` : null;
+    const until = md.expires ? `Until ${formatTime(md.expires, timezone)}` : null;
+    if (probability || until) details.push([probability, until].filter(Boolean).join(' · '));
+    return {
+      name: md.name,
+      color: SPC_PRODUCT_COLORS.md,
+      details,
+      summary: md.summary,
+      geometry: md.geometry
+    };
+  });
+
+  return [...watches, ...mds];
+}
+
+// Pre-wrap item text and calculate the card height
+function calculateSpcMapLayout(ctx, items, maxWidth) {
+  const L = spcMapLayout;
+  let height = L.padding.top + L.header.height;
+
+  const laidOut = items.map((item, i) => {
+    ctx.font = L.meta.font;
+    const detailLines = item.details.flatMap(detail => wrapText(ctx, detail, maxWidth));
+
+    ctx.font = L.summary.font;
+    let summaryLines = item.summary ? wrapText(ctx, item.summary, maxWidth) : [];
+    if (summaryLines.length > L.summary.maxLines) {
+      summaryLines = summaryLines.slice(0, L.summary.maxLines);
+      summaryLines[summaryLines.length - 1] += ' …';
+    }
+
+    if (i > 0) height += L.itemGap;
+    height += L.name.height + detailLines.length * L.meta.height + summaryLines.length * L.summary.lineHeight;
+    return { ...item, detailLines, summaryLines };
+  });
+
+  height += L.padding.bottom;
+  return { items: laidOut, height: Math.max(height, L.minHeight) };
+}
+
+// Calculate bounds from GeoJSON geometries plus the location
+function calculateBounds(geometries, location) {
+  let minLon = location.lon, maxLon = location.lon;
+  let minLat = location.lat, maxLat = location.lat;
+
+  for (const geometry of geometries) {
+    const polygons = geometry.type === 'MultiPolygon'
+      ? geometry.coordinates
+      : [geometry.coordinates];
+    for (const polygon of polygons) {
+      for (const ring of polygon) {
+        for (const [lon, lat] of ring) {
+          minLon = Math.min(minLon, lon);
+          maxLon = Math.max(maxLon, lon);
+          minLat = Math.min(minLat, lat);
+          maxLat = Math.max(maxLat, lat);
+        }
+      }
+    }
+  }
+
+  return {
+    sw: { lon: minLon, lat: minLat },
+    ne: { lon: maxLon, lat: maxLat }
+  };
+}
+
+// Create SPC watch/MD map card with MapLibre background and text overlay
+// spc: /api/spc response ({ watches, mesoscaleDiscussions }); userLocation: { lat, lon }
+// Returns null when nothing covers the location
+export async function createSpcMapCard(spc, userLocation, timezone = null) {
+  const width = CARD_WIDTH;
+
+  const items = getSpcItems(spc, timezone).filter(item =>
+    item.geometry && (item.geometry.type === 'Polygon' || item.geometry.type === 'MultiPolygon')
+  );
+  if (items.length === 0 || !userLocation) {
+    return null;
+  }
+
+  // Ensure MapLibre is loaded
+  let MapLibre;
+  try {
+    MapLibre = await ensureMapLibre();
+  } catch (e) {
+    console.error('Failed to load MapLibre:', e);
+    return null;
+  }
+
+  const bounds = calculateBounds(items.map(item => item.geometry), userLocation);
+
+  // Calculate card height based on content (with narrower text area)
+  const tempCanvas = document.createElement('canvas');
+  tempCanvas.width = width;
+  tempCanvas.height = 100;
+  const L = spcMapLayout;
+  const maxWidth = (width * MAP_LAYOUT.TEXT_WIDTH_RATIO) - L.padding.x * 2;
+  const layout = calculateSpcMapLayout(tempCanvas.getContext('2d'), items, maxWidth);
+  const height = layout.height;
+
+  // Create card container
+  const card = document.createElement('wa-card');
+  card.className = 'weather-card';
+  card.dataset.cardType = 'spc-map';
+
+  // Create map wrapper with dynamic height
+  const mapWrapper = document.createElement('div');
+  mapWrapper.setAttribute('slot', 'media');
+  mapWrapper.className = 'map-wrapper';
+  mapWrapper.style.aspectRatio = `${width}/${height}`;
+
+  // Create map container
+  const mapContainer = document.createElement('div');
+  mapContainer.className = 'map-container';
+  mapWrapper.appendChild(mapContainer);
+
+  // Create overlay canvas for gradient + text
+  const overlay = document.createElement('canvas');
+  overlay.width = width;
+  overlay.height = height;
+  overlay.className = 'map-overlay';
+  mapWrapper.appendChild(overlay);
+
+  card.appendChild(mapWrapper);
+
+  // Initialize map after element is in DOM
+  let map = null;
+  const initMap = () => {
+    // Add padding to bounds
+    const lonPad = (bounds.ne.lon - bounds.sw.lon) * MAP_LAYOUT.BOUNDS_PADDING;
+    const latPad = (bounds.ne.lat - bounds.sw.lat) * MAP_LAYOUT.BOUNDS_PADDING;
+
+    // Shift polygons into the right portion of the card, clear of the text
+    const offsetX = width * MAP_LAYOUT.MAP_CENTER_OFFSET;
+
+    map = new MapLibre.Map({
+      container: mapContainer,
+      style: 'https://tiles.openfreemap.org/styles/fiord',
+      bounds: [
+        [bounds.sw.lon - lonPad, bounds.sw.lat - latPad],
+        [bounds.ne.lon + lonPad, bounds.ne.lat + latPad]
+      ],
+      preserveDrawingBuffer: true,
+      interactive: false,
+      attributionControl: false,
+      fitBoundsOptions: {
+        padding: MAP_LAYOUT.FIT_BOUNDS_PADDING,
+        offset: [offsetX, 0]
+      }
+    });
+
+    map.on('styleimagemissing', () => {});
+
+    // Ensure map fills container after styles compute
+    map.once('load', () => map.resize());
+
+    map.on('load', () => {
+      // Enable 3D Globe Projection
+      map.setProjection({ type: 'globe' });
+
+      // Watch/MD polygons, each colored by product type
+      map.addSource('spc-polygons', {
+        type: 'geojson',
+        data: {
+          type: 'FeatureCollection',
+          features: items.map(item => ({
+            type: 'Feature',
+            geometry: item.geometry,
+            properties: { color: item.color }
+          }))
+        }
+      });
+
+      map.addLayer({
+        id: 'spc-polygons-fill',
+        type: 'fill',
+        source: 'spc-polygons',
+        paint: {
+          'fill-color': ['get', 'color'],
+          'fill-opacity': MAP_LAYOUT.POLYGON_FILL_OPACITY
+        }
+      });
+
+      map.addLayer({
+        id: 'spc-polygons-stroke',
+        type: 'line',
+        source: 'spc-polygons',
+        paint: {
+          'line-color': ['get', 'color'],
+          'line-width': MAP_LAYOUT.POLYGON_STROKE_WIDTH,
+          'line-opacity': MAP_LAYOUT.POLYGON_STROKE_OPACITY
+        }
+      });
+
+      // The user's location
+      map.addSource('user-location', {
+        type: 'geojson',
+        data: { type: 'Feature', geometry: { type: 'Point', coordinates: [userLocation.lon, userLocation.lat] } }
+      });
+
+      map.addLayer({
+        id: 'user-location-point',
+        type: 'circle',
+        source: 'user-location',
+        paint: {
+          'circle-radius': 7,
+          'circle-color': '#ef4444',
+          'circle-stroke-color': '#ffffff',
+          'circle-stroke-width': 2
+        }
+      });
+    });
+
+    // Draw overlay content immediately (doesn't depend on map loading)
+    drawOverlayContent();
+  };
+
+  // Draw the gradient overlay + watch/MD text on the overlay canvas
+  function drawOverlayContent() {
+    const ctx = overlay.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+
+    // Horizontal gradient: opaque on left (text area) → transparent on right (map area)
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, cardOverlay(0.9));
+    gradient.addColorStop(0.65, cardOverlay(0.65));
+    gradient.addColorStop(1, cardOverlay(0.25));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    let y = L.padding.top;
+
+    // Header: watch icon + title
+    const headerCenterY = y + L.header.height / 2;
+    drawWeatherIcon(ctx, 'fa-eye', L.header.iconX, headerCenterY, L.header.iconSize);
+    ctx.fillStyle = cardText();
+    ctx.font = L.title.font;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Storm Prediction Center', L.header.textX, headerCenterY);
+    y += L.header.height;
+
+    layout.items.forEach((item, i) => {
+      if (i > 0) y += L.itemGap;
+
+      // Name with a swatch matching its polygon
+      const nameCenterY = y + L.name.height / 2;
+      ctx.fillStyle = item.color;
+      ctx.beginPath();
+      ctx.arc(L.padding.x + L.name.swatchSize / 2, nameCenterY, L.name.swatchSize / 2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = cardText();
+      ctx.font = L.name.font;
+      ctx.textBaseline = 'middle';
+      ctx.fillText(item.name, L.padding.x + L.name.swatchSize + 16, nameCenterY);
+      y += L.name.height;
+
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = cardText(0.85);
+      ctx.font = L.meta.font;
+      for (const line of item.detailLines) {
+        ctx.fillText(line, L.padding.x, y);
+        y += L.meta.height;
+      }
+
+      ctx.fillStyle = cardText(0.95);
+      ctx.font = L.summary.font;
+      for (const line of item.summaryLines) {
+        ctx.fillText(line, L.padding.x, y);
+        y += L.summary.lineHeight;
+      }
+    });
+
+    drawWatermark(ctx, width, height, 'NOAA/SPC', timezone);
+  }
+
+  // Wait for DOM connection before initializing map
+  const cancelDOMWait = waitForDOMConnection(mapContainer, initMap);
+
+  // Export function for share/download
+  const exportToCanvas = () => exportMapToCanvas(map, overlay, width, height);
+
+  // Expose export function for lightbox
+  card._exportToCanvas = exportToCanvas;
+
+  // Theme refresh: redraw overlay (gradient + text) without touching the map
+  card._rerenderTheme = drawOverlayContent;
+
+  // Attach lightbox click handler
+  attachLightboxHandler(card);
+
+  // Add share/download actions
+  card.appendChild(createCardActions(
+    async () => {
+      const canvas = await exportToCanvas();
+      shareCard(canvas, 'spc-watch');
+    },
+    async () => {
+      const canvas = await exportToCanvas();
+      downloadCard(canvas, 'spc-watch');
+    }
+  ));
+
+  // Store cleanup function
+  card._cleanup = () => {
+    cancelDOMWait();
+    if (map) {
+      map.remove();
+      map = null;
+    }
+  };
+
+  return card;
+}
@@ -0,0 +1,207 @@
+// SPC outlook card renderers: the state outlook graphic with a per-hazard
+// (tornado, hail, wind) probability panel beside it, and the day 4-8 extended
+// outlook (national graphic with the days at risk)
+
+import { CARD_WIDTH, drawWatermark, drawFallbackBackground, drawPill, loadImage, cardText } from './core.js';
+import { getContrastingTextColor } from '../utils/palette-colors.js';
+
+// Layout constants (the graphic + panel layout is shared with the flood risk card)
+export const IMAGE_WIDTH = 780;
+export const PANEL_PADDING = 36;
+const MIN_HEIGHT = 600;
+const ROW_HEIGHT = 112;
+const EXTENDED_ROW_HEIGHT = 92;
+const BAR_HEIGHT = 14;
+
+// Hazards in panel order; probabilities below the lowest contour read as "<N%"
+// Bars are scaled to SPC's highest contour (60%)
+const HAZARD_ROWS = [
+  { key: 'tornado', label: 'Tornado', minProbability: 2 },
+  { key: 'hail', label: 'Hail', minProbability: 5 },
+  { key: 'wind', label: 'Wind', minProbability: 5 }
+];
+const MAX_PROBABILITY = 60;
+const SIGNIFICANT_COLOR = '#7e22ce';
+
+// Draw a small label pill ("Significant")
+function drawBadge(ctx, x, centerY, text, color) {
+  ctx.font = 'bold 18px system-ui, sans-serif';
+  const badgeWidth = ctx.measureText(text).width + 20;
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.roundRect(x - badgeWidth, centerY - 14, badgeWidth, 28, 14);
+  ctx.fill();
+  ctx.fillStyle = getContrastingTextColor(color);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, x - badgeWidth / 2, centerY);
+}
+
+// Size the canvas to fit the graphic (scaled to IMAGE_WIDTH) and the panel
+// content, then draw the background and the graphic, vertically centered
+export function drawGraphicLayout(canvas, img, contentHeight) {
+  const ctx = canvas.getContext('2d');
+  const width = CARD_WIDTH;
+  const imageHeight = img.height * (IMAGE_WIDTH / img.width);
+  const height = Math.max(Math.round(imageHeight), MIN_HEIGHT, contentHeight);
+  canvas.width = width;
+  canvas.height = height;
+
+  drawFallbackBackground(ctx, width, height);
+  ctx.drawImage(img, 0, (height - imageHeight) / 2, IMAGE_WIDTH, imageHeight);
+  return { ctx, width, height };
+}
+
+// Draw a probability bar in the contour's SPC color
+function drawProbabilityBar(ctx, x, y, barWidth, probability, fill) {
+  ctx.fillStyle = cardText(0.15);
+  ctx.beginPath();
+  ctx.roundRect(x, y, barWidth, BAR_HEIGHT, BAR_HEIGHT / 2);
+  ctx.fill();
+  if (probability > 0) {
+    ctx.fillStyle = fill || cardText();
+    ctx.beginPath();
+    ctx.roundRect(x, y, Math.max(barWidth * Math.min(probability / MAX_PROBABILITY, 1), BAR_HEIGHT), BAR_HEIGHT, BAR_HEIGHT / 2);
+    ctx.fill();
+  }
+}
+
+// Create SPC Outlook Card (days 1-2: graphic + hazard breakdown)
+// dayRisk: /api/spc day entry ({ day, label2, fill, hazards, image })
+// Returns null when the day has no hazard breakdown (day 3)
+export async function renderSpcOutlook(canvas, dayRisk, state, timezone = null) {
+  if (!dayRisk?.hazards) {
+    return null;
+  }
+
+  // State graphic on the left
+  const img = await loadImage(dayRisk.image);
+  const { ctx, width, height } = drawGraphicLayout(canvas, img, 0);
+
+  // Hazard panel on the right
+  const panelX = IMAGE_WIDTH + PANEL_PADDING;
+  const panelRight = width - PANEL_PADDING;
+  const panelWidth = panelRight - panelX;
+  let y = PANEL_PADDING;
+
+  ctx.fillStyle = cardText();
+  ctx.font = 'bold 40px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(`Day ${dayRisk.day} · ${state}`, panelX, y);
+  y += 60;
+
+  // Categorical risk in its SPC color
+  if (dayRisk.label2) {
+    const fill = dayRisk.fill || '#888888';
+    drawPill(ctx, panelX, y, dayRisk.label2.replace(/ Risk$/, ''), fill, getContrastingTextColor(fill));
+    y += 48;
+  }
+  y += 30;
+
+  for (const row of HAZARD_ROWS) {
+    const hazard = dayRisk.hazards[row.key] || { probability: 0 };
+    const probability = hazard.probability || 0;
+    const labelY = y + 20;
+
+    ctx.fillStyle = cardText();
+    ctx.font = 'bold 32px system-ui, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(row.label, panelX, labelY);
+
+    ctx.font = 'bold 36px system-ui, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillStyle = probability > 0 ? cardText() : cardText(0.6);
+    const probabilityText = probability > 0 ? `${probability}%` : `<${row.minProbability}%`;
+    ctx.fillText(probabilityText, panelRight, labelY);
+
+    if (hazard.significant) {
+      const textWidth = ctx.measureText(probabilityText).width;
+      drawBadge(ctx, panelRight - textWidth - 14, labelY, 'Significant', SIGNIFICANT_COLOR);
+    }
+
+    drawProbabilityBar(ctx, panelX, y + 52, panelWidth, probability, hazard.fill);
+    y += ROW_HEIGHT;
+  }
+
+  ctx.fillStyle = cardText(0.7);
+  ctx.font = '20px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText('Chance within 25 miles of a point', panelX, y);
+
+  drawWatermark(ctx, width, height, 'NOAA/SPC', timezone);
+
+  return canvas;
+}
+
+// Format a day 4-8 valid date (e.g. "Sat, Jun 14"); SPC days run 12Z-12Z so
+// the valid time already falls on the right calendar day in US timezones
+function formatValidDay(iso, timezone) {
+  const opts = { weekday: 'short', month: 'short', day: 'numeric' };
+  if (timezone) opts.timeZone = timezone;
+  return new Date(iso).toLocaleDateString('en-US', opts);
+}
+
+// Create SPC Extended Outlook Card (days 4-8): the national graphic for the
+// highest-probability day, with every day at risk listed beside it
+// extended: /api/spc extended entries ({ day, probability, fill, valid, image })
+export async function renderSpcExtended(canvas, extended, timezone = null) {
+  if (!extended?.length) {
+    return null;
+  }
+
+  // Map the riskiest day (the earliest on ties)
+  const mapDay = extended.reduce((best, d) => d.probability > best.probability ? d : best);
+
+  // National graphic on the left
+  const img = await loadImage(mapDay.image);
+  const contentHeight = PANEL_PADDING + 100 + extended.length * EXTENDED_ROW_HEIGHT + 90;
+  const { ctx, width, height } = drawGraphicLayout(canvas, img, contentHeight);
+
+  // Day list on the right
+  const panelX = IMAGE_WIDTH + PANEL_PADDING;
+  const panelRight = width - PANEL_PADDING;
+  const panelWidth = panelRight - panelX;
+  let y = PANEL_PADDING;
+
+  ctx.fillStyle = cardText();
+  ctx.font = 'bold 40px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText('Days 4–8 Outlook', panelX, y);
+  y += 56;
+
+  ctx.fillStyle = cardText(0.7);
+  ctx.font = '22px system-ui, sans-serif';
+  ctx.fillText(`Map shows day ${mapDay.day}`, panelX, y);
+  y += 44;
+
+  for (const day of extended) {
+    const labelY = y + 20;
+
+    ctx.fillStyle = cardText();
+    ctx.font = 'bold 30px system-ui, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(day.valid ? formatValidDay(day.valid, timezone) : `Day ${day.day}`, panelX, labelY);
+
+    ctx.font = 'bold 34px system-ui, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${day.probability}%`, panelRight, labelY);
+
+    drawProbabilityBar(ctx, panelX, y + 48, panelWidth, day.probability, day.fill);
+    y += EXTENDED_ROW_HEIGHT;
+  }
+
+  ctx.fillStyle = cardText(0.7);
+  ctx.font = '20px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText('Severe weather within 25 miles of a point', panelX, y);
+
+  drawWatermark(ctx, width, height, 'NOAA/SPC', timezone);
+
+  return canvas;
+}
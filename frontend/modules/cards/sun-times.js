@@ -1,9 +1,9 @@
 // Sunrise & sunset times card renderer
 
-import { CARD_WIDTH, drawWatermark, drawOverlay, drawFallbackBackground, drawWeatherIcon, loadImage, cardText, cardDivider } from './core.js';
+import { CARD_WIDTH, drawWatermark, drawOverlay, drawFallbackBackground, drawWeatherIcon, loadImage, cardText, cardDivider, getSourceLabel } from './core.js';
 
 // Format a sunrise/sunset ISO string as a local clock time
-// NWS times are UTC (suncalc toISOString); Open-Meteo times are location-local
+// NWS and ECCC times are UTC (suncalc toISOString); Open-Meteo times are location-local
 // with no offset suffix - parsing and re-formatting those in the browser's zone
 // round-trips the literal clock time, so no timeZone conversion is applied
 function formatSunTime(iso, timezone) {
@@ -108,7 +108,7 @@ export async function renderSunTimes(canvas, weatherData, cityName = '', backgro
   }
 
   // Watermark with data source and photo attribution
-  const dataSource = weatherData.source === 'nws' ? 'NWS' : 'Open-Meteo';
+  const dataSource = getSourceLabel(weatherData);
   const attribution = unsplashUsername
     ? `${dataSource} and @${unsplashUsername} on Unsplash`
     : dataSource;
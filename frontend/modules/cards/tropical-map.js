@@ -0,0 +1,442 @@
+// NHC tropical cyclone map card with lazy-loaded MapLibre
+// Shows each threatening storm's forecast cone, track and forecast points
+// (colored by intensity) around the location, with storm details beside it
+
+import { CARD_WIDTH, drawWatermark, drawWeatherIcon, wrapText, cardText, cardOverlay } from './core.js';
+import { createCardActions, shareCard, downloadCard } from './share.js';
+import { ensureMapLibre, waitForDOMConnection, exportMapToCanvas } from '../utils/map-utils.js';
+import { attachLightboxHandler } from '../ui/lightbox.js';
+import { Units } from '../utils/units.js';
+
+// Layout constants for the text overlay
+const tropicalMapLayout = {
+  padding: { x: 60, top: 40, bottom: 100 },
+  header: { height: 100, iconX: 100, iconSize: 80, textX: 160 },
+  title: { font: 'bold 52px system-ui, sans-serif' },
+  name: { size: 44, height: 60, swatchSize: 16 },
+  meta: { font: '30px system-ui, sans-serif', height: 42 },
+  itemGap: 28,
+  minHeight: 400
+};
+
+// Map layout constants
+const MAP_LAYOUT = {
+  TEXT_WIDTH_RATIO: 0.60,       // Text occupies left 60% of card
+  BOUNDS_PADDING: 0.15,         // 15% padding around cone/track bounds
+  MAP_CENTER_OFFSET: 0.12,      // Offset bounds center 12% of width to the right
+  CONE_FILL_OPACITY: 0.25,
+  CONE_STROKE_WIDTH: 2,
+  TRACK_WIDTH: 3,
+  POINT_RADIUS: 8,
+  FIT_BOUNDS_PADDING: 20
+};
+
+const CONE_COLOR = '#ffffff';
+const TRACK_COLOR = '#e5e7eb';
+
+// Saffir-Simpson intensity classes by maximum sustained wind (km/h),
+// with the colors commonly used on track maps
+const INTENSITY_SCALE = [
+  { minWind: 252, label: 'Cat 5', color: '#ff6060' },
+  { minWind: 209, label: 'Cat 4', color: '#ff8f20' },
+  { minWind: 178, label: 'Cat 3', color: '#ffc140' },
+  { minWind: 154, label: 'Cat 2', color: '#ffe775' },
+  { minWind: 119, label: 'Cat 1', color: '#ffffcc' },
+  { minWind: 63, label: 'TS', color: '#00faf4' },
+  { minWind: 0, label: 'TD', color: '#5ebaff' }
+];
+
+function getIntensity(wind) {
+  return INTENSITY_SCALE.find(level => (wind ?? 0) >= level.minWind);
+}
+
+// Format a time in the location's timezone (e.g. "Tue 5 PM")
+function formatPointTime(iso, timezone) {
+  const opts = { weekday: 'short', hour: 'numeric' };
+  if (timezone) opts.timeZone = timezone;
+  return new Date(iso).toLocaleString('en-US', opts);
+}
+
+// Format an advisory time in the location's timezone (e.g. "Tue 5:00 PM EDT")
+function formatIssued(iso, timezone) {
+  const opts = { weekday: 'short', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+  if (timezone) opts.timeZone = timezone;
+  return new Date(iso).toLocaleString('en-US', opts);
+}
+
+// Detail lines for a storm: intensity, motion, threat and advisory
+function getStormDetails(storm, timezone) {
+  const details = [];
+  const intensity = [];
+  if (storm.wind != null) intensity.push(`Max winds ${Units.formatWind(storm.wind)}`);
+  if (storm.pressure != null) intensity.push(`${storm.pressure} mb`);
+  if (intensity.length > 0) details.push(intensity.join(' · '));
+  if (storm.movement) {
+    details.push(storm.movement.speed > 0
+      ? `Moving ${Units.windDirection(storm.movement.direction)} at ${Units.formatWind(storm.movement.speed)}`
+      : 'Stationary');
+  }
+  details.push(storm.inCone
+    ? 'Forecast cone covers this location'
+    : `Forecast track passes within ${Units.formatDistance(storm.distance)}`);
+  const advisory = [];
+  if (storm.advisory) advisory.push(`Advisory ${storm.advisory}`);
+  if (storm.issued) advisory.push(`Issued ${formatIssued(storm.issued, timezone)}`);
+  if (advisory.length > 0) details.push(advisory.join(' · '));
+  return details;
+}
+
+// Pre-wrap storm text and calculate the card height
+function calculateTropicalMapLayout(ctx, storms, maxWidth, timezone) {
+  const L = tropicalMapLayout;
+  let height = L.padding.top + L.header.height;
+
+  const items = storms.map((storm, i) => {
+    ctx.font = L.meta.font;
+    const detailLines = getStormDetails(storm, timezone).flatMap(detail => wrapText(ctx, detail, maxWidth));
+
+    // Shrink long names (e.g. "Potential Tropical Cyclone Three") to fit
+    const name = `${storm.type} ${storm.name}`;
+    const nameWidth = maxWidth - L.name.swatchSize - 16;
+    let nameSize = L.name.size;
+    ctx.font = `bold ${nameSize}px system-ui, sans-serif`;
+    while (nameSize > 28 && ctx.measureText(name).width > nameWidth) {
+      nameSize -= 2;
+      ctx.font = `bold ${nameSize}px system-ui, sans-serif`;
+    }
+
+    if (i > 0) height += L.itemGap;
+    height += L.name.height + detailLines.length * L.meta.height;
+    return {
+      name,
+      nameFont: ctx.font,
+      color: getIntensity(storm.wind).color,
+      detailLines
+    };
+  });
+
+  height += L.padding.bottom;
+  return { items, height: Math.max(height, L.minHeight) };
+}
+
+// Calculate bounds from GeoJSON geometries (any type) plus the location
+function calculateBounds(geometries, location) {
+  let minLon = location.lon, maxLon = location.lon;
+  let minLat = location.lat, maxLat = location.lat;
+
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      const [lon, lat] = coords;
+      minLon = Math.min(minLon, lon);
+      maxLon = Math.max(maxLon, lon);
+      minLat = Math.min(minLat, lat);
+      maxLat = Math.max(maxLat, lat);
+      return;
+    }
+    coords.forEach(visit);
+  };
+  geometries.forEach(geometry => visit(geometry.coordinates));
+
+  return {
+    sw: { lon: minLon, lat: minLat },
+    ne: { lon: maxLon, lat: maxLat }
+  };
+}
+
+// Create NHC tropical cyclone map card with MapLibre background and text overlay
+// nhc: /api/nhc response ({ storms }); userLocation: { lat, lon }
+// Returns null when no storm threatens the location
+export async function createTropicalMapCard(nhc, userLocation, timezone = null) {
+  const width = CARD_WIDTH;
+
+  const storms = nhc?.storms || [];
+  if (storms.length === 0 || !userLocation) {
+    return null;
+  }
+
+  // Ensure MapLibre is loaded
+  let MapLibre;
+  try {
+    MapLibre = await ensureMapLibre();
+  } catch (e) {
+    console.error('Failed to load MapLibre:', e);
+    return null;
+  }
+
+  // Map features: cones, tracks, and forecast points labeled with intensity and time
+  const cones = storms.filter(storm => storm.cone).map(storm => ({ type: 'Feature', geometry: storm.cone, properties: {} }));
+  const tracks = storms.filter(storm => storm.track).map(storm => ({ type: 'Feature', geometry: storm.track, properties: {} }));
+  const points = storms.flatMap(storm => storm.points.map(point => {
+    const intensity = getIntensity(point.wind);
+    const time = point.time ? formatPointTime(point.time, timezone) : `+${point.hour}h`;
+    return {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
+      properties: { color: intensity.color, label: `${intensity.label} · ${time}` }
+    };
+  }));
+
+  const bounds = calculateBounds([...cones, ...tracks, ...points].map(f => f.geometry), userLocation);
+
+  // Calculate card height based on content (with narrower text area)
+  const tempCanvas = document.createElement('canvas');
+  tempCanvas.width = width;
+  tempCanvas.height = 100;
+  const L = tropicalMapLayout;
+  const maxWidth = (width * MAP_LAYOUT.TEXT_WIDTH_RATIO) - L.padding.x * 2;
+  const layout = calculateTropicalMapLayout(tempCanvas.getContext('2d'), storms, maxWidth, timezone);
+  const height = layout.height;
+
+  // Create card container
+  const card = document.createElement('wa-card');
+  card.className = 'weather-card';
+  card.dataset.cardType = 'tropical-map';
+
+  // Create map wrapper with dynamic height
+  const mapWrapper = document.createElement('div');
+  mapWrapper.setAttribute('slot', 'media');
+  mapWrapper.className = 'map-wrapper';
+  mapWrapper.style.aspectRatio = `${width}/${height}`;
+
+  // Create map container
+  const mapContainer = document.createElement('div');
+  mapContainer.className = 'map-container';
+  mapWrapper.appendChild(mapContainer);
+
+  // Create overlay canvas for gradient + text
+  const overlay = document.createElement('canvas');
+  overlay.width = width;
+  overlay.height = height;
+  overlay.className = 'map-overlay';
+  mapWrapper.appendChild(overlay);
+
+  card.appendChild(mapWrapper);
+
+  // Initialize map after element is in DOM
+  let map = null;
+  const initMap = () => {
+    // Add padding to bounds
+    const lonPad = (bounds.ne.lon - bounds.sw.lon) * MAP_LAYOUT.BOUNDS_PADDING;
+    const latPad = (bounds.ne.lat - bounds.sw.lat) * MAP_LAYOUT.BOUNDS_PADDING;
+
+    // Shift the storms into the right portion of the card, clear of the text
+    const offsetX = width * MAP_LAYOUT.MAP_CENTER_OFFSET;
+
+    map = new MapLibre.Map({
+      container: mapContainer,
+      style: 'https://tiles.openfreemap.org/styles/fiord',
+      bounds: [
+        [bounds.sw.lon - lonPad, bounds.sw.lat - latPad],
+        [bounds.ne.lon + lonPad, bounds.ne.lat + latPad]
+      ],
+      preserveDrawingBuffer: true,
+      interactive: false,
+      attributionControl: false,
+      fitBoundsOptions: {
+        padding: MAP_LAYOUT.FIT_BOUNDS_PADDING,
+        offset: [offsetX, 0]
+      }
+    });
+
+    map.on('styleimagemissing', () => {});
+
+    // Ensure map fills container after styles compute
+    map.once('load', () => map.resize());
+
+    map.on('load', () => {
+      // Enable 3D Globe Projection
+      map.setProjection({ type: 'globe' });
+
+      // Forecast cones
+      map.addSource('nhc-cones', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: cones }
+      });
+
+      map.addLayer({
+        id: 'nhc-cones-fill',
+        type: 'fill',
+        source: 'nhc-cones',
+        paint: {
+          'fill-color': CONE_COLOR,
+          'fill-opacity': MAP_LAYOUT.CONE_FILL_OPACITY
+        }
+      });
+
+      map.addLayer({
+        id: 'nhc-cones-stroke',
+        type: 'line',
+        source: 'nhc-cones',
+        paint: {
+          'line-color': CONE_COLOR,
+          'line-width': MAP_LAYOUT.CONE_STROKE_WIDTH
+        }
+      });
+
+      // Forecast tracks
+      map.addSource('nhc-tracks', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: tracks }
+      });
+
+      map.addLayer({
+        id: 'nhc-tracks-line',
+        type: 'line',
+        source: 'nhc-tracks',
+        paint: {
+          'line-color': TRACK_COLOR,
+          'line-width': MAP_LAYOUT.TRACK_WIDTH,
+          'line-dasharray': [2, 1]
+        }
+      });
+
+      // Forecast points, colored by intensity and labeled with class and time
+      map.addSource('nhc-points', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: points }
+      });
+
+      map.addLayer({
+        id: 'nhc-points-circle',
+        type: 'circle',
+        source: 'nhc-points',
+        paint: {
+          'circle-radius': MAP_LAYOUT.POINT_RADIUS,
+          'circle-color': ['get', 'color'],
+          'circle-stroke-color': '#111827',
+          'circle-stroke-width': 1.5
+        }
+      });
+
+      map.addLayer({
+        id: 'nhc-points-label',
+        type: 'symbol',
+        source: 'nhc-points',
+        layout: {
+          'text-field': ['get', 'label'],
+          'text-font': ['Noto Sans Bold'],
+          'text-size': 13,
+          'text-anchor': 'left',
+          'text-offset': [1, 0],
+          'text-allow-overlap': false
+        },
+        paint: {
+          'text-color': '#ffffff',
+          'text-halo-color': '#111827',
+          'text-halo-width': 1.5
+        }
+      });
+
+      // The user's location
+      map.addSource('user-location', {
+        type: 'geojson',
+        data: { type: 'Feature', geometry: { type: 'Point', coordinates: [userLocation.lon, userLocation.lat] } }
+      });
+
+      map.addLayer({
+        id: 'user-location-point',
+        type: 'circle',
+        source: 'user-location',
+        paint: {
+          'circle-radius': 7,
+          'circle-color': '#ef4444',
+          'circle-stroke-color': '#ffffff',
+          'circle-stroke-width': 2
+        }
+      });
+    });
+
+    // Draw overlay content immediately (doesn't depend on map loading)
+    drawOverlayContent();
+  };
+
+  // Draw the gradient overlay + storm text on the overlay canvas
+  function drawOverlayContent() {
+    const ctx = overlay.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+
+    // Horizontal gradient: opaque on left (text area) → transparent on right (map area)
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, cardOverlay(0.9));
+    gradient.addColorStop(0.55, cardOverlay(0.6));
+    gradient.addColorStop(1, cardOverlay(0.1));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    let y = L.padding.top;
+
+    // Header: hurricane icon + title
+    const headerCenterY = y + L.header.height / 2;
+    drawWeatherIcon(ctx, 'fa-hurricane', L.header.iconX, headerCenterY, L.header.iconSize);
+    ctx.fillStyle = cardText();
+    ctx.font = L.title.font;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('National Hurricane Center', L.header.textX, headerCenterY);
+    y += L.header.height;
+
+    layout.items.forEach((item, i) => {
+      if (i > 0) y += L.itemGap;
+
+      // Name with a swatch in the storm's current intensity color
+      const nameCenterY = y + L.name.height / 2;
+      ctx.fillStyle = item.color;
+      ctx.beginPath();
+      ctx.arc(L.padding.x + L.name.swatchSize / 2, nameCenterY, L.name.swatchSize / 2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = cardText();
+      ctx.font = item.nameFont;
+      ctx.textBaseline = 'middle';
+      ctx.fillText(item.name, L.padding.x + L.name.swatchSize + 16, nameCenterY);
+      y += L.name.height;
+
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = cardText(0.85);
+      ctx.font = L.meta.font;
+      for (const line of item.detailLines) {
+        ctx.fillText(line, L.padding.x, y);
+        y += L.meta.height;
+      }
+    });
+
+    drawWatermark(ctx, width, height, 'NOAA/NHC', timezone);
+  }
+
+  // Wait for DOM connection before initializing map
+  const cancelDOMWait = waitForDOMConnection(mapContainer, initMap);
+
+  // Export function for share/download
+  const exportToCanvas = () => exportMapToCanvas(map, overlay, width, height);
+
+  // Expose export function for lightbox
+  card._exportToCanvas = exportToCanvas;
+
+  // Theme refresh: redraw overlay (gradient + text) without touching the map
+  card._rerenderTheme = drawOverlayContent;
+
+  // Attach lightbox click handler
+  attachLightboxHandler(card);
+
+  // Add share/download actions
+  card.appendChild(createCardActions(
+    async () => {
+      const canvas = await exportToCanvas();
+      shareCard(canvas, 'tropical');
+    },
+    async () => {
+      const canvas = await exportToCanvas();
+      downloadCard(canvas, 'tropical');
+    }
+  ));
+
+  // Store cleanup function
+  card._cleanup = () => {
+    cancelDOMWait();
+    if (map) {
+      map.remove();
+      map = null;
+    }
+  };
+
+  return card;
+}
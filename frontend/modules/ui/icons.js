@@ -4,7 +4,7 @@
 import { library } from '@fortawesome/fontawesome-svg-core';
 import { registerIconLibrary } from '@web.awesome.me/webawesome-pro/dist/webawesome.js';
 
-// Import all needed icons (36 total)
+// Import all needed icons (41 total)
 import {
   faAngleLeft,
   faAngleRight,
@@ -20,6 +20,7 @@ import {
   faCloudShowersHeavy,
   faCloudSun,
   faCloudSunRain,
+  faComments,
   faDownload,
   faEarthAfrica,
   faEarthAmericas,
@@ -27,12 +28,16 @@ import {
   faEarthEurope,
   faEarthOceania,
   faEye,
+  faFlower,
   faHeart,
+  faHurricane,
   faLocationCrosshairs,
   faLocationDot,
   faMagnifyingGlass,
   faMinus,
   faMoon,
+  faPause,
+  faPlay,
   faPlus,
   faQuestion,
   faShareNodes,
@@ -65,6 +70,7 @@ library.add(
   faCloudShowersHeavy,
   faCloudSun,
   faCloudSunRain,
+  faComments,
   faDownload,
   faEarthAfrica,
   faEarthAmericas,
@@ -72,12 +78,16 @@ library.add(
   faEarthEurope,
   faEarthOceania,
   faEye,
+  faFlower,
   faHeart,
+  faHurricane,
   faLocationCrosshairs,
   faLocationDot,
   faMagnifyingGlass,
   faMinus,
   faMoon,
+  faPause,
+  faPlay,
   faPlus,
   faQuestion,
   faShareNodes,
@@ -105,6 +115,7 @@ const iconDefinitions = {
   'cloud-showers-heavy': faCloudShowersHeavy,
   'cloud-sun': faCloudSun,
   'cloud-sun-rain': faCloudSunRain,
+  'comments': faComments,
   'download': faDownload,
   'earth-africa': faEarthAfrica,
   'earth-americas': faEarthAmericas,
@@ -112,12 +123,16 @@ const iconDefinitions = {
   'earth-europe': faEarthEurope,
   'earth-oceania': faEarthOceania,
   'eye': faEye,
+  'flower': faFlower,
   'heart': faHeart,
+  'hurricane': faHurricane,
   'location-crosshairs': faLocationCrosshairs,
   'location-dot': faLocationDot,
   'magnifying-glass': faMagnifyingGlass,
   'minus': faMinus,
   'moon': faMoon,
+  'pause': faPause,
+  'play': faPlay,
   'plus': faPlus,
   'question': faQuestion,
   'share-nodes': faShareNodes,
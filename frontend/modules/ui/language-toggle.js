@@ -0,0 +1,11 @@
+// Alert language toggle functionality
+// Uses wa-radio-group for built-in selection state and keyboard navigation
+
+import { AlertLanguage } from '../utils/language.js';
+
+export function initLanguageToggle() {
+  const radioGroup = document.getElementById('language-toggle');
+  if (!radioGroup) return;
+
+  radioGroup.value = AlertLanguage.current;
+}
@@ -5,6 +5,9 @@
 let lightboxDialog = null;
 let currentCard = null;
 
+// Width of full-text lightbox views (matches .lightbox-text max-width)
+const LIGHTBOX_TEXT_MAX_WIDTH = 800;
+
 /**
  * Initialize the lightbox dialog (called once on first use)
  */
@@ -40,15 +43,16 @@ function ensureLightboxDialog() {
 async function getCardCanvas(card) {
   const cardType = card.dataset.cardType;
 
-  // Handle map-based cards (radar, satellite, alert-map) with async export
-  if (cardType === 'radar' || cardType === 'satellite' || cardType === 'alert-map') {
+  // Handle map-based cards (radar, satellite, alert-map, spc-map, tropical-map) with async export
+  if (cardType === 'radar' || cardType === 'satellite' || cardType === 'alert-map' || cardType === 'spc-map' || cardType === 'tropical-map') {
     if (card._exportToCanvas) {
       return await card._exportToCanvas();
     }
     return null;
   }
 
-  // Handle wxstory and SPC outlook cards (img-based)
+  // Handle wxstory and SPC outlook cards (img-based; SPC cards with a hazard
+  // breakdown are canvas-based and fall through)
   if (cardType === 'wxstory' || cardType === 'spc') {
     const img = card.querySelector('img[slot="media"]');
     if (img) {
@@ -59,7 +63,7 @@ async function getCardCanvas(card) {
       ctx.drawImage(img, 0, 0);
       return canvas;
     }
-    return null;
+    if (cardType === 'wxstory') return null;
   }
 
   // For canvas-based cards, find the canvas in media slot (or inside media wrapper)
@@ -82,25 +86,50 @@ export async function openLightbox(card) {
   // Get the card's position for animation origin
   const cardRect = card.getBoundingClientRect();
 
-  // Get the canvas from the card
-  const canvas = await getCardCanvas(card);
-  if (!canvas) return;
+  const viewportWidth = window.innerWidth;
+  const viewportHeight = window.innerHeight;
+  const maxWidth = viewportWidth * 0.9;
+  const maxHeight = viewportHeight * 0.9;
+  let view;
+  let targetWidth;
 
-  // Create an image from the canvas for display
-  const img = document.createElement('img');
-  img.src = canvas.toDataURL('image/png');
-  img.className = 'lightbox-image';
-  img.alt = `${card.dataset.cardType} weather card - enlarged view`;
+  if (card._createLightboxView) {
+    // Cards with a full-text view (e.g. forecast discussion) show it instead of
+    // an image; clicks inside don't close so the text can be scrolled and selected
+    view = card._createLightboxView();
+    view.addEventListener('click', (e) => e.stopPropagation());
+    targetWidth = Math.min(maxWidth, LIGHTBOX_TEXT_MAX_WIDTH);
+  } else {
+    // Get the canvas from the card
+    const canvas = await getCardCanvas(card);
+    if (!canvas) return;
+
+    // Create an image from the canvas for display
+    view = document.createElement('img');
+    view.src = canvas.toDataURL('image/png');
+    view.className = 'lightbox-image';
+    view.alt = `${card.dataset.cardType} weather card - enlarged view`;
+
+    // Scale: fit within 90vw x 90vh, whichever is more constrained
+    const imageAspect = canvas.width / canvas.height;
+    const targetAspect = maxWidth / maxHeight;
+
+    // Determine target size based on aspect ratio
+    if (imageAspect > targetAspect) {
+      // Image is wider than target area - constrain by width
+      targetWidth = maxWidth;
+    } else {
+      // Image is taller than target area - constrain by height
+      targetWidth = maxHeight * imageAspect;
+    }
+  }
 
-  // Clear previous content and add image
+  // Clear previous content and add the view
   content.innerHTML = '';
-  content.appendChild(img);
+  content.appendChild(view);
 
   // Calculate the scale and position for the grow animation
   // Start from card's size/position, grow to center
-  const viewportWidth = window.innerWidth;
-  const viewportHeight = window.innerHeight;
-
   // Card center position (use the media area, not the whole card with footer)
   const cardCenterX = cardRect.left + cardRect.width / 2;
   const cardCenterY = cardRect.top + cardRect.height / 2;
@@ -113,21 +142,6 @@ export async function openLightbox(card) {
   const translateX = cardCenterX - viewportCenterX;
   const translateY = cardCenterY - viewportCenterY;
 
-  // Scale: fit within 90vw x 90vh, whichever is more constrained
-  const maxWidth = viewportWidth * 0.9;
-  const maxHeight = viewportHeight * 0.9;
-  const imageAspect = canvas.width / canvas.height;
-  const targetAspect = maxWidth / maxHeight;
-
-  // Determine target size based on aspect ratio
-  let targetWidth;
-  if (imageAspect > targetAspect) {
-    // Image is wider than target area - constrain by width
-    targetWidth = maxWidth;
-  } else {
-    // Image is taller than target area - constrain by height
-    targetWidth = maxHeight * imageAspect;
-  }
   const scale = cardRect.width / targetWidth;
 
   // Apply initial transform to content (start at card's position/size)
@@ -209,8 +223,8 @@ export function attachLightboxHandler(card) {
   // Handle keyboard events for accessibility
   card.addEventListener('keydown', async (e) => {
     if (e.key === 'Enter' || e.key === ' ') {
-      // Don't trigger if focus is on a button inside the card
-      if (e.target.tagName === 'WA-BUTTON' || e.target.closest('wa-button')) {
+      // Don't trigger if focus is on a button or format picker inside the card
+      if (e.target.tagName === 'WA-BUTTON' || e.target.closest('wa-button, [slot="footer"]')) {
         return;
       }
       e.preventDefault();
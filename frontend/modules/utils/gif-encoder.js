@@ -0,0 +1,175 @@
+// Minimal animated GIF (GIF89a) encoder for sharing map loops
+// Pure JS: one global 256-color palette for all frames, LZW-compressed frames,
+// looping forever. No dithering - map tiles and card overlays are mostly flat color.
+
+const MAX_COLORS = 256;
+const MIN_CODE_SIZE = 8; // 256-entry palette
+const MAX_LZW_CODE = 4096;
+
+/**
+ * Pick a palette by popularity over 15-bit color bins (5 bits per channel)
+ * @param {Uint8ClampedArray[]} frames - RGBA pixel data per frame
+ * @returns {Uint8Array} 768-byte RGB palette
+ */
+function buildPalette(frames) {
+  const counts = new Uint32Array(32768);
+  for (const data of frames) {
+    for (let i = 0; i < data.length; i += 4) {
+      counts[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)]++;
+    }
+  }
+
+  const bins = [];
+  for (let key = 0; key < counts.length; key++) {
+    if (counts[key] > 0) bins.push(key);
+  }
+  bins.sort((a, b) => counts[b] - counts[a]);
+
+  // Use the center of each bin; unused entries stay black
+  const palette = new Uint8Array(MAX_COLORS * 3);
+  bins.slice(0, MAX_COLORS).forEach((key, i) => {
+    palette[i * 3] = ((key >> 10) << 3) | 4;
+    palette[i * 3 + 1] = (((key >> 5) & 31) << 3) | 4;
+    palette[i * 3 + 2] = ((key & 31) << 3) | 4;
+  });
+  return palette;
+}
+
+/**
+ * Map RGBA pixels to palette indices (nearest color, cached per 15-bit bin)
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {Uint8Array} palette - RGB palette
+ * @param {Int16Array} cache - Shared bin -> index cache (-1 when unset)
+ * @returns {Uint8Array} Palette index per pixel
+ */
+function indexPixels(data, palette, cache) {
+  const indices = new Uint8Array(data.length / 4);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    let index = cache[key];
+    if (index < 0) {
+      let best = Infinity;
+      for (let c = 0; c < MAX_COLORS; c++) {
+        const dr = palette[c * 3] - data[i];
+        const dg = palette[c * 3 + 1] - data[i + 1];
+        const db = palette[c * 3 + 2] - data[i + 2];
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < best) {
+          best = distance;
+          index = c;
+        }
+      }
+      cache[key] = index;
+    }
+    indices[p] = index;
+  }
+  return indices;
+}
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @returns {number[]} Bytes: sub-blocks of up to 255 bytes, then a 0 terminator
+ */
+function lzwEncode(indices) {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const eoiCode = clearCode + 1;
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = eoiCode + 1;
+  const dictionary = new Map();
+
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = prefix * 256 + k;
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode < MAX_LZW_CODE) {
+      // Widen codes once the next code no longer fits
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      dictionary.set(key, nextCode++);
+    } else {
+      // Table full - reset it
+      emit(clearCode);
+      dictionary.clear();
+      codeSize = MIN_CODE_SIZE + 1;
+      nextCode = eoiCode + 1;
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+  // Split into length-prefixed sub-blocks
+  const blocks = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const chunk = bytes.slice(i, i + 255);
+    blocks.push(chunk.length, ...chunk);
+  }
+  blocks.push(0);
+  return blocks;
+}
+
+/**
+ * Encode frames as a looping animated GIF
+ * @param {Array<{data: Uint8ClampedArray, delay: number}>} frames - RGBA pixels (width x height) and display time in ms
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {Blob} image/gif blob
+ */
+export function encodeGif(frames, width, height) {
+  const palette = buildPalette(frames.map(f => f.data));
+  const cache = new Int16Array(32768).fill(-1);
+  const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+
+  const parts = [];
+  // Header + logical screen descriptor (global color table, 256 entries)
+  parts.push(new Uint8Array([
+    ...[...'GIF89a'].map(c => c.charCodeAt(0)),
+    ...word(width), ...word(height),
+    0xf7, 0, 0
+  ]));
+  parts.push(palette);
+
+  // NETSCAPE2.0 application extension: loop forever
+  parts.push(new Uint8Array([
+    0x21, 0xff, 0x0b,
+    ...[...'NETSCAPE2.0'].map(c => c.charCodeAt(0)),
+    0x03, 0x01, 0, 0, 0
+  ]));
+
+  for (const frame of frames) {
+    // Graphic control extension: no disposal, delay in hundredths of a second
+    parts.push(new Uint8Array([
+      0x21, 0xf9, 0x04, 0x04, ...word(Math.round(frame.delay / 10)), 0, 0
+    ]));
+    // Image descriptor (full frame, global palette) + LZW data
+    parts.push(new Uint8Array([
+      0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0,
+      MIN_CODE_SIZE
+    ]));
+    parts.push(new Uint8Array(lzwEncode(indexPixels(frame.data, palette, cache))));
+  }
+
+  parts.push(new Uint8Array([0x3b]));
+  return new Blob(parts, { type: 'image/gif' });
+}
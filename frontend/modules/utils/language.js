@@ -0,0 +1,38 @@
+// Alert language preference for weather.gripe
+// NWS publishes Spanish translations of many alerts; English is used when none exists
+
+export const AlertLanguage = {
+  // Current alert language: 'en' or 'es'
+  current: 'en',
+
+  // Query string suffix for /api/location ('' for English, the default)
+  toParam() {
+    return this.current === 'en' ? '' : `&lang=${this.current}`;
+  },
+
+  // Set alert language
+  set(language) {
+    this.current = language;
+    try {
+      localStorage.setItem('alertLanguage', language);
+    } catch (e) {
+      // localStorage may be unavailable in private browsing
+    }
+  },
+
+  // Load saved preference
+  loadPreference() {
+    try {
+      const saved = localStorage.getItem('alertLanguage');
+      if (saved === 'en' || saved === 'es') {
+        this.current = saved;
+      }
+    } catch (e) {
+      // localStorage may be unavailable in private browsing
+    }
+    return this.current;
+  }
+};
+
+// Load preference on module load
+AlertLanguage.loadPreference();
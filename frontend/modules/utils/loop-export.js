@@ -0,0 +1,94 @@
+// Export map loops (radar, satellite) as an animated GIF or a WebM video
+// Frames are the cards' export canvases (map + overlay), one per loop frame
+
+import { encodeGif } from './gif-encoder.js';
+
+// GIFs are downscaled - full-size frames make multi-megabyte files
+const GIF_MAX_WIDTH = 800;
+
+// Preferred WebM codecs, best first
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const WEBM_FRAME_RATE = 30;
+
+// Pick the first WebM type MediaRecorder can produce (null when unsupported)
+function getWebmMimeType() {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+    return null;
+  }
+  return WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Export formats available in this browser for the share/download format picker
+ * @returns {Array<{value: string, label: string}>} PNG (current frame), GIF and - where MediaRecorder supports it - WebM
+ */
+export function getLoopFormats() {
+  const formats = [
+    { value: 'png', label: 'Image' },
+    { value: 'gif', label: 'GIF' }
+  ];
+  if (getWebmMimeType()) formats.push({ value: 'webm', label: 'Video' });
+  return formats;
+}
+
+// Scale frames down to GIF size and read back their pixels
+function encodeGifLoop(frames) {
+  const source = frames[0].canvas;
+  const scale = Math.min(1, GIF_MAX_WIDTH / source.width);
+  const width = Math.round(source.width * scale);
+  const height = Math.round(source.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  const pixels = frames.map(frame => {
+    ctx.drawImage(frame.canvas, 0, 0, width, height);
+    return { data: ctx.getImageData(0, 0, width, height).data, delay: frame.delay };
+  });
+  return encodeGif(pixels, width, height);
+}
+
+// Record frames to WebM in real time: draw each frame onto a captured canvas
+// and hold it for its delay
+async function encodeWebmLoop(frames) {
+  const mimeType = getWebmMimeType();
+  const canvas = document.createElement('canvas');
+  canvas.width = frames[0].canvas.width;
+  canvas.height = frames[0].canvas.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(frames[0].canvas, 0, 0);
+
+  const stream = canvas.captureStream(WEBM_FRAME_RATE);
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+  recorder.start();
+  for (const frame of frames) {
+    ctx.drawImage(frame.canvas, 0, 0);
+    await new Promise(resolve => setTimeout(resolve, frame.delay));
+  }
+  recorder.stop();
+  await stopped;
+  stream.getTracks().forEach(track => track.stop());
+
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Encode loop frames in the chosen format
+ * @param {Array<{canvas: HTMLCanvasElement, delay: number}>} frames - Export canvases (oldest first) and display time in ms
+ * @param {string} format - 'gif' or 'webm'
+ * @returns {Promise<{blob: Blob, extension: string}>} Encoded file and its extension
+ */
+export async function encodeLoop(frames, format) {
+  if (format === 'webm') {
+    return { blob: await encodeWebmLoop(frames), extension: 'webm' };
+  }
+  return { blob: encodeGifLoop(frames), extension: 'gif' };
+}
@@ -1,8 +1,12 @@
-// Shared MapLibre utilities for radar and alert-map cards
+// Shared MapLibre utilities for radar, satellite and alert-map cards
 
 // MapLibre is lazy-loaded and cached
 let maplibregl = null;
 
+// Loop playback timing (also used for exported GIF/WebM loops)
+export const LOOP_FRAME_INTERVAL_MS = 500;
+export const LOOP_LAST_FRAME_DWELL_MS = 1500;
+
 /**
  * Lazily load MapLibre GL JS and its CSS
  * @returns {Promise<MapLibre>} The MapLibre GL JS module
@@ -89,3 +93,297 @@ export async function exportMapToCanvas(map, overlay, width, height, timeout = 5
   ctx.drawImage(overlay, 0, 0);
   return exportCanvas;
 }
+
+/**
+ * Create play/pause and scrubber controls for looping a map card through frames
+ * Frames advance every intervalMs and dwell longer on the last (latest) frame
+ * @param {Object} options
+ * @param {number} options.frameCount - Number of frames in the loop
+ * @param {number} options.initialFrame - Frame index shown before playback
+ * @param {string} options.label - Accessible name for the loop (e.g. 'Radar loop')
+ * @param {Function} options.onFrame - Called with the frame index to display
+ * @param {Function} [options.onFirstUse] - Called once before the first play or scrub (e.g. to add frame layers)
+ * @param {number} [options.intervalMs] - Delay between frames (default 500)
+ * @param {number} [options.dwellMs] - Delay on the last frame before looping (default 1500)
+ * @returns {{element: HTMLElement, setFrame: Function, stop: Function}} Controls element and handles
+ */
+export function createMapLoopControls({ frameCount, initialFrame, label, onFrame, onFirstUse = null, intervalMs = LOOP_FRAME_INTERVAL_MS, dwellMs = LOOP_LAST_FRAME_DWELL_MS }) {
+  let frame = initialFrame;
+  let timer = null;
+  let used = false;
+
+  const element = document.createElement('div');
+  element.className = 'map-loop-controls';
+
+  const playBtn = document.createElement('button');
+  playBtn.className = 'map-loop-play';
+  element.appendChild(playBtn);
+
+  const scrubber = document.createElement('input');
+  scrubber.type = 'range';
+  scrubber.className = 'map-loop-scrubber';
+  scrubber.min = '0';
+  scrubber.max = String(frameCount - 1);
+  scrubber.step = '1';
+  scrubber.value = String(frame);
+  scrubber.setAttribute('aria-label', `${label} frame`);
+  element.appendChild(scrubber);
+
+  const updatePlayButton = () => {
+    const playing = timer !== null;
+    playBtn.innerHTML = `<wa-icon name="${playing ? 'pause' : 'play'}"></wa-icon>`;
+    playBtn.setAttribute('aria-label', `${playing ? 'Pause' : 'Play'} ${label.toLowerCase()}`);
+  };
+
+  const ensureUsed = () => {
+    if (used) return;
+    used = true;
+    if (onFirstUse) onFirstUse();
+  };
+
+  const setFrame = (index) => {
+    frame = index;
+    scrubber.value = String(frame);
+    onFrame(frame);
+  };
+
+  const stop = () => {
+    if (timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    updatePlayButton();
+  };
+
+  const tick = () => {
+    setFrame((frame + 1) % frameCount);
+    timer = setTimeout(tick, frame === frameCount - 1 ? dwellMs : intervalMs);
+  };
+
+  playBtn.addEventListener('click', () => {
+    if (timer !== null) {
+      stop();
+      return;
+    }
+    ensureUsed();
+    timer = setTimeout(tick, frame === frameCount - 1 ? 0 : intervalMs);
+    updatePlayButton();
+  });
+
+  scrubber.addEventListener('input', () => {
+    stop();
+    ensureUsed();
+    setFrame(Number(scrubber.value));
+  });
+
+  // Keep clicks and key presses from opening the card lightbox
+  element.addEventListener('click', (e) => e.stopPropagation());
+  element.addEventListener('keydown', (e) => e.stopPropagation());
+
+  updatePlayButton();
+  return { element, setFrame, stop };
+}
+
+/**
+ * Create a segmented picker for switching a map card between imagery layers
+ * (e.g. satellite bands)
+ * @param {Object} options
+ * @param {Array<{value: string, label: string}>} options.options - Layers to choose from
+ * @param {string} options.value - Initially selected value
+ * @param {string} options.label - Accessible name for the picker (e.g. 'Satellite band')
+ * @param {Function} options.onChange - Called with the newly selected value
+ * @returns {{element: HTMLElement, setValue: Function}} Picker element and handle
+ */
+export function createMapLayerPicker({ options, value, label, onChange }) {
+  const element = document.createElement('div');
+  element.className = 'map-layer-picker';
+  element.setAttribute('role', 'group');
+  element.setAttribute('aria-label', label);
+
+  const buttons = options.map(option => {
+    const btn = document.createElement('button');
+    btn.className = 'map-layer-btn';
+    btn.textContent = option.label;
+    btn.dataset.value = option.value;
+    btn.addEventListener('click', () => {
+      if (btn.dataset.value === value) return;
+      setValue(option.value);
+      onChange(option.value);
+    });
+    element.appendChild(btn);
+    return btn;
+  });
+
+  const setValue = (newValue) => {
+    value = newValue;
+    buttons.forEach(btn => btn.setAttribute('aria-pressed', String(btn.dataset.value === value)));
+  };
+
+  // Keep clicks and key presses from opening the card lightbox
+  element.addEventListener('click', (e) => e.stopPropagation());
+  element.addEventListener('keydown', (e) => e.stopPropagation());
+
+  setValue(value);
+  return { element, setValue };
+}
+
+/**
+ * Loop a map card through imagery frames, with play/pause and scrubber controls
+ * and - when there are several layers (e.g. radar products, satellite bands) -
+ * a layer picker. Each frame of the selected layer is its own raster
+ * source/layer with only the current frame opaque; frames are added lazily so
+ * the initial load fetches just the latest
+ * @param {Object} options
+ * @param {HTMLElement} options.wrapper - Map wrapper the controls are mounted in
+ * @param {Object<string, {timestamps: string[]}>} options.layers - Layers and their frame times (oldest first)
+ * @param {string} options.initialLayer - Initially selected layer key
+ * @param {string} options.idPrefix - Source/layer id prefix (e.g. 'radar')
+ * @param {Function} options.tileUrl - (layerKey, time, frameIndex) => raster tile URL template
+ * @param {Object} [options.sourceOptions] - Extra raster source options (e.g. maxzoom)
+ * @param {number} options.opacity - Opacity of the shown frame
+ * @param {string} options.beforeId - Layer frames are inserted below once the map has loaded
+ * @param {string} options.loopLabel - Accessible name for the loop controls
+ * @param {Object} [options.picker] - { label, optionLabel(key) } to offer a layer picker
+ * @param {Function} options.onChange - Called after the shown frame or layer changes (e.g. to redraw the overlay)
+ * @returns {{layer: string, timestamps: string[], currentFrame: number, latestFrame: number, loops: boolean,
+ *   attach: Function, exportFrames: Function, stop: Function}} Loop state and handles
+ */
+export function createMapFrameLoop({ wrapper, layers, initialLayer, idPrefix, tileUrl, sourceOptions = {}, opacity, beforeId, loopLabel, picker = null, onChange }) {
+  let map = null;
+  let layer = initialLayer;
+  let timestamps = layers[layer].timestamps;
+  let latestFrame = timestamps.length - 1;
+  let currentFrame = latestFrame;
+  let loopControls = null;
+
+  const sourceId = (i) => `${idPrefix}-frame-${i}`;
+  const layerId = (i) => `${idPrefix}-layer-${i}`;
+
+  const addFrameLayer = (i, before) => {
+    if (!map || map.getLayer(layerId(i))) return;
+    map.addSource(sourceId(i), {
+      type: 'raster',
+      tiles: [tileUrl(layer, timestamps[i], i)],
+      tileSize: 256,
+      ...sourceOptions
+    });
+    map.addLayer({
+      id: layerId(i),
+      type: 'raster',
+      source: sourceId(i),
+      paint: {
+        'raster-opacity': i === currentFrame ? opacity : 0,
+        'raster-fade-duration': 0
+      }
+    }, before);
+  };
+
+  const addAllFrames = () => {
+    if (map) timestamps.forEach((_, i) => addFrameLayer(i, beforeId));
+  };
+
+  const removeFrameLayers = () => {
+    timestamps.forEach((_, i) => {
+      if (!map.getLayer(layerId(i))) return;
+      map.removeLayer(layerId(i));
+      map.removeSource(sourceId(i));
+    });
+  };
+
+  const showFrame = (i) => {
+    if (map) {
+      addFrameLayer(i, beforeId);
+      map.setPaintProperty(layerId(currentFrame), 'raster-opacity', 0);
+      map.setPaintProperty(layerId(i), 'raster-opacity', opacity);
+    }
+    currentFrame = i;
+    onChange();
+  };
+
+  // Loop controls for the selected layer (rebuilt on layer change, since
+  // layers can list different frame counts; omitted for a single frame)
+  const setupLoopControls = () => {
+    if (loopControls) {
+      loopControls.stop();
+      loopControls.element.remove();
+      loopControls = null;
+    }
+    if (timestamps.length < 2) return;
+    loopControls = createMapLoopControls({
+      frameCount: timestamps.length,
+      initialFrame: latestFrame,
+      label: loopLabel,
+      onFrame: showFrame,
+      onFirstUse: addAllFrames
+    });
+    wrapper.appendChild(loopControls.element);
+  };
+  setupLoopControls();
+
+  // Layer picker: swap the frame layers and restart at the latest frame
+  const switchLayer = (newLayer) => {
+    if (map) removeFrameLayers();
+    layer = newLayer;
+    timestamps = layers[layer].timestamps;
+    latestFrame = timestamps.length - 1;
+    currentFrame = latestFrame;
+    if (map) addFrameLayer(currentFrame, beforeId);
+    setupLoopControls();
+    onChange();
+  };
+
+  if (picker && Object.keys(layers).length > 1) {
+    const layerPicker = createMapLayerPicker({
+      options: Object.keys(layers).map(value => ({ value, label: picker.optionLabel(value) })),
+      value: layer,
+      label: picker.label,
+      onChange: switchLayer
+    });
+    wrapper.appendChild(layerPicker.element);
+  }
+
+  return {
+    get layer() { return layer; },
+    get timestamps() { return timestamps; },
+    get currentFrame() { return currentFrame; },
+    get latestFrame() { return latestFrame; },
+    loops: Object.values(layers).some(l => l.timestamps.length > 1),
+
+    // Add the shown frame once the map has loaded - the latest unless the loop
+    // was already started (other frames load on first play/scrub); call before
+    // adding beforeId's layer
+    attach(loadedMap) {
+      map = loadedMap;
+      addFrameLayer(currentFrame);
+    },
+
+    // Export every frame of the selected layer (oldest first) for GIF/WebM
+    // sharing, then restore the frame that was showing
+    async exportFrames(exportToCanvas) {
+      if (loopControls) loopControls.stop();
+      const shownFrame = currentFrame;
+      addAllFrames();
+
+      const frames = [];
+      for (let i = 0; i < timestamps.length; i++) {
+        showFrame(i);
+        frames.push({
+          canvas: await exportToCanvas(),
+          delay: i === latestFrame ? LOOP_LAST_FRAME_DWELL_MS : LOOP_FRAME_INTERVAL_MS
+        });
+      }
+      if (loopControls) {
+        loopControls.setFrame(shownFrame);
+      } else {
+        showFrame(shownFrame);
+      }
+      return frames;
+    },
+
+    // Stop playback and let go of the map (card cleanup)
+    stop() {
+      if (loopControls) loopControls.stop();
+      map = null;
+    }
+  };
+}
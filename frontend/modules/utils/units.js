@@ -32,6 +32,20 @@ export const Units = {
     return 'High Winds';
   },
 
+  // Format wind speed with unit
+  formatWind(kmh) {
+    if (kmh == null || !Number.isFinite(kmh)) return '--';
+    const value = this.current === 'imperial' ? kmh / 1.60934 : kmh;
+    return `${Math.round(value)} ${this.current === 'imperial' ? 'mph' : 'km/h'}`;
+  },
+
+  // Format distance with unit
+  formatDistance(km) {
+    if (km == null || !Number.isFinite(km)) return '--';
+    const value = this.current === 'imperial' ? km / 1.60934 : km;
+    return `${Math.round(value)} ${this.current === 'imperial' ? 'mi' : 'km'}`;
+  },
+
   // Format humidity (no conversion needed)
   formatHumidity(percent) {
     if (percent == null || !Number.isFinite(percent)) return '--';
@@ -10,48 +10,110 @@ const UNSPLASH_CACHE_TTL = 24 * 60 * 60; // 24 hours
 const LOCATION_CACHE_TTL = 5 * 60; // 5 minutes (limited by alerts)
 const WXSTORY_CACHE_TTL = 5 * 60; // 5 minutes
 const WXSTORY_IMAGE_CACHE_TTL = 30 * 60; // 30 minutes
+const AFD_CACHE_TTL = 5 * 60; // 5 minutes (AFDs are re-issued a few times a day, plus updates)
 const SPC_CACHE_TTL = 5 * 60; // 5 minutes (outlooks are re-issued several times a day)
 const SPC_OUTLOOK_CACHE_TTL = 5 * 60; // internal GeoJSON cache
 const SPC_IMAGE_CACHE_TTL = 5 * 60; // state graphics regenerate with each issuance
+const SPC_ACTIVE_CACHE_TTL = 2 * 60; // internal watch/MD polygon cache (issued at any time)
+const ERO_CACHE_TTL = 10 * 60; // 10 minutes (excessive rainfall outlooks are issued a few times a day)
+const ERO_OUTLOOK_CACHE_TTL = 10 * 60; // internal GeoJSON cache
+const ERO_IMAGE_CACHE_TTL = 10 * 60; // national graphics regenerate with each issuance
+const NHC_CACHE_TTL = 5 * 60; // 5 minutes (advisories every 3-6 hours, special advisories any time)
+const NHC_STORMS_CACHE_TTL = 5 * 60; // internal active storm list cache
+const NHC_FORECAST_CACHE_TTL = 30 * 60; // internal cone/track/points cache (keyed by advisory)
+const NHC_LAYERS_CACHE_TTL = 24 * 60 * 60; // internal MapServer layer list cache
+const AIRQUALITY_CACHE_TTL = 15 * 60; // 15 minutes
+const AIRQUALITY_DATA_CACHE_TTL = 30 * 60; // internal cache (CAMS forecasts update a few times a day)
 const RADAR_TIMESTAMP_CACHE_TTL = 60; // 1 minute
 const RADAR_TILE_CACHE_TTL = 120; // 2 minutes
+const RADAR_LEGEND_CACHE_TTL = 24 * 60 * 60; // 24 hours (layer styles rarely change)
+const RADAR_FRAME_COUNT = 10; // timestamps returned for the radar loop
 const SATELLITE_TIMESTAMP_CACHE_TTL = 120; // 2 minutes (GOES imagery updates every ~5 minutes)
 const SATELLITE_TILE_CACHE_TTL = 300; // 5 minutes
+const SATELLITE_LOOP_MINUTES = 120; // satellite loop covers the last two hours
+const SATELLITE_FRAME_COUNT = 12; // max (evenly spaced) frames in the satellite loop
 const BASEMAP_TILE_CACHE_TTL = 86400; // 24 hours
 
+// Hourly forecast window returned by /api/location (override with ?hours=)
+const HOURLY_DEFAULT_HOURS = 48;
+const HOURLY_MAX_HOURS = 7 * 24; // 7 days
+
 // stale-while-revalidate windows (RFC 5861) for the front Workers Cache
 const LOCATION_SWR_TTL = 10 * 60; // 10 minutes
 const WXSTORY_SWR_TTL = 10 * 60; // 10 minutes
+const AFD_SWR_TTL = 10 * 60; // 10 minutes
 const SPC_SWR_TTL = 10 * 60; // 10 minutes
+const ERO_SWR_TTL = 20 * 60; // 20 minutes
+const NHC_SWR_TTL = 10 * 60; // 10 minutes
+const AIRQUALITY_SWR_TTL = 30 * 60; // 30 minutes
 const RADAR_METADATA_SWR_TTL = 120; // 2 minutes
 const SATELLITE_METADATA_SWR_TTL = 240; // 4 minutes
 const GEOCODE_SWR_TTL = 24 * 60 * 60; // 24 hours
 const UNSPLASH_SWR_TTL = 24 * 60 * 60; // 24 hours
 
-// NOAA radar region configurations
+// NOAA radar region configurations (MRMS mosaics on opengeo.ncep.noaa.gov)
+// Products the client can switch between, keyed as in radar.js: base
+// reflectivity, precipitation type, echo tops and 1-hour QPE. A product is only
+// offered when the region's WMS capabilities list its layer with a time
+// dimension (not every region publishes every product)
 const NOAA_RADAR_CONFIG = {
   conus: {
     bounds: { minLat: 21, maxLat: 50, minLon: -130, maxLon: -60 },
-    layer: 'conus_bref_qcd'
+    layers: radarLayers('conus')
   },
   alaska: {
     bounds: { minLat: 51, maxLat: 72, minLon: -180, maxLon: -129 },
-    layer: 'alaska_bref_qcd'
+    layers: radarLayers('alaska')
   },
   hawaii: {
     bounds: { minLat: 18, maxLat: 23, minLon: -161, maxLon: -154 },
-    layer: 'hawaii_bref_qcd'
+    layers: radarLayers('hawaii')
   },
   carib: {
     bounds: { minLat: 16, maxLat: 20, minLon: -68, maxLon: -63 },
-    layer: 'carib_bref_qcd'
+    layers: radarLayers('carib')
   },
   guam: {
-    bounds: { minLat: 12, maxLat: 15, minLon: 144, maxLon: 146 },
-    layer: 'guam_bref_qcd'
+    bounds: { minLat: 12, maxLat: 16, minLon: 144, maxLon: 146 },
+    layers: radarLayers('guam')
   }
 };
 
+// MRMS layer names for a radar region (regions share the naming scheme)
+function radarLayers(region) {
+  return {
+    reflectivity: `${region}_bref_qcd`,
+    precipType: `${region}_pcpn_typ`,
+    echoTops: `${region}_neet_v18`,
+    qpe: `${region}_qpe_01h`
+  };
+}
+
+// Global radar fallback outside NOAA coverage: RainViewer's public composite
+// (frame list JSON + XYZ tiles; the public tiles stop at zoom 7 and MapLibre
+// overzooms beyond that)
+const GLOBAL_RADAR_MAPS_URL = 'https://api.rainviewer.com/public/weather-maps.json';
+const GLOBAL_RADAR_TILE_HOST = 'https://tilecache.rainviewer.com';
+const GLOBAL_RADAR_MAX_ZOOM = 7;
+const GLOBAL_RADAR_COLOR_SCHEME = 2; // Universal Blue (the legend in radar.js matches it)
+
+// Countries served by the National Weather Service, keyed by the country code
+// Nominatim reports. US territories come back under their own ISO codes rather
+// than 'us', so each needs its own entry. Bounds are rough boxes used to start
+// the NWS points fetch speculatively (in parallel with reverse geocoding).
+const NWS_COVERAGE = {
+  us: [
+    { minLat: 24, maxLat: 49, minLon: -125, maxLon: -66 }, // Continental US
+    { minLat: 51, maxLat: 72, minLon: -180, maxLon: -130 }, // Alaska
+    { minLat: 18, maxLat: 23, minLon: -161, maxLon: -154 } // Hawaii
+  ],
+  pr: [{ minLat: 17.8, maxLat: 18.6, minLon: -67.3, maxLon: -65.2 }], // Puerto Rico
+  vi: [{ minLat: 17.6, maxLat: 18.5, minLon: -65.1, maxLon: -64.5 }], // US Virgin Islands
+  gu: [{ minLat: 13.2, maxLat: 13.7, minLon: 144.6, maxLon: 145 }], // Guam
+  mp: [{ minLat: 14, maxLat: 20.6, minLon: 144.8, maxLon: 146.1 }], // Northern Mariana Islands
+  as: [{ minLat: -14.6, maxLat: -11, minLon: -171.2, maxLon: -168.1 }] // American Samoa
+};
+
 // NOAA nowCOAST satellite imagery configurations
 // Regions are checked in order: GOES East/West composite (5-min updates, higher
 // resolution) where available, then the global GMGSI mosaic (hourly, ~3km)
@@ -59,11 +121,19 @@ const NOAA_RADAR_CONFIG = {
 const NOAA_SATELLITE_CONFIG = {
   goes: {
     bounds: { minLat: 11, maxLat: 50.5, minLon: -179.5, maxLon: -50.8 },
-    layers: { visible: 'goes_visible_imagery', infrared: 'goes_longwave_imagery' }
+    layers: {
+      visible: 'goes_visible_imagery',
+      infrared: 'goes_longwave_imagery',
+      waterVapor: 'goes_water_vapor_imagery'
+    }
   },
   global: {
     bounds: { minLat: -72.7, maxLat: 72.7, minLon: -180, maxLon: 180 },
-    layers: { visible: 'global_visible_imagery_mosaic', infrared: 'global_longwave_imagery_mosaic' }
+    layers: {
+      visible: 'global_visible_imagery_mosaic',
+      infrared: 'global_longwave_imagery_mosaic',
+      waterVapor: 'global_water_vapor_imagery_mosaic'
+    }
   }
 };
 
@@ -286,10 +356,10 @@ const NWS_ICON_CONDITIONS = {
   'hot': { code: 'clear', text: 'Hot', icon: 'sun' },
 
   // Tropical (day only typically)
-  'hur_warn': { code: 'thunderstorm-severe', text: 'Hurricane Warning', icon: 'cloud-bolt' },
-  'hur_watch': { code: 'thunderstorm-severe', text: 'Hurricane Watch', icon: 'cloud-bolt' },
-  'ts_warn': { code: 'thunderstorm-severe', text: 'Tropical Storm Warning', icon: 'cloud-bolt' },
-  'ts_watch': { code: 'thunderstorm-severe', text: 'Tropical Storm Watch', icon: 'cloud-bolt' },
+  'hur_warn': { code: 'thunderstorm-severe', text: 'Hurricane Warning', icon: 'hurricane' },
+  'hur_watch': { code: 'thunderstorm-severe', text: 'Hurricane Watch', icon: 'hurricane' },
+  'ts_warn': { code: 'thunderstorm-severe', text: 'Tropical Storm Warning', icon: 'hurricane' },
+  'ts_watch': { code: 'thunderstorm-severe', text: 'Tropical Storm Watch', icon: 'hurricane' },
 };
 
 // Parse NWS icon URL to extract the condition code
@@ -417,6 +487,47 @@ function extractPrecipDetail(text) {
   return match ? match[0] : null;
 }
 
+// Parse an ISO 8601 duration (e.g. "PT10M", "PT6H", "P1DT12H") to milliseconds
+function parseDurationMs(duration) {
+  const match = (duration || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return (((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+}
+
+// Parse an ISO 8601 duration to whole hours
+function parseDurationHours(duration) {
+  const ms = parseDurationMs(duration);
+  return ms == null ? null : Math.round(ms / (60 * 60 * 1000));
+}
+
+// Sum an NWS gridpoint time series into the location's local days
+// Each value's validTime interval ("2026-01-05T06:00:00+00:00/PT6H") is spread
+// evenly across the hours it spans so totals split correctly at local midnight
+// Returns Map of YYYY-MM-DD -> total in the series' units
+function sumGridSeriesByDay(series, timeZone) {
+  const totals = new Map();
+  if (!series?.values?.length) return totals;
+
+  const dayFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+  });
+
+  for (const { validTime, value } of series.values) {
+    if (value == null || !validTime) continue;
+    const [start, duration] = validTime.split('/');
+    const startMs = Date.parse(start);
+    if (!Number.isFinite(startMs)) continue;
+    const hours = parseDurationHours(duration) || 1;
+    const perHour = value / hours;
+    for (let h = 0; h < hours; h++) {
+      const date = dayFormatter.format(new Date(startMs + h * 60 * 60 * 1000));
+      totals.set(date, (totals.get(date) || 0) + perHour);
+    }
+  }
+  return totals;
+}
+
 // Truncate coordinates to 3 decimal places (~111m precision)
 function truncateCoord(coord) {
   return Math.round(parseFloat(coord) * 1000) / 1000;
@@ -494,6 +605,8 @@ async function reverseGeocode(lat, lon, cache, ctx) {
   const result = {
     name: addr.city || addr.town || addr.village || addr.municipality || addr.county || 'Unknown',
     region: [addr.state, addr.country].filter(Boolean).join(', '),
+    // Administrative areas, most local first (matched against MeteoAlarm warning areas)
+    admin: [addr.county, addr.state_district, addr.province, addr.state, addr.region].filter(Boolean),
     latitude: parseFloat(data.lat),
     longitude: parseFloat(data.lon),
     country_code: addr.country_code
@@ -536,6 +649,7 @@ async function forwardGeocode(query) {
   return {
     name,
     region: parts.slice(1).join(', '),
+    admin: [addr.county, addr.state_district, addr.province, addr.state, addr.region].filter(Boolean),
     latitude: parseFloat(result.lat),
     longitude: parseFloat(result.lon),
     country_code: addr.country_code || null
@@ -659,16 +773,56 @@ async function fetchNWSObservation(stationsUrl) {
   }
 }
 
+// Fetch raw NWS gridpoint data the standard forecasts leave out
+// precip: liquid-equivalent QPF, snowfall and ice accumulation (mm) summed
+// into the location's local days; windGust: raw km/h series for hourly lookup
+// Returns null if the grid is unavailable (those fields then stay null)
+async function fetchNWSGridData(points) {
+  try {
+    const url = `https://api.weather.gov/gridpoints/${points.gridId}/${points.gridX},${points.gridY}`;
+    const response = await fetch(url, { headers: NWS_HEADERS });
+    if (!response.ok) return null;
+
+    const grid = (await response.json()).properties || {};
+    return {
+      precip: {
+        rain: sumGridSeriesByDay(grid.quantitativePrecipitation, points.timeZone),
+        snow: sumGridSeriesByDay(grid.snowfallAmount, points.timeZone),
+        ice: sumGridSeriesByDay(grid.iceAccumulation, points.timeZone)
+      },
+      windGust: grid.windGust || null
+    };
+  } catch (e) {
+    console.error('NWS gridpoint fetch error:', e);
+    return null;
+  }
+}
+
+// Find the value of an NWS gridpoint time series at a given instant
+// (the entry whose validTime interval contains it), or null
+function gridValueAt(series, time) {
+  const t = Date.parse(time);
+  if (!series?.values || !Number.isFinite(t)) return null;
+  for (const { validTime, value } of series.values) {
+    const [start, duration] = validTime.split('/');
+    const startMs = Date.parse(start);
+    const endMs = startMs + (parseDurationHours(duration) || 1) * 60 * 60 * 1000;
+    if (t >= startMs && t < endMs) return value;
+  }
+  return null;
+}
+
 // Fetch complete weather data from NWS and transform to unified schema
 // Accepts optional pre-fetched points to avoid redundant API call
 async function fetchWeatherNWS(lat, lon, cache, ctx, skipCache = false, existingPoints = null) {
   // 1. Get grid point (use existing or fetch)
   const points = existingPoints || await fetchNWSPoints(lat, lon, cache, ctx, skipCache);
 
-  // 2. Parallel fetch forecast + observation
-  const [forecastRes, observation] = await Promise.all([
+  // 2. Parallel fetch forecast + observation + gridpoint amounts/gusts
+  const [forecastRes, observation, gridData] = await Promise.all([
     fetch(points.forecast, { headers: NWS_HEADERS }),
-    fetchNWSObservation(points.observationStations)
+    fetchNWSObservation(points.observationStations),
+    fetchNWSGridData(points)
   ]);
 
   if (!forecastRes.ok) {
@@ -706,8 +860,8 @@ async function fetchWeatherNWS(lat, lon, cache, ctx, skipCache = false, existing
     // Use icon URL for more reliable condition mapping
     const condition = mapNWSIconToCondition(primaryPeriod?.icon, primaryPeriod?.shortForecast);
 
-    // NWS provides precip chance but not amounts in standard forecast
-    // Extract detail text for accumulation info
+    // Standard forecast has precip chance only - amounts come from the raw
+    // gridpoint data; also keep any accumulation prose as condition.detail
     const detailText = dayPeriod?.detailedForecast || nightPeriod?.detailedForecast;
     const precipDetail = extractPrecipDetail(detailText);
 
@@ -720,10 +874,16 @@ async function fetchWeatherNWS(lat, lon, cache, ctx, skipCache = false, existing
         detail: precipDetail
       },
       precipitation: {
-        // NWS doesn't provide amounts in standard forecast (see condition.detail)
-        snow: null,
-        rain: null
+        // rain is liquid-equivalent QPF (includes the water content of snow/ice)
+        snow: gridDayTotalInches(gridData?.precip.snow, date),
+        rain: gridDayTotalInches(gridData?.precip.rain, date),
+        ice: gridDayTotalInches(gridData?.precip.ice, date)
       },
+      // Daytime period when available (NWS gusts aren't in the 12h periods)
+      precipProbability: primaryPeriod?.probabilityOfPrecipitation?.value ?? null,
+      windSpeed: parseWindSpeed(primaryPeriod?.windSpeed, true),
+      windGust: null,
+      windDirection: parseWindDirection(primaryPeriod?.windDirection),
       sunrise: sunTimes.sunrise,
       sunset: sunTimes.sunset,
       // Detailed forecast objects for text forecast cards
@@ -731,13 +891,15 @@ async function fetchWeatherNWS(lat, lon, cache, ctx, skipCache = false, existing
         name: dayPeriod.name,
         detailedForecast: dayPeriod.detailedForecast,
         shortForecast: dayPeriod.shortForecast,
-        condition: mapNWSIconToCondition(dayPeriod.icon, dayPeriod.shortForecast)
+        condition: mapNWSIconToCondition(dayPeriod.icon, dayPeriod.shortForecast),
+        source: 'nws'
       } : null,
       nightForecast: nightPeriod ? {
         name: nightPeriod.name,
         detailedForecast: nightPeriod.detailedForecast,
         shortForecast: nightPeriod.shortForecast,
-        condition: mapNWSIconToCondition(nightPeriod.icon, nightPeriod.shortForecast)
+        condition: mapNWSIconToCondition(nightPeriod.icon, nightPeriod.shortForecast),
+        source: 'nws'
       } : null
     });
   }
@@ -782,10 +944,16 @@ async function fetchWeatherNWS(lat, lon, cache, ctx, skipCache = false, existing
     if (hourlyRes.ok) {
       const hourlyData = await hourlyRes.json();
       const hourlyPeriods = hourlyData.properties?.periods || [];
-      hourly = hourlyPeriods.slice(0, 24).map(period => ({
+      hourly = hourlyPeriods.slice(0, HOURLY_MAX_HOURS).map(period => ({
         time: period.startTime,
         temperature: fahrenheitToCelsius(period.temperature),
-        condition: mapNWSIconToCondition(period.icon, period.shortForecast)
+        condition: mapNWSIconToCondition(period.icon, period.shortForecast),
+        precipProbability: period.probabilityOfPrecipitation?.value ?? null,
+        windSpeed: parseWindSpeed(period.windSpeed),
+        windGust: gridValueAt(gridData?.windGust, period.startTime),
+        windDirection: parseWindDirection(period.windDirection),
+        dewpoint: period.dewpoint?.value ?? null,
+        humidity: period.relativeHumidity?.value ?? null
       }));
     }
   } catch (e) {
@@ -801,17 +969,25 @@ async function fetchWeatherNWS(lat, lon, cache, ctx, skipCache = false, existing
   };
 }
 
+// Helper: Look up a day's gridpoint total (mm) and convert to inches
+// (null when the grid is unavailable or doesn't cover that day)
+function gridDayTotalInches(totals, date) {
+  if (!totals?.has(date)) return null;
+  return Math.round(totals.get(date) / 25.4 * 100) / 100;
+}
+
 // Helper: Convert Fahrenheit to Celsius
 function fahrenheitToCelsius(f) {
   return Math.round((f - 32) * 5 / 9);
 }
 
 // Helper: Parse NWS wind speed string (e.g., "5 to 10 mph") to km/h
-function parseWindSpeed(windStr) {
+// Uses the low end of a range unless useMax is set
+function parseWindSpeed(windStr, useMax = false) {
   if (!windStr) return null;
-  const match = windStr.match(/(\d+)/);
-  if (!match) return null;
-  const mph = parseInt(match[1], 10);
+  const matches = windStr.match(/\d+/g);
+  if (!matches) return null;
+  const mph = parseInt(useMax ? matches[matches.length - 1] : matches[0], 10);
   return Math.round(mph * 1.60934); // Convert mph to km/h
 }
 
@@ -827,6 +1003,18 @@ function parseWindDirection(dirStr) {
   return directions[dirStr.toUpperCase()] ?? null;
 }
 
+// Helper: Check whether a Nominatim country code is served by the NWS
+function isNWSCountry(countryCode) {
+  return !!countryCode && Object.hasOwn(NWS_COVERAGE, countryCode);
+}
+
+// Helper: Check whether coordinates fall inside a rough NWS coverage box
+function isLikelyNWS(lat, lon) {
+  return Object.values(NWS_COVERAGE).some(boxes => boxes.some(b =>
+    lat >= b.minLat && lat <= b.maxLat && lon >= b.minLon && lon <= b.maxLon
+  ));
+}
+
 // Helper: Determine NOAA radar region from coordinates
 function getRadarRegion(lat, lon) {
   for (const [region, config] of Object.entries(NOAA_RADAR_CONFIG)) {
@@ -851,6 +1039,38 @@ function getSatelliteRegion(lat, lon) {
   return null;
 }
 
+// Helper: Select loop frame times from a WMS time extent (oldest first)
+// GeoServer lists times comma-separated or as start/end/period intervals.
+// Keeps times within windowMinutes of the latest, thinned to at most maxFrames
+// (always including the latest)
+function getWmsLoopTimes(extent, windowMinutes, maxFrames) {
+  const parts = extent.split(',').map(t => t.trim()).filter(Boolean);
+  const latest = Math.max(...parts.map(part => Date.parse(part.split('/')[1] || part)));
+  if (!Number.isFinite(latest)) return [];
+  const cutoff = latest - windowMinutes * 60 * 1000;
+
+  const times = [];
+  for (const part of parts) {
+    const [start, end, period] = part.split('/');
+    if (!end) {
+      if (Date.parse(start) >= cutoff) times.push(start);
+      continue;
+    }
+    // Interval: step back from its end, stopping at its start or the window
+    const stepMs = parseDurationMs(period) || 0;
+    const first = Math.max(Date.parse(start), cutoff);
+    for (let t = Date.parse(end); t >= first; t -= stepMs) {
+      times.push(new Date(t).toISOString());
+      if (!stepMs) break;
+    }
+  }
+  times.sort((a, b) => Date.parse(a) - Date.parse(b));
+
+  // Keep every Nth time counting back from the latest so frames stay evenly spaced
+  const stride = Math.ceil(times.length / maxFrames);
+  return times.filter((_, i) => (times.length - 1 - i) % stride === 0);
+}
+
 // Helper: Convert lat/lon to Web Mercator coordinates
 function latLonToWebMercator(lat, lon) {
   const x = lon * 20037508.34 / 180;
@@ -887,6 +1107,370 @@ function calculateSatelliteBbox(lat, lon) {
   };
 }
 
+// Environment and Climate Change Canada citypage forecasts (one XML document
+// per forecast site: observation, 12-hour text periods, 24 hourly periods)
+const ECCC_CITYPAGE_CACHE_TTL = 15 * 60; // 15 minutes (observations are hourly, forecasts a few times a day)
+const ECCC_SITES_CACHE_TTL = 24 * 60 * 60; // internal citypage site list cache
+// The datamart publishes citypage files in dated hourly directories
+// (<YYYYMMDD>/WXO-DD/citypage_weather/<province>/<HH>/), each named with its
+// issue time: <YYYYMMDD>T<HHmmss.sss>Z_MSC_CitypageWeather_<site>_en.xml.
+// The site list stays at today/citypage_weather/siteList.xml
+const ECCC_DATAMART_URL = 'https://dd.weather.gc.ca';
+const ECCC_CITYPAGE_LOOKBACK_HOURS = 3; // hourly directories searched for a site's latest file
+const ECCC_MAX_SITE_KM = 100; // nearest forecast site must be within this distance
+
+// Citypage time zone abbreviations -> IANA timezones (provinces that don't
+// observe DST are handled in getEcccTimezone)
+const ECCC_TIMEZONES = {
+  NST: 'America/St_Johns', NDT: 'America/St_Johns',
+  AST: 'America/Halifax', ADT: 'America/Halifax',
+  EST: 'America/Toronto', EDT: 'America/Toronto',
+  CST: 'America/Winnipeg', CDT: 'America/Winnipeg',
+  MST: 'America/Edmonton', MDT: 'America/Edmonton',
+  PST: 'America/Vancouver', PDT: 'America/Vancouver'
+};
+
+// ECCC icon code to unified condition mapping (night codes 30-39 mirror day codes 00-09)
+// Codes not listed fall back to the condition text
+const ECCC_ICON_CONDITIONS = {
+  '00': { code: 'clear', text: 'Sunny', icon: 'sun' },
+  '01': { code: 'mostly-clear', text: 'Mainly Sunny', icon: 'sun' },
+  '02': { code: 'partly-cloudy', text: 'A Mix of Sun and Cloud', icon: 'cloud-sun' },
+  '03': { code: 'mostly-cloudy', text: 'Mostly Cloudy', icon: 'cloud' },
+  '06': { code: 'rain-light', text: 'Chance of Showers', icon: 'cloud-sun-rain' },
+  '08': { code: 'snow-light', text: 'Chance of Flurries', icon: 'snowflake' },
+  '09': { code: 'thunderstorm', text: 'Chance of Thunderstorms', icon: 'cloud-bolt' },
+  '10': { code: 'overcast', text: 'Cloudy', icon: 'cloud' },
+  '12': { code: 'rain', text: 'Rain', icon: 'cloud-showers-heavy' },
+  '13': { code: 'rain-heavy', text: 'Heavy Rain', icon: 'cloud-showers-heavy' },
+  '14': { code: 'freezing-rain', text: 'Freezing Rain', icon: 'cloud-rain' },
+  '16': { code: 'snow-light', text: 'Light Snow', icon: 'snowflake' },
+  '17': { code: 'snow', text: 'Snow', icon: 'snowflake' },
+  '18': { code: 'snow-heavy', text: 'Heavy Snow', icon: 'snowflake' },
+  '19': { code: 'thunderstorm', text: 'Thunderstorms', icon: 'cloud-bolt' },
+  '23': { code: 'fog', text: 'Haze', icon: 'smog' },
+  '24': { code: 'fog', text: 'Fog', icon: 'smog' },
+  '28': { code: 'drizzle', text: 'Drizzle', icon: 'cloud-rain' },
+  '30': { code: 'clear', text: 'Clear', icon: 'sun' },
+  '31': { code: 'mostly-clear', text: 'Mainly Clear', icon: 'sun' },
+  '32': { code: 'partly-cloudy', text: 'A Few Clouds', icon: 'cloud-sun' },
+  '33': { code: 'mostly-cloudy', text: 'Mostly Cloudy', icon: 'cloud' },
+  '36': { code: 'rain-light', text: 'Chance of Showers', icon: 'cloud-sun-rain' },
+  '38': { code: 'snow-light', text: 'Chance of Flurries', icon: 'snowflake' },
+  '39': { code: 'thunderstorm', text: 'Chance of Thunderstorms', icon: 'cloud-bolt' },
+  '46': { code: 'thunderstorm-severe', text: 'Thunderstorm With Hail', icon: 'cloud-bolt' }
+};
+
+// Map an ECCC icon code to a unified condition, keeping ECCC's own wording
+function mapEcccCondition(iconCode, text) {
+  const condition = ECCC_ICON_CONDITIONS[iconCode];
+  if (condition) {
+    return text ? { ...condition, text } : { ...condition };
+  }
+  return mapNWSConditionFromText(text);
+}
+
+// Parse an ECCC UTC timestamp ("20250101120000" or "202501011200") to ISO
+function parseEcccTimestamp(stamp) {
+  const m = stamp?.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:00Z` : null;
+}
+
+// Parse a citypage site coordinate ("43.74N", "79.37W") to signed degrees
+function parseEcccCoordinate(value) {
+  const m = value?.match(/^([\d.]+)([NSEW])$/);
+  if (!m) return null;
+  return /[SW]/.test(m[2]) ? -parseFloat(m[1]) : parseFloat(m[1]);
+}
+
+// Parse a numeric element value (empty or "calm" values read as null)
+function parseEcccNumber(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// IANA timezone for a citypage zone abbreviation
+// Saskatchewan stays on CST and Yukon on MST all year
+function getEcccTimezone(zone, provinceCode) {
+  if (provinceCode === 'SK') return 'America/Regina';
+  if (provinceCode === 'YT') return 'America/Whitehorse';
+  return ECCC_TIMEZONES[zone] || null;
+}
+
+// Fetch the citypage site list (code, province, coordinates), with caching
+async function fetchEcccSites(cache, ctx) {
+  const cacheRequest = new Request('https://weather.gripe/api/eccc-cache/sites');
+  const cached = await cache.match(cacheRequest);
+  if (cached) {
+    return cached.json();
+  }
+
+  const response = await fetch(`${ECCC_DATAMART_URL}/today/citypage_weather/siteList.xml`, {
+    headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+  });
+  if (!response.ok) {
+    throw new Error(`ECCC site list error: ${response.status}`);
+  }
+
+  const xml = await response.text();
+  const sites = [...xml.matchAll(/<site code="([^"]+)">([\s\S]*?)<\/site>/g)].map(([, code, site]) => ({
+    code,
+    name: getXmlText(site, 'nameEn'),
+    province: getXmlText(site, 'provinceCode'),
+    lat: parseEcccCoordinate(getXmlText(site, 'latitude')),
+    lon: parseEcccCoordinate(getXmlText(site, 'longitude'))
+  })).filter(site => site.province && site.lat != null && site.lon != null);
+
+  const cacheResponse = new Response(JSON.stringify(sites), {
+    headers: { 'Cache-Control': `public, max-age=${ECCC_SITES_CACHE_TTL}` }
+  });
+  ctx.waitUntil(cache.put(cacheRequest, cacheResponse));
+
+  return sites;
+}
+
+// Find the nearest citypage forecast site (null when none is close enough)
+async function findEcccSite(lat, lon, cache, ctx) {
+  const sites = await fetchEcccSites(cache, ctx);
+  let nearest = null;
+  let nearestKm = Infinity;
+  for (const site of sites) {
+    const km = distanceKm(lat, lon, site.lat, site.lon);
+    if (km < nearestKm) {
+      nearest = site;
+      nearestKm = km;
+    }
+  }
+  return nearestKm <= ECCC_MAX_SITE_KM ? nearest : null;
+}
+
+// Build the daily array from citypage 12-hour forecast periods
+// Periods run Today/Tonight/Tuesday/Tuesday night...; dates count from the
+// local issue date, advancing at each day period that follows a night
+function buildEcccDaily(forecastGroup, issueDate, lat, lon) {
+  const dailyMap = new Map();
+  let date = issueDate;
+  let previousWasNight = false;
+
+  for (const forecast of getXmlElements(forecastGroup, 'forecast')) {
+    const name = forecast.match(/<period textForecastName="([^"]+)"/)?.[1] || getXmlText(forecast, 'period');
+    const isNight = /night/i.test(name);
+    if (!isNight && previousWasNight) {
+      const next = new Date(`${date}T12:00:00Z`);
+      next.setUTCDate(next.getUTCDate() + 1);
+      date = next.toISOString().split('T')[0];
+    }
+    previousWasNight = isNight;
+
+    if (!dailyMap.has(date)) {
+      dailyMap.set(date, { date, dayPeriod: null, nightPeriod: null });
+    }
+
+    const abbreviated = getXmlElements(forecast, 'abbreviatedForecast')[0] || '';
+    const shortForecast = getXmlText(abbreviated, 'textSummary');
+    const winds = getXmlElements(forecast, 'wind');
+    const accumulations = getXmlElements(forecast, 'accumulation').map(accumulation => ({
+      name: getXmlText(accumulation, 'name'),
+      amount: parseEcccNumber(getXmlText(accumulation, 'amount')),
+      units: accumulation.match(/units="([^"]+)"/)?.[1]
+    }));
+
+    const period = {
+      name,
+      detailedForecast: getXmlText(forecast, 'textSummary'),
+      shortForecast,
+      condition: mapEcccCondition(getXmlText(abbreviated, 'iconCode'), shortForecast),
+      temperature: parseEcccNumber(getXmlText(getXmlElements(forecast, 'temperatures')[0] || '', 'temperature')),
+      pop: parseEcccNumber(getXmlText(abbreviated, 'pop')),
+      windSpeed: winds.reduce((max, wind) => Math.max(max, parseEcccNumber(getXmlText(wind, 'speed')) ?? -1), -1),
+      windGust: winds.reduce((max, wind) => Math.max(max, parseEcccNumber(getXmlText(wind, 'gust')) ?? -1), -1),
+      windDirection: parseWindDirection(winds[0] ? getXmlText(winds[0], 'direction') : null),
+      accumulations
+    };
+
+    const day = dailyMap.get(date);
+    if (isNight) {
+      day.nightPeriod = period;
+    } else {
+      day.dayPeriod = period;
+    }
+  }
+
+  // Sum a day's accumulations of one kind, in inches (null when none forecast)
+  const accumulationInches = (periods, kind) => {
+    const amounts = periods.flatMap(period => period.accumulations)
+      .filter(accumulation => accumulation.name === kind && accumulation.amount != null);
+    if (amounts.length === 0) return null;
+    const mm = amounts.reduce((sum, accumulation) => sum + accumulation.amount * (accumulation.units === 'cm' ? 10 : 1), 0);
+    return Math.round(mm / 25.4 * 100) / 100;
+  };
+
+  const toForecast = (period) => period ? {
+    name: period.name,
+    detailedForecast: period.detailedForecast,
+    shortForecast: period.shortForecast,
+    condition: period.condition,
+    source: 'eccc'
+  } : null;
+
+  const daily = [];
+  for (const [date, { dayPeriod, nightPeriod }] of dailyMap) {
+    if (daily.length >= 7) break;
+
+    const sunTimes = getSunTimes(new Date(date + 'T12:00:00'), lat, lon);
+    const primaryPeriod = dayPeriod || nightPeriod;
+    const periods = [dayPeriod, nightPeriod].filter(Boolean);
+
+    daily.push({
+      date,
+      high: dayPeriod?.temperature ?? null,
+      low: nightPeriod?.temperature ?? null,
+      condition: {
+        ...primaryPeriod.condition,
+        detail: extractPrecipDetail(primaryPeriod.detailedForecast)
+      },
+      precipitation: {
+        snow: accumulationInches(periods, 'snow'),
+        rain: accumulationInches(periods, 'rain'),
+        ice: accumulationInches(periods, 'freezing rain')
+      },
+      precipProbability: primaryPeriod.pop,
+      windSpeed: primaryPeriod.windSpeed >= 0 ? primaryPeriod.windSpeed : null,
+      windGust: primaryPeriod.windGust >= 0 ? primaryPeriod.windGust : null,
+      windDirection: primaryPeriod.windDirection,
+      sunrise: sunTimes.sunrise,
+      sunset: sunTimes.sunset,
+      // Detailed forecast objects for text forecast cards
+      dayForecast: toForecast(dayPeriod),
+      nightForecast: toForecast(nightPeriod)
+    });
+  }
+
+  return daily;
+}
+
+// Find a site's latest citypage file, newest hourly directory first
+// Returns the file URL, or null when none was issued in the lookback window
+async function findEcccCitypageUrl(site) {
+  const filePattern = new RegExp(`href="(\\d{8}T\\d{6}\\.\\d{3}Z_MSC_CitypageWeather_${site.code}_en\\.xml)"`, 'g');
+  for (let i = 0; i < ECCC_CITYPAGE_LOOKBACK_HOURS; i++) {
+    const hour = new Date(Date.now() - i * 60 * 60 * 1000).toISOString();
+    const date = hour.slice(0, 10).replace(/-/g, '');
+    const directory = `${ECCC_DATAMART_URL}/${date}/WXO-DD/citypage_weather/${site.province}/${hour.slice(11, 13)}/`;
+    const response = await fetch(directory, {
+      headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+    });
+    // Hours with no files yet have no directory
+    if (response.status === 404) continue;
+    if (!response.ok) {
+      throw new Error(`ECCC citypage directory error: ${response.status} (${site.province})`);
+    }
+    const files = [...(await response.text()).matchAll(filePattern)].map(match => match[1]).sort();
+    if (files.length > 0) return directory + files[files.length - 1];
+  }
+  return null;
+}
+
+// Fetch weather from an ECCC citypage forecast (Canadian locations)
+// Throws when no forecast site is nearby so the caller can fall back to Open-Meteo
+async function fetchWeatherECCC(lat, lon, cache, ctx, skipCache = false) {
+  const site = await findEcccSite(lat, lon, cache, ctx);
+  if (!site) {
+    throw new Error('No ECCC forecast site nearby');
+  }
+
+  const cacheRequest = new Request(`https://weather.gripe/api/eccc-cache/citypage:${site.code}`);
+  if (skipCache) {
+    ctx.waitUntil(cache.delete(cacheRequest));
+  } else {
+    const cached = await cache.match(cacheRequest);
+    if (cached) {
+      return cached.json();
+    }
+  }
+
+  const citypageUrl = await findEcccCitypageUrl(site);
+  if (!citypageUrl) {
+    throw new Error(`ECCC citypage not found in the last ${ECCC_CITYPAGE_LOOKBACK_HOURS} hours (${site.code})`);
+  }
+  const response = await fetch(citypageUrl, {
+    headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+  });
+  if (!response.ok) {
+    throw new Error(`ECCC citypage error: ${response.status} (${site.code})`);
+  }
+  const xml = await response.text();
+
+  // Local issue date and zone come from the forecast group's non-UTC issue time
+  const forecastGroup = getXmlElements(xml, 'forecastGroup')[0] || '';
+  const issue = forecastGroup.match(/<dateTime name="forecastIssue" zone="(?!UTC)([^"]+)"[^>]*>([\s\S]*?)<\/dateTime>/);
+  if (!issue) {
+    throw new Error(`ECCC citypage has no forecast (${site.code})`);
+  }
+  const issueDate = `${getXmlText(issue[2], 'year')}-${getXmlText(issue[2], 'month')}-${getXmlText(issue[2], 'day')}`;
+
+  // Current conditions (temperatures in °C, wind in km/h)
+  const observation = getXmlElements(xml, 'currentConditions')[0] || '';
+  const observedAt = observation.match(/<dateTime name="observation" zone="UTC"[^>]*>[\s\S]*?<timeStamp>(\d+)<\/timeStamp>/)?.[1];
+  const temperature = parseEcccNumber(getXmlText(observation, 'temperature'));
+  const observationWind = getXmlElements(observation, 'wind')[0] || '';
+
+  const daily = buildEcccDaily(forecastGroup, issueDate, lat, lon);
+
+  const current = {
+    temperature,
+    feelsLike: parseEcccNumber(getXmlText(observation, 'windChill')) ??
+               parseEcccNumber(getXmlText(observation, 'humidex')) ?? temperature,
+    humidity: parseEcccNumber(getXmlText(observation, 'relativeHumidity')),
+    wind: {
+      speed: parseEcccNumber(getXmlText(observationWind, 'speed')),
+      direction: parseEcccNumber(getXmlText(observationWind, 'bearing'))
+    },
+    condition: mapEcccCondition(getXmlText(observation, 'iconCode'), getXmlText(observation, 'condition')),
+    observedAt: parseEcccTimestamp(observedAt)
+  };
+  // Stations without a present-weather sensor report no condition - use the first period's
+  if (!getXmlText(observation, 'condition') && daily[0]) {
+    current.condition = { ...(daily[0].dayForecast || daily[0].nightForecast).condition };
+  }
+
+  const hourlyGroup = getXmlElements(xml, 'hourlyForecastGroup')[0] || '';
+  const hourly = [...hourlyGroup.matchAll(/<hourlyForecast dateTimeUTC="(\d+)">([\s\S]*?)<\/hourlyForecast>/g)]
+    .map(([, stamp, hour]) => {
+      const wind = getXmlElements(hour, 'wind')[0] || '';
+      return {
+        time: parseEcccTimestamp(stamp),
+        temperature: parseEcccNumber(getXmlText(hour, 'temperature')),
+        condition: mapEcccCondition(getXmlText(hour, 'iconCode'), getXmlText(hour, 'condition')),
+        // Likelihood of precipitation (%)
+        precipProbability: parseEcccNumber(getXmlText(hour, 'lop')),
+        windSpeed: parseEcccNumber(getXmlText(wind, 'speed')),
+        windGust: parseEcccNumber(getXmlText(wind, 'gust')),
+        windDirection: parseWindDirection(getXmlText(wind, 'direction')),
+        dewpoint: null,
+        humidity: null
+      };
+    });
+
+  const result = {
+    current,
+    daily,
+    hourly,
+    timezone: getEcccTimezone(issue[1], site.province),
+    source: 'eccc'
+  };
+
+  const cacheResponse = new Response(JSON.stringify(result), {
+    headers: {
+      'Cache-Control': `public, max-age=${ECCC_CITYPAGE_CACHE_TTL}`,
+      'Content-Type': 'application/json'
+    }
+  });
+  ctx.waitUntil(cache.put(cacheRequest, cacheResponse));
+
+  return result;
+}
+
 // Fetch weather data from Open-Meteo and transform to unified schema
 const OPENMETEO_CACHE_TTL = 15 * 60; // 15 minutes
 
@@ -910,10 +1494,12 @@ async function fetchWeatherOpenMeteo(lat, lon, cache, ctx, skipCache = false) {
   url.searchParams.set('latitude', lat.toString());
   url.searchParams.set('longitude', lon.toString());
   url.searchParams.set('current', 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,wind_direction_10m');
-  url.searchParams.set('daily', 'weather_code,temperature_2m_max,temperature_2m_min,sunrise,sunset,snowfall_sum,rain_sum');
-  url.searchParams.set('hourly', 'temperature_2m,weather_code');
+  url.searchParams.set('daily', 'weather_code,temperature_2m_max,temperature_2m_min,sunrise,sunset,snowfall_sum,rain_sum,precipitation_probability_max,wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant');
+  url.searchParams.set('hourly', 'temperature_2m,weather_code,precipitation_probability,wind_speed_10m,wind_gusts_10m,wind_direction_10m,dew_point_2m,relative_humidity_2m');
   url.searchParams.set('timezone', 'auto');
   url.searchParams.set('forecast_days', '7');
+  // Hourly data starts at the current hour (not local midnight) when forecast_hours is set
+  url.searchParams.set('forecast_hours', HOURLY_MAX_HOURS.toString());
   url.searchParams.set('precipitation_unit', 'inch');
 
   // Fetch with exponential backoff retry for rate limits and server errors
@@ -964,15 +1550,26 @@ async function fetchWeatherOpenMeteo(lat, lon, cache, ctx, skipCache = false) {
       },
       precipitation: {
         snow: data.daily.snowfall_sum[i],
-        rain: data.daily.rain_sum[i]
+        rain: data.daily.rain_sum[i],
+        ice: null // Open-Meteo has no ice accumulation variable
       },
+      precipProbability: data.daily.precipitation_probability_max?.[i] ?? null,
+      windSpeed: data.daily.wind_speed_10m_max?.[i] ?? null,
+      windGust: data.daily.wind_gusts_10m_max?.[i] ?? null,
+      windDirection: data.daily.wind_direction_10m_dominant?.[i] ?? null,
       sunrise: data.daily.sunrise[i],
       sunset: data.daily.sunset[i]
     })),
-    hourly: data.hourly?.time?.slice(0, 24).map((time, i) => ({
+    hourly: data.hourly?.time?.map((time, i) => ({
       time,
       temperature: data.hourly.temperature_2m[i],
-      condition: WMO_CONDITIONS[data.hourly.weather_code[i]] || WMO_CONDITIONS[2]
+      condition: WMO_CONDITIONS[data.hourly.weather_code[i]] || WMO_CONDITIONS[2],
+      precipProbability: data.hourly.precipitation_probability?.[i] ?? null,
+      windSpeed: data.hourly.wind_speed_10m?.[i] ?? null,
+      windGust: data.hourly.wind_gusts_10m?.[i] ?? null,
+      windDirection: data.hourly.wind_direction_10m?.[i] ?? null,
+      dewpoint: data.hourly.dew_point_2m?.[i] ?? null,
+      humidity: data.hourly.relative_humidity_2m?.[i] ?? null
     })) || [],
     timezone: data.timezone,
     source: 'open-meteo'
@@ -990,84 +1587,881 @@ async function fetchWeatherOpenMeteo(lat, lon, cache, ctx, skipCache = false) {
   return result;
 }
 
-const ALERTS_CACHE_TTL = 60; // 60 seconds - alerts need to be relatively fresh
+// MET Norway Locationforecast 2.0 (global; the last resort when Open-Meteo is down)
+// Hourly steps for ~2.5 days, then 6-hourly; all times UTC, wind in m/s
+const METNO_CACHE_TTL = 15 * 60; // 15 minutes
+const TIMEZONE_CACHE_TTL = 30 * 24 * 60 * 60; // internal provider timezone cache (30 days)
+const METNO_FORECAST_URL = 'https://api.met.no/weatherapi/locationforecast/2.0/complete';
+
+// MET Norway symbol code (without the _day/_night/_polartwilight suffix) to
+// unified condition mapping; "...andthunder" variants map to thunderstorms
+const METNO_CONDITIONS = {
+  clearsky: { code: 'clear', text: 'Clear Sky', icon: 'sun' },
+  fair: { code: 'mostly-clear', text: 'Fair', icon: 'sun' },
+  partlycloudy: { code: 'partly-cloudy', text: 'Partly Cloudy', icon: 'cloud-sun' },
+  cloudy: { code: 'overcast', text: 'Cloudy', icon: 'cloud' },
+  fog: { code: 'fog', text: 'Fog', icon: 'smog' },
+  lightrain: { code: 'rain-light', text: 'Light Rain', icon: 'cloud-rain' },
+  rain: { code: 'rain', text: 'Rain', icon: 'cloud-showers-heavy' },
+  heavyrain: { code: 'rain-heavy', text: 'Heavy Rain', icon: 'cloud-showers-heavy' },
+  lightrainshowers: { code: 'rain-light', text: 'Light Showers', icon: 'cloud-sun-rain' },
+  rainshowers: { code: 'rain', text: 'Showers', icon: 'cloud-showers-heavy' },
+  heavyrainshowers: { code: 'rain-heavy', text: 'Heavy Showers', icon: 'cloud-showers-heavy' },
+  lightsleet: { code: 'freezing-rain', text: 'Light Sleet', icon: 'cloud-rain' },
+  sleet: { code: 'freezing-rain', text: 'Sleet', icon: 'cloud-rain' },
+  heavysleet: { code: 'freezing-rain', text: 'Heavy Sleet', icon: 'cloud-showers-heavy' },
+  lightsleetshowers: { code: 'freezing-rain', text: 'Light Sleet Showers', icon: 'cloud-rain' },
+  sleetshowers: { code: 'freezing-rain', text: 'Sleet Showers', icon: 'cloud-rain' },
+  heavysleetshowers: { code: 'freezing-rain', text: 'Heavy Sleet Showers', icon: 'cloud-showers-heavy' },
+  lightsnow: { code: 'snow-light', text: 'Light Snow', icon: 'snowflake' },
+  snow: { code: 'snow', text: 'Snow', icon: 'snowflake' },
+  heavysnow: { code: 'snow-heavy', text: 'Heavy Snow', icon: 'snowflake' },
+  lightsnowshowers: { code: 'snow-light', text: 'Light Snow Showers', icon: 'snowflake' },
+  snowshowers: { code: 'snow', text: 'Snow Showers', icon: 'snowflake' },
+  heavysnowshowers: { code: 'snow-heavy', text: 'Heavy Snow Showers', icon: 'snowflake' }
+};
 
-// Fetch alerts from NWS (with short-lived cache)
-async function fetchAlerts(lat, lon, cache, ctx) {
-  const cacheKey = `alerts:${truncateCoord(lat)},${truncateCoord(lon)}`;
-  const cacheUrl = `https://weather.gripe/api/alerts-cache/${cacheKey}`;
-  const cacheRequest = new Request(cacheUrl);
+// Map a MET Norway symbol code (e.g. "lightrainshowersandthunder_day") to a unified condition
+function mapMetNoSymbol(symbolCode) {
+  const base = (symbolCode || '').split('_')[0];
+  if (base.endsWith('andthunder')) {
+    const precip = METNO_CONDITIONS[base.slice(0, -'andthunder'.length)];
+    return {
+      code: base.startsWith('heavy') ? 'thunderstorm-severe' : 'thunderstorm',
+      text: precip ? `${precip.text} and Thunder` : 'Thunderstorm',
+      icon: 'cloud-bolt'
+    };
+  }
+  return { ...(METNO_CONDITIONS[base] || METNO_CONDITIONS.partlycloudy) };
+}
 
-  // Check cache first
-  if (cache) {
+// MET Norway responses carry no timezone, so the fallback uses a real one
+// from elsewhere: the NWS grid point's in the US, otherwise the last one
+// another provider reported near the location (remembered per 0.1 degree
+// cell), and a fixed offset from the longitude only when neither is known
+function timezoneCacheRequest(lat, lon) {
+  const key = `${Math.round(lat * 10) / 10},${Math.round(lon * 10) / 10}`;
+  return new Request(`https://weather.gripe/api/timezone-cache/${key}`);
+}
+
+// Remember a provider-reported timezone for the MET Norway fallback
+// (written only when the cell's remembered timezone differs)
+function rememberTimezone(lat, lon, timezone, cache, ctx) {
+  const cacheRequest = timezoneCacheRequest(lat, lon);
+  ctx.waitUntil((async () => {
+    const cached = await cache.match(cacheRequest);
+    if (cached && (await cached.json()).timezone === timezone) return;
+    const response = new Response(JSON.stringify({ timezone }), {
+      headers: {
+        'Cache-Control': `public, max-age=${TIMEZONE_CACHE_TTL}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    await cache.put(cacheRequest, response);
+  })());
+}
+
+// Nautical timezone for a longitude (Etc/GMT signs are inverted: UTC+2 is Etc/GMT-2)
+function longitudeTimezone(lon) {
+  const offset = Math.max(-12, Math.min(14, Math.round(lon / 15)));
+  if (offset === 0) return 'Etc/GMT';
+  return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+async function resolveTimezone(coords, { location, cache, getNwsPoints }) {
+  if (isNWSCountry(location.country_code)) {
+    try {
+      const points = await getNwsPoints();
+      if (points?.timeZone) return points.timeZone;
+    } catch (e) {
+      // Fall through to the remembered timezone
+    }
+  }
+  const cached = await cache.match(timezoneCacheRequest(coords.lat, coords.lon));
+  if (cached) {
+    const { timezone } = await cached.json();
+    if (timezone) return timezone;
+  }
+  return longitudeTimezone(coords.lon);
+}
+
+// Convert m/s to km/h (one decimal, like Open-Meteo)
+function msToKmh(ms) {
+  return ms != null ? Math.round(ms * 36) / 10 : null;
+}
+
+// timezone: IANA timezone for local days and times (see resolveTimezone)
+async function fetchWeatherMetNo(lat, lon, timezone, cache, ctx, skipCache = false) {
+  const cacheKey = `metno:${truncateCoord(lat)},${truncateCoord(lon)}:${timezone}`;
+  const cacheRequest = new Request(`https://weather.gripe/api/metno-cache/${cacheKey}`);
+
+  if (skipCache) {
+    ctx.waitUntil(cache.delete(cacheRequest));
+  } else {
     const cached = await cache.match(cacheRequest);
     if (cached) {
       return cached.json();
     }
   }
 
-  const url = new URL('https://api.weather.gov/alerts');
-  url.searchParams.set('point', `${lat},${lon}`);
-  url.searchParams.set('status', 'actual');
-  url.searchParams.set('active', 'true');
+  // MET Norway's terms require an identifying User-Agent and at most 4 decimals
+  const url = new URL(METNO_FORECAST_URL);
+  url.searchParams.set('lat', Number(lat).toFixed(4));
+  url.searchParams.set('lon', Number(lon).toFixed(4));
 
-  try {
-    const response = await fetch(url.toString(), { headers: NWS_HEADERS });
+  const response = await fetch(url.toString(), {
+    headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+  });
+  if (!response.ok) {
+    throw new Error(`MET Norway API error: ${response.status}`);
+  }
 
-    if (!response.ok) {
-      if (response.status === 404) return []; // Non-US location
-      throw new Error(`NWS API error: ${response.status}`);
-    }
+  const data = await response.json();
+  const timeseries = data.properties?.timeseries || [];
+  if (timeseries.length === 0) {
+    throw new Error('MET Norway returned no forecast');
+  }
 
-    const data = await response.json();
-    const allAlerts = (data.features || []).map(f => ({
-      id: f.properties.id,
-      event: f.properties.event,
-      headline: f.properties.headline,
-      severity: f.properties.severity,
-      urgency: f.properties.urgency,
-      sent: f.properties.sent,
-      onset: f.properties.onset,
-      ends: f.properties.ends,
-      description: f.properties.description,
-      instruction: f.properties.instruction,
-      senderName: f.properties.senderName,
-      geometry: f.geometry || null,
-      affectedZones: f.properties.affectedZones || []
-    }));
+  const localDate = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit'
+  });
+  const localHour = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hour: 'numeric', hourCycle: 'h23'
+  });
 
-    // Deduplicate by event type, keeping most recent
-    const alertsByEvent = new Map();
-    for (const alert of allAlerts) {
-      const existing = alertsByEvent.get(alert.event);
-      if (!existing || new Date(alert.sent) > new Date(existing.sent)) {
-        alertsByEvent.set(alert.event, alert);
-      }
+  // Group steps by local day; each step's precipitation covers the gap to the
+  // next step (next_1_hours in the hourly range, next_6_hours after it)
+  const dailyMap = new Map();
+  timeseries.forEach((step, i) => {
+    const time = new Date(step.time);
+    const date = localDate.format(time);
+    const instant = step.data.instant?.details || {};
+    const nextTime = timeseries[i + 1] ? new Date(timeseries[i + 1].time) : null;
+    const period = nextTime && nextTime - time > 60 * 60 * 1000 ? step.data.next_6_hours : step.data.next_1_hours;
+    const summary = (step.data.next_6_hours || step.data.next_1_hours || step.data.next_12_hours)?.summary;
+
+    if (!dailyMap.has(date)) {
+      dailyMap.set(date, { date, steps: [], rain: 0, snow: 0, hasPrecip: false });
     }
-    const result = Array.from(alertsByEvent.values());
+    const day = dailyMap.get(date);
+    day.steps.push({
+      time, instant, summary,
+      hour: Number(localHour.format(time)),
+      pop: period?.details?.probability_of_precipitation
+    });
 
-    // Cache alerts for 60 seconds
-    if (cache && ctx) {
-      const cacheResponse = new Response(JSON.stringify(result), {
-        headers: { 'Cache-Control': `public, max-age=${ALERTS_CACHE_TTL}` }
-      });
-      ctx.waitUntil(cache.put(cacheRequest, cacheResponse));
+    const amount = period?.details?.precipitation_amount;
+    if (amount != null) {
+      day.hasPrecip = true;
+      if (/snow/.test(period.summary?.symbol_code)) {
+        day.snow += amount * 10; // liquid equivalent -> snow depth (10:1)
+      } else {
+        day.rain += amount;
+      }
     }
+  });
 
-    return result;
-  } catch (e) {
-    console.error('NWS alerts error:', e);
-    return [];
-  }
-}
+  const daily = [];
+  for (const { date, steps, rain, snow, hasPrecip } of dailyMap.values()) {
+    if (daily.length >= 7) break;
 
-// Fetch single zone geometry from NWS API with heavy caching
-async function fetchZoneGeometry(zoneUrl, ctx) {
-  // Extract zone ID from URL for cache key
-  const zoneId = zoneUrl.split('/').pop();
-  const cacheKey = `zone-${zoneId}`;
-  const cacheUrl = `https://weather.gripe/api/zone-cache/${cacheKey}`;
-  const cacheRequest = new Request(cacheUrl);
+    const temps = steps.map(step => step.instant.air_temperature).filter(t => t != null);
+    const pops = steps.map(step => step.pop).filter(p => p != null);
+    const windiest = steps.reduce((max, step) =>
+      (step.instant.wind_speed ?? -1) > (max.instant.wind_speed ?? -1) ? step : max);
+    const gusts = steps.map(step => step.instant.wind_speed_of_gust).filter(g => g != null);
+    // Daytime symbol: the step nearest local midday
+    const midday = steps.reduce((best, step) =>
+      Math.abs(step.hour - 12) < Math.abs(best.hour - 12) ? step : best);
+    const sunTimes = getSunTimes(new Date(date + 'T12:00:00'), lat, lon);
+
+    daily.push({
+      date,
+      high: temps.length ? Math.max(...temps) : null,
+      low: temps.length ? Math.min(...temps) : null,
+      condition: {
+        ...mapMetNoSymbol(midday.summary?.symbol_code),
+        detail: null
+      },
+      precipitation: {
+        snow: hasPrecip ? Math.round(snow / 25.4 * 100) / 100 : null,
+        rain: hasPrecip ? Math.round(rain / 25.4 * 100) / 100 : null,
+        ice: null // MET Norway has no ice accumulation variable
+      },
+      precipProbability: pops.length ? Math.max(...pops) : null,
+      windSpeed: msToKmh(windiest.instant.wind_speed),
+      windGust: gusts.length ? msToKmh(Math.max(...gusts)) : null,
+      windDirection: windiest.instant.wind_from_direction ?? null,
+      sunrise: sunTimes.sunrise,
+      sunset: sunTimes.sunset
+    });
+  }
+
+  const first = timeseries[0].data;
+  const firstInstant = first.instant?.details || {};
+  const result = {
+    current: {
+      temperature: firstInstant.air_temperature ?? null,
+      feelsLike: null,
+      humidity: firstInstant.relative_humidity ?? null,
+      wind: {
+        speed: msToKmh(firstInstant.wind_speed),
+        direction: firstInstant.wind_from_direction ?? null
+      },
+      condition: mapMetNoSymbol((first.next_1_hours || first.next_6_hours)?.summary?.symbol_code),
+      observedAt: null
+    },
+    daily,
+    hourly: timeseries.filter(step => step.data.next_1_hours).slice(0, HOURLY_MAX_HOURS).map(step => {
+      const instant = step.data.instant?.details || {};
+      return {
+        time: step.time,
+        temperature: instant.air_temperature ?? null,
+        condition: mapMetNoSymbol(step.data.next_1_hours.summary?.symbol_code),
+        precipProbability: step.data.next_1_hours.details?.probability_of_precipitation ?? null,
+        windSpeed: msToKmh(instant.wind_speed),
+        windGust: msToKmh(instant.wind_speed_of_gust),
+        windDirection: instant.wind_from_direction ?? null,
+        dewpoint: instant.dew_point_temperature ?? null,
+        humidity: instant.relative_humidity ?? null
+      };
+    }),
+    timezone,
+    source: 'met-norway'
+  };
+
+  const cacheResponse = new Response(JSON.stringify(result), {
+    headers: {
+      'Cache-Control': `public, max-age=${METNO_CACHE_TTL}`,
+      'Content-Type': 'application/json'
+    }
+  });
+  ctx.waitUntil(cache.put(cacheRequest, cacheResponse));
+
+  return result;
+}
+
+// Pollen types from the CAMS European model (grains/m³) with National Allergy
+// Bureau count scales: thresholds where Low, Moderate, High and Very High begin
+const POLLEN_TYPES = [
+  { key: 'grass', name: 'Grass', scale: [1, 5, 20, 200] },
+  { key: 'birch', name: 'Birch', scale: [1, 15, 90, 1500] },
+  { key: 'alder', name: 'Alder', scale: [1, 15, 90, 1500] },
+  { key: 'olive', name: 'Olive', scale: [1, 15, 90, 1500] },
+  { key: 'ragweed', name: 'Ragweed', scale: [1, 10, 50, 500] },
+  { key: 'mugwort', name: 'Mugwort', scale: [1, 10, 50, 500] }
+];
+const POLLEN_LEVELS = ['none', 'low', 'moderate', 'high', 'very-high'];
+
+// Fetch air quality from Open-Meteo's air-quality API (CAMS) with caching
+// Returns current US/European AQI and pollutant concentrations (μg/m³) plus
+// the next 24 hours of the same values for a trend, and raw pollen series
+// (null outside the European model's coverage)
+async function fetchAirQuality(lat, lon, cache, ctx, skipCache = false) {
+  const cacheKey = `airquality:${truncateCoord(lat)},${truncateCoord(lon)}`;
+  const cacheUrl = `https://weather.gripe/api/airquality-cache/${cacheKey}`;
+  const cacheRequest = new Request(cacheUrl);
+
+  if (skipCache) {
+    ctx.waitUntil(cache.delete(cacheRequest));
+  } else {
+    const cached = await cache.match(cacheRequest);
+    if (cached) {
+      return cached.json();
+    }
+  }
+
+  const variables = ['us_aqi', 'european_aqi', 'pm2_5', 'pm10', 'ozone',
+    ...POLLEN_TYPES.map(t => `${t.key}_pollen`)].join(',');
+  const url = new URL('https://air-quality-api.open-meteo.com/v1/air-quality');
+  url.searchParams.set('latitude', lat.toString());
+  url.searchParams.set('longitude', lon.toString());
+  url.searchParams.set('current', variables);
+  url.searchParams.set('hourly', variables);
+  url.searchParams.set('timezone', 'auto');
+  url.searchParams.set('forecast_hours', '24');
+
+  const response = await fetch(url.toString());
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    console.error(`Open-Meteo air quality API error: ${response.status} ${response.statusText}`, body);
+    throw new Error(`Air quality fetch failed: ${response.status}`);
+  }
+  const data = await response.json();
+
+  const result = {
+    current: {
+      time: data.current?.time ?? null,
+      usAqi: data.current?.us_aqi ?? null,
+      europeanAqi: data.current?.european_aqi ?? null,
+      pm25: data.current?.pm2_5 ?? null,
+      pm10: data.current?.pm10 ?? null,
+      ozone: data.current?.ozone ?? null
+    },
+    hourly: data.hourly?.time?.map((time, i) => ({
+      time,
+      usAqi: data.hourly.us_aqi?.[i] ?? null,
+      europeanAqi: data.hourly.european_aqi?.[i] ?? null,
+      pm25: data.hourly.pm2_5?.[i] ?? null,
+      pm10: data.hourly.pm10?.[i] ?? null,
+      ozone: data.hourly.ozone?.[i] ?? null
+    })) || [],
+    pollen: Object.fromEntries(POLLEN_TYPES.map(t => [t.key, {
+      current: data.current?.[`${t.key}_pollen`] ?? null,
+      hourly: data.hourly?.[`${t.key}_pollen`] ?? []
+    }])),
+    timezone: data.timezone
+  };
+
+  ctx.waitUntil(cache.put(cacheRequest, new Response(JSON.stringify(result), {
+    headers: {
+      'Cache-Control': `public, max-age=${AIRQUALITY_DATA_CACHE_TTL}`,
+      'Content-Type': 'application/json'
+    }
+  })));
+
+  return result;
+}
+
+const ALERTS_CACHE_TTL = 60; // 60 seconds - alerts need to be relatively fresh
+const METEOALARM_FEED_CACHE_TTL = 5 * 60; // internal parsed Atom feed cache (per country)
+const METEOALARM_CAP_CACHE_TTL = 30 * 60; // internal CAP document cache (documents don't change once issued)
+const METEOALARM_GEOCODES_CACHE_TTL = 30 * 24 * 60 * 60; // internal EMMA_ID region boundary cache (30 days)
+const METEOALARM_GEOCODES_FAILURE_TTL = 10 * 60; // failed boundary downloads aren't retried for 10 minutes
+
+// Severity/urgency ranks for ordering alerts (most dangerous first)
+const ALERT_SEVERITY_RANK = { Extreme: 4, Severe: 3, Moderate: 2, Minor: 1 };
+const ALERT_URGENCY_RANK = { Immediate: 4, Expected: 3, Future: 2, Past: 1 };
+
+// VTEC actions that end an event rather than issue or continue it
+const VTEC_ENDING_ACTIONS = new Set(['CAN', 'EXP', 'UPG']);
+
+// Parse P-VTEC strings (e.g. "/O.NEW.KLOT.FL.W.0045.250601T1200Z-250603T0000Z/")
+// into their action and event tracking key (office.phenomenon.significance.ETN)
+function parseVtec(vtecStrings) {
+  return (vtecStrings || []).map(vtec => {
+    const match = /^\/[OTEX]\.([A-Z]{3})\.([A-Z]{4})\.([A-Z]{2})\.([A-Z])\.(\d{4})\./.exec(vtec);
+    return match ? { action: match[1], key: `${match[2]}.${match[3]}.${match[4]}.${match[5]}` } : null;
+  }).filter(Boolean);
+}
+
+// Reduce active CAP alert features to one per real event
+// Messages sharing a VTEC event are updates of it: only the newest counts, and
+// the event is dropped when that update cancels, expires or upgrades it.
+// Cancellations, alerts past their end and (non-VTEC) alerts superseded via
+// CAP references are dropped too.
+function selectDistinctAlerts(features, now = Date.now()) {
+  const referenced = new Set(features.flatMap(f =>
+    (f.properties.references || []).map(ref => ref.identifier)
+  ));
+
+  const latestByEvent = new Map();
+  for (const f of features) {
+    for (const { key, action } of parseVtec(f.properties.parameters?.VTEC)) {
+      const latest = latestByEvent.get(key);
+      if (!latest || Date.parse(f.properties.sent) > Date.parse(latest.feature.properties.sent)) {
+        latestByEvent.set(key, { feature: f, action });
+      }
+    }
+  }
+
+  return features.filter(f => {
+    const props = f.properties;
+    if (props.messageType === 'Cancel') return false;
+    const end = Date.parse(props.ends || props.expires);
+    if (end <= now) return false;
+
+    const vtec = parseVtec(props.parameters?.VTEC);
+    if (vtec.length === 0) return !referenced.has(props.id);
+    return vtec.some(({ key }) => {
+      const latest = latestByEvent.get(key);
+      return latest.feature === f && !VTEC_ENDING_ACTIONS.has(latest.action);
+    });
+  });
+}
+
+// Alert text languages: NWS publishes Spanish translations of many alerts as
+// separate messages alongside the English originals
+const ALERT_LANGUAGES = ['en', 'es'];
+
+// Language of a CAP alert message ("es-US" -> "es"); English when unreported
+function getAlertLanguage(props) {
+  return (props.language || 'en').slice(0, 2).toLowerCase();
+}
+
+// Key pairing a translation with its original: the VTEC event when there is
+// one, otherwise the event type, affected zones and valid period. The event
+// type is the NWS event code where present, as the event name is translated
+function getAlertMatchKey(props) {
+  const vtecKey = parseVtec(props.parameters?.VTEC)[0]?.key;
+  if (vtecKey) return vtecKey;
+  const event = props.eventCode?.NationalWeatherService?.[0] || props.event;
+  const zones = [...(props.affectedZones || [])].sort().join(',');
+  return `${event}|${zones}|${props.onset}|${props.expires}`;
+}
+
+// Order alerts by severity, then urgency, then most recent
+function compareAlerts(a, b) {
+  return ((ALERT_SEVERITY_RANK[b.severity] || 0) - (ALERT_SEVERITY_RANK[a.severity] || 0))
+    || ((ALERT_URGENCY_RANK[b.urgency] || 0) - (ALERT_URGENCY_RANK[a.urgency] || 0))
+    || ((Date.parse(b.sent) || 0) - (Date.parse(a.sent) || 0));
+}
+
+// Fetch alerts from NWS (with short-lived cache)
+// language: 'en', or 'es' for Spanish text where NWS has translated the alert
+async function fetchAlerts(lat, lon, cache, ctx, language = 'en') {
+  const cacheKey = `alerts:${truncateCoord(lat)},${truncateCoord(lon)}${language !== 'en' ? `:${language}` : ''}`;
+  const cacheUrl = `https://weather.gripe/api/alerts-cache/${cacheKey}`;
+  const cacheRequest = new Request(cacheUrl);
+
+  // Check cache first
+  if (cache) {
+    const cached = await cache.match(cacheRequest);
+    if (cached) {
+      return cached.json();
+    }
+  }
+
+  const url = new URL('https://api.weather.gov/alerts');
+  url.searchParams.set('point', `${lat},${lon}`);
+  url.searchParams.set('status', 'actual');
+  url.searchParams.set('active', 'true');
+
+  try {
+    const response = await fetch(url.toString(), {
+      headers: { ...NWS_HEADERS, 'Accept-Language': language === 'en' ? 'en-US' : `${language}-US, en-US;q=0.5` }
+    });
+
+    if (!response.ok) {
+      if (response.status === 404) return []; // Non-US location
+      throw new Error(`NWS API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const features = data.features || [];
+
+    // English originals, with the requested translation's text swapped in
+    // where one exists; translations of events with no English message at
+    // all are kept as-is
+    const english = features.filter(f => getAlertLanguage(f.properties) === 'en');
+    const originals = selectDistinctAlerts(english);
+    const translations = new Map(language === 'en' ? [] : selectDistinctAlerts(
+      features.filter(f => getAlertLanguage(f.properties) === language)
+    ).map(f => [getAlertMatchKey(f.properties), f]));
+    const originalKeys = new Set(english.map(f => getAlertMatchKey(f.properties)));
+    const untranslated = [...translations.values()].filter(f => !originalKeys.has(getAlertMatchKey(f.properties)));
+
+    const result = [...originals, ...untranslated].map(f => {
+      const text = (translations.get(getAlertMatchKey(f.properties)) || f).properties;
+      return {
+        id: f.properties.id,
+        event: text.event,
+        headline: text.headline,
+        severity: f.properties.severity,
+        urgency: f.properties.urgency,
+        sent: f.properties.sent,
+        onset: f.properties.onset,
+        ends: f.properties.ends,
+        description: text.description,
+        sections: parseAlertSections(text.description),
+        instruction: text.instruction,
+        language: getAlertLanguage(text),
+        senderName: f.properties.senderName,
+        geometry: f.geometry || null,
+        affectedZones: f.properties.affectedZones || []
+      };
+    }).sort(compareAlerts);
+
+    // Cache alerts for 60 seconds
+    if (cache && ctx) {
+      const cacheResponse = new Response(JSON.stringify(result), {
+        headers: { 'Cache-Control': `public, max-age=${ALERTS_CACHE_TTL}` }
+      });
+      ctx.waitUntil(cache.put(cacheRequest, cacheResponse));
+    }
+
+    return result;
+  } catch (e) {
+    console.error('NWS alerts error:', e);
+    return [];
+  }
+}
+
+// MeteoAlarm (EUMETNET) country feeds: Nominatim country code -> feed name
+const METEOALARM_COUNTRIES = {
+  at: 'austria', be: 'belgium', ba: 'bosnia-herzegovina', bg: 'bulgaria',
+  hr: 'croatia', cy: 'cyprus', cz: 'czechia', dk: 'denmark', ee: 'estonia',
+  fi: 'finland', fr: 'france', de: 'germany', gr: 'greece', hu: 'hungary',
+  is: 'iceland', ie: 'ireland', il: 'israel', it: 'italy', lv: 'latvia',
+  lt: 'lithuania', lu: 'luxembourg', mt: 'malta', md: 'moldova',
+  me: 'montenegro', nl: 'netherlands', mk: 'republic-of-north-macedonia',
+  no: 'norway', pl: 'poland', pt: 'portugal', ro: 'romania', rs: 'serbia',
+  sk: 'slovakia', si: 'slovenia', es: 'spain', se: 'sweden',
+  ch: 'switzerland', gb: 'united-kingdom', ua: 'ukraine'
+};
+const METEOALARM_MAX_CAP_FETCHES = 10; // CAP documents fetched per request (matched warnings only)
+
+// MeteoAlarm geocode boundaries: EUMETNET's published GeoJSON of warning
+// regions, one file per country (<ISO code>.geojson; features with { code, type }
+// properties, type 'EMMA_ID' for the regions feed entries reference)
+const METEOALARM_GEOCODES_URL = 'https://raw.githubusercontent.com/meteoalarm/geocodes/main/countries';
+
+// Decode the XML entities used in feed text
+function decodeXmlEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(+code))
+    .replace(/&amp;/g, '&');
+}
+
+// Inner XML of every <tag> element (tag may carry a namespace prefix, e.g. "cap:event")
+// Self-closing (empty) elements are skipped
+function getXmlElements(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*[^/>])?>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+// Decoded text of the first <tag> element, or null
+function getXmlText(xml, tag) {
+  const inner = getXmlElements(xml, tag)[0];
+  return inner == null ? null : decodeXmlEntities(inner).trim() || null;
+}
+
+// CAP polygons ("lat,lon lat,lon ...") as a GeoJSON Polygon/MultiPolygon
+function capPolygonsToGeometry(polygons) {
+  const rings = polygons.map(polygon => polygon.trim().split(/\s+/).map(pair => {
+    const [lat, lon] = pair.split(',').map(Number);
+    return [lon, lat];
+  }).filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat)))
+    .filter(ring => ring.length >= 4);
+  if (rings.length === 0) return null;
+  return rings.length === 1
+    ? { type: 'Polygon', coordinates: [rings[0]] }
+    : { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+}
+
+// Lower-case, accent-free form of an area name for matching
+function normalizeAreaName(name) {
+  return name.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().trim();
+}
+
+// Does a MeteoAlarm area description name one of the location's areas?
+// Exact match, or the area name as a whole word (e.g. "Madrid: Sierra")
+function areaMatchesLocation(areaDesc, areaNames) {
+  const area = normalizeAreaName(areaDesc || '');
+  if (!area) return false;
+  return areaNames.some(name => area === name || (name.length >= 4 &&
+    new RegExp(`(^|[^\\p{L}])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}])`, 'u').test(area)));
+}
+
+// A country's EMMA_ID regions as Map of code -> geometry, with caching
+// Failures are cached briefly too, so a missing or malformed file isn't
+// downloaded again on every request
+async function fetchMeteoAlarmRegions(countryCode, cache, ctx) {
+  const cacheRequest = new Request(`https://weather.gripe/api/alerts-cache/meteoalarm-geocodes:${countryCode}`);
+  const cached = await cache.match(cacheRequest);
+  if (cached) {
+    const { regions, error } = await cached.json();
+    if (error) throw new Error(error);
+    return new Map(regions);
+  }
+
+  let result;
+  let ttl = METEOALARM_GEOCODES_CACHE_TTL;
+  try {
+    const response = await fetch(`${METEOALARM_GEOCODES_URL}/${countryCode.toUpperCase()}.geojson`, {
+      headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+    });
+    if (!response.ok) {
+      throw new Error(`MeteoAlarm geocodes error: ${response.status} (${countryCode})`);
+    }
+    const data = await response.json();
+    const regions = (data.features || [])
+      .filter(f => f.properties?.type === 'EMMA_ID' && f.properties.code && f.geometry)
+      .map(f => [f.properties.code, f.geometry]);
+    if (regions.length === 0) {
+      throw new Error(`MeteoAlarm geocodes for ${countryCode} contained no EMMA_ID regions`);
+    }
+    result = { regions };
+  } catch (e) {
+    result = { error: e.message };
+    ttl = METEOALARM_GEOCODES_FAILURE_TTL;
+  }
+
+  const cacheResponse = new Response(JSON.stringify(result), {
+    headers: { 'Cache-Control': `public, max-age=${ttl}` }
+  });
+  ctx.waitUntil(cache.put(cacheRequest, cacheResponse));
+
+  if (result.error) throw new Error(result.error);
+  return new Map(result.regions);
+}
+
+// Combine region geometries into one MultiPolygon (null when none are known)
+function mergeRegionGeometries(geometries) {
+  const coordinates = geometries.filter(Boolean).flatMap(geometry =>
+    geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.type === 'MultiPolygon' ? geometry.coordinates : []
+  );
+  return coordinates.length > 0 ? { type: 'MultiPolygon', coordinates } : null;
+}
+
+// Fetch and parse a MeteoAlarm country Atom feed into warning entries, with caching
+async function fetchMeteoAlarmFeed(feedName, cache, ctx) {
+  const cacheRequest = new Request(`https://weather.gripe/api/alerts-cache/meteoalarm:${feedName}`);
+  const cached = await cache.match(cacheRequest);
+  if (cached) {
+    return cached.json();
+  }
+
+  const response = await fetch(`https://feeds.meteoalarm.org/feeds/meteoalarm-legacy-atom-${feedName}`, {
+    headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+  });
+  if (!response.ok) {
+    throw new Error(`MeteoAlarm feed error: ${response.status} (${feedName})`);
+  }
+
+  const xml = await response.text();
+  const entries = getXmlElements(xml, 'entry').map(entry => {
+    // The CAP document link; fall back to the entry's first link
+    const links = [...entry.matchAll(/<link\b[^>]*>/g)].map(match => match[0]);
+    const capLink = links.find(link => /type="[^"]*cap[^"]*"/i.test(link)) || links[0];
+    const capHref = capLink?.match(/href="([^"]+)"/)?.[1];
+    return {
+      id: getXmlText(entry, 'cap:identifier') || getXmlText(entry, 'id'),
+      title: getXmlText(entry, 'title'),
+      event: getXmlText(entry, 'cap:event'),
+      severity: getXmlText(entry, 'cap:severity'),
+      urgency: getXmlText(entry, 'cap:urgency'),
+      messageType: getXmlText(entry, 'cap:message_type') || getXmlText(entry, 'cap:msgType'),
+      sent: getXmlText(entry, 'cap:sent') || getXmlText(entry, 'updated'),
+      onset: getXmlText(entry, 'cap:onset') || getXmlText(entry, 'cap:effective'),
+      expires: getXmlText(entry, 'cap:expires'),
+      areaDesc: getXmlText(entry, 'cap:areaDesc'),
+      geocodes: getXmlElements(entry, 'cap:geocode').map(geocode => ({
+        name: getXmlText(geocode, 'valueName'),
+        value: getXmlText(geocode, 'value')
+      })),
+      polygons: getXmlElements(entry, 'cap:polygon').map(decodeXmlEntities),
+      capUrl: capHref ? decodeXmlEntities(capHref) : null
+    };
+  });
+
+  const cacheResponse = new Response(JSON.stringify(entries), {
+    headers: { 'Cache-Control': `public, max-age=${METEOALARM_FEED_CACHE_TTL}` }
+  });
+  ctx.waitUntil(cache.put(cacheRequest, cacheResponse));
+
+  return entries;
+}
+
+// Fetch a warning's CAP document for its full text and area polygons, with caching
+// Picks the English <info> block when there is one (CAP documents carry one per language)
+async function fetchMeteoAlarmCap(entry, cache, ctx) {
+  const cacheRequest = new Request(`https://weather.gripe/api/alerts-cache/meteoalarm-cap:${encodeURIComponent(entry.id)}`);
+  const cached = await cache.match(cacheRequest);
+  if (cached) {
+    return cached.json();
+  }
+
+  const response = await fetch(entry.capUrl, {
+    headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)', 'Accept': 'application/xml' }
+  });
+  if (!response.ok) {
+    throw new Error(`MeteoAlarm CAP error: ${response.status}`);
+  }
+
+  const xml = await response.text();
+  const infos = getXmlElements(xml, 'info');
+  const info = infos.find(block => /^en/i.test(getXmlText(block, 'language') || '')) || infos[0] || '';
+  const result = {
+    event: getXmlText(info, 'event'),
+    headline: getXmlText(info, 'headline'),
+    description: getXmlText(info, 'description'),
+    instruction: getXmlText(info, 'instruction'),
+    senderName: getXmlText(info, 'senderName'),
+    language: (getXmlText(info, 'language') || 'en').slice(0, 2).toLowerCase(),
+    polygons: getXmlElements(info, 'polygon').map(decodeXmlEntities)
+  };
+
+  const cacheResponse = new Response(JSON.stringify(result), {
+    headers: { 'Cache-Control': `public, max-age=${METEOALARM_CAP_CACHE_TTL}` }
+  });
+  ctx.waitUntil(cache.put(cacheRequest, cacheResponse));
+
+  return result;
+}
+
+// Fetch MeteoAlarm warnings covering a European location, normalized to the
+// NWS alert shape so the alert cards render them unchanged
+// A warning matches by polygon when the feed has one, otherwise by the EMMA_ID
+// regions containing the point; area names are matched against the location's
+// administrative areas only when the region lookup is unavailable. Warnings
+// without polygons are mapped with the regions they were issued for
+async function fetchMeteoAlarmAlerts(lat, lon, location, cache, ctx) {
+  const feedName = METEOALARM_COUNTRIES[location.country_code];
+  if (!feedName) return [];
+
+  try {
+    const [entries, regions] = await Promise.all([
+      fetchMeteoAlarmFeed(feedName, cache, ctx),
+      fetchMeteoAlarmRegions(location.country_code, cache, ctx).catch(e => {
+        console.error('MeteoAlarm region lookup failed, matching by area name:', e);
+        return null;
+      })
+    ]);
+    const pointRegions = regions
+      ? new Set([...regions].filter(([, geometry]) => pointInGeometry(lon, lat, geometry)).map(([code]) => code))
+      : null;
+    const areaNames = [location.name, ...(location.admin || [])].filter(Boolean).map(normalizeAreaName);
+    const now = Date.now();
+    const getEmmaIds = (entry) => entry.geocodes.filter(geocode => geocode.name === 'EMMA_ID').map(geocode => geocode.value);
+    // Neighbouring areas repeat the same warning; entries are one per area
+    const warningKey = (entry) => `${entry.event}|${entry.onset}|${entry.expires}`;
+
+    const active = entries.filter(entry => entry.messageType !== 'Cancel' && !(Date.parse(entry.expires) <= now));
+    const matched = active.filter(entry => {
+      const geometry = capPolygonsToGeometry(entry.polygons);
+      if (geometry) return pointInGeometry(lon, lat, geometry);
+      const emmaIds = getEmmaIds(entry);
+      if (pointRegions && emmaIds.length > 0) return emmaIds.some(id => pointRegions.has(id));
+      return areaMatchesLocation(entry.areaDesc, areaNames);
+    });
+
+    // Every region each warning was issued for, for its map geometry
+    const warningRegions = new Map();
+    for (const entry of active) {
+      const key = warningKey(entry);
+      if (!warningRegions.has(key)) warningRegions.set(key, new Set());
+      getEmmaIds(entry).forEach(id => warningRegions.get(key).add(id));
+    }
+
+    // One warning per event and period, keeping the most recent update
+    const distinct = new Map();
+    for (const entry of matched) {
+      const key = warningKey(entry);
+      const existing = distinct.get(key);
+      if (!existing || Date.parse(entry.sent) > Date.parse(existing.sent)) {
+        distinct.set(key, entry);
+      }
+    }
+
+    const alerts = await Promise.all([...distinct.values()].map(async (entry, i) => {
+      let cap = null;
+      if (entry.capUrl && i < METEOALARM_MAX_CAP_FETCHES) {
+        try {
+          cap = await fetchMeteoAlarmCap(entry, cache, ctx);
+        } catch (e) {
+          console.error(`MeteoAlarm CAP error (${entry.id}):`, e);
+        }
+      }
+      const emmaId = entry.geocodes.find(geocode => geocode.name === 'EMMA_ID')?.value || null;
+      return {
+        id: entry.id,
+        event: cap?.event || entry.event || entry.title,
+        headline: cap?.headline || entry.title,
+        severity: entry.severity,
+        urgency: entry.urgency,
+        sent: entry.sent,
+        onset: entry.onset,
+        ends: entry.expires,
+        description: cap?.description || null,
+        sections: null,
+        instruction: cap?.instruction || null,
+        language: cap?.language || 'en',
+        senderName: cap?.senderName || 'MeteoAlarm',
+        geometry: capPolygonsToGeometry(cap?.polygons?.length ? cap.polygons : entry.polygons) ||
+          (regions ? mergeRegionGeometries([...warningRegions.get(warningKey(entry))].map(id => regions.get(id))) : null),
+        affectedZones: [],
+        areaDesc: entry.areaDesc,
+        emmaId
+      };
+    }));
+
+    return alerts.sort(compareAlerts);
+  } catch (e) {
+    console.error('MeteoAlarm alerts error:', e);
+    return [];
+  }
+}
+
+// ECCC public weather alerts (the GeoMet collection built from ECCC's CAP
+// alerts), queried by a small box around the point
+const ECCC_ALERTS_URL = 'https://api.weather.gc.ca/collections/weather-alerts/items';
+
+// ECCC alert types -> CAP severity/urgency (ECCC's CAP carries the same tiers)
+const ECCC_ALERT_TYPES = {
+  warning: { severity: 'Severe', urgency: 'Expected' },
+  watch: { severity: 'Moderate', urgency: 'Future' },
+  advisory: { severity: 'Moderate', urgency: 'Expected' },
+  statement: { severity: 'Minor', urgency: 'Expected' }
+};
+
+// Capitalize each word of an ECCC alert name ("rainfall warning" -> "Rainfall Warning")
+function titleCaseAlertName(name) {
+  return name.replace(/(^|\s)\S/g, c => c.toUpperCase());
+}
+
+// Fetch ECCC alerts covering a Canadian location, normalized to the NWS alert shape
+async function fetchEcccAlerts(lat, lon, cache, ctx) {
+  const url = new URL(ECCC_ALERTS_URL);
+  url.searchParams.set('f', 'json');
+  url.searchParams.set('lang', 'en');
+  url.searchParams.set('bbox', [lon - 0.01, lat - 0.01, lon + 0.01, lat + 0.01].join(','));
+
+  try {
+    const data = await fetchCachedGeoJson(`eccc:${lat},${lon}`, url.toString(), ALERTS_CACHE_TTL, cache, ctx, false, 'alerts-cache');
+    const now = Date.now();
+    const distinct = new Map();
+
+    for (const feature of data.features || []) {
+      const props = feature.properties || {};
+      const ends = props.event_end_datetime || props.expiration_datetime;
+      if (props.status_en === 'ended' || Date.parse(ends) <= now) continue;
+      if (feature.geometry && !pointInGeometry(lon, lat, feature.geometry)) continue;
+
+      // An alert is split into one feature per forecast region - keep one per alert
+      const key = props.identifier || `${props.alert_name_en}|${props.publication_datetime}`;
+      if (distinct.has(key)) continue;
+
+      const type = ECCC_ALERT_TYPES[props.alert_type] || ECCC_ALERT_TYPES.statement;
+      const event = titleCaseAlertName(props.alert_name_en || props.alert_short_name_en || 'Weather Alert');
+      distinct.set(key, {
+        id: key,
+        event,
+        headline: props.feature_name_en ? `${event} for ${props.feature_name_en}` : event,
+        severity: type.severity,
+        urgency: type.urgency,
+        sent: props.publication_datetime || null,
+        onset: props.event_onset_datetime || props.validity_datetime || props.publication_datetime || null,
+        ends: ends || null,
+        description: props.alert_text_en || null,
+        sections: null,
+        instruction: null,
+        language: 'en',
+        senderName: 'Environment Canada',
+        geometry: feature.geometry || null,
+        affectedZones: []
+      });
+    }
+
+    return [...distinct.values()].sort(compareAlerts);
+  } catch (e) {
+    console.error('ECCC alerts error:', e);
+    return [];
+  }
+}
+
+// Fetch single zone geometry from NWS API with heavy caching
+async function fetchZoneGeometry(zoneUrl, ctx) {
+  // Extract zone ID from URL for cache key
+  const zoneId = zoneUrl.split('/').pop();
+  const cacheKey = `zone-${zoneId}`;
+  const cacheUrl = `https://weather.gripe/api/zone-cache/${cacheKey}`;
+  const cacheRequest = new Request(cacheUrl);
 
   // Check cache first
   const cache = caches.default;
@@ -1176,17 +2570,140 @@ async function handleZoneGeometry(request, env, ctx) {
   return jsonResponse(combinedGeometry, 200, NWS_ZONE_CACHE_TTL);
 }
 
-// Handle consolidated location API
-async function handleLocation(request, env, ctx) {
-  const url = new URL(request.url);
-  const lat = url.searchParams.get('lat');
-  const lon = url.searchParams.get('lon');
-  const query = url.searchParams.get('q');
-  const skipCache = shouldSkipCache(request);
-
-  if ((!lat || !lon) && !query) {
-    return jsonResponse({ error: 'Missing lat/lon or q parameter' }, 400);
-  }
+// Weather providers, most preferred first. Each declares its coverage
+// (Nominatim country codes and/or bounding boxes; no coverage = global), its
+// capabilities (providesTimezone: responses carry an authoritative timezone,
+// remembered for providers without one), and fetchers returning the unified schema:
+//   fetch(coords, context)       -> weather { current, daily, hourly, timezone, source }
+//   fetchAlerts(coords, context) -> alerts in the NWS alert shape
+// context: { location, cache, ctx, skipCache, language, getNwsPoints }
+// handleLocation tries each covering provider in order, falling back down the
+// chain when one throws (Open-Meteo and then MET Norway cover everywhere)
+const WEATHER_PROVIDERS = [
+  {
+    id: 'nws',
+    coverage: { countries: Object.keys(NWS_COVERAGE) },
+    capabilities: { forecast: true, textForecasts: true, observations: true, alerts: true, providesTimezone: true },
+    fetch: async (coords, { cache, ctx, skipCache, getNwsPoints }) => {
+      // Pass pre-fetched points to avoid redundant API call
+      const points = await getNwsPoints();
+      return fetchWeatherNWS(coords.lat, coords.lon, cache, ctx, skipCache, points);
+    },
+    fetchAlerts: (coords, { cache, ctx, language }) => fetchAlerts(coords.lat, coords.lon, cache, ctx, language)
+  },
+  {
+    id: 'eccc',
+    coverage: { countries: ['ca'] },
+    capabilities: { forecast: true, textForecasts: true, observations: true, alerts: true, providesTimezone: true },
+    fetch: (coords, { cache, ctx, skipCache }) => fetchWeatherECCC(coords.lat, coords.lon, cache, ctx, skipCache),
+    fetchAlerts: (coords, { cache, ctx }) => fetchEcccAlerts(coords.lat, coords.lon, cache, ctx)
+  },
+  {
+    id: 'meteoalarm',
+    coverage: { countries: Object.keys(METEOALARM_COUNTRIES) },
+    capabilities: { alerts: true },
+    fetchAlerts: (coords, { location, cache, ctx }) => fetchMeteoAlarmAlerts(coords.lat, coords.lon, location, cache, ctx)
+  },
+  {
+    id: 'open-meteo',
+    coverage: null,
+    capabilities: { forecast: true, providesTimezone: true },
+    fetch: (coords, { cache, ctx, skipCache }) => fetchWeatherOpenMeteo(coords.lat, coords.lon, cache, ctx, skipCache)
+  },
+  {
+    id: 'met-norway',
+    coverage: null,
+    capabilities: { forecast: true },
+    fetch: async (coords, context) => {
+      const timezone = await resolveTimezone(coords, context);
+      return fetchWeatherMetNo(coords.lat, coords.lon, timezone, context.cache, context.ctx, context.skipCache);
+    }
+  }
+];
+
+// Check whether a provider covers a location (by country code, or by bounding box)
+function providerCovers(provider, countryCode, lat, lon) {
+  const { coverage } = provider;
+  if (!coverage) return true;
+  if (countryCode && coverage.countries?.includes(countryCode)) return true;
+  return coverage.boxes?.some(b =>
+    lat >= b.minLat && lat <= b.maxLat && lon >= b.minLon && lon <= b.maxLon
+  ) ?? false;
+}
+
+// Providers covering a location with a capability, in preference order
+function getProviders(capability, countryCode, lat, lon) {
+  return WEATHER_PROVIDERS.filter(provider =>
+    provider.capabilities[capability] && providerCovers(provider, countryCode, lat, lon)
+  );
+}
+
+// Fetch weather from the first covering provider that succeeds
+// Returns { weather, provider }; throws the last error when every provider fails
+async function fetchWeatherFromProviders(coords, context) {
+  const providers = getProviders('forecast', context.location.country_code, coords.lat, coords.lon);
+  let lastError = new Error('No weather provider covers this location');
+  for (const provider of providers) {
+    try {
+      const weather = await provider.fetch(coords, context);
+      if (provider.capabilities.providesTimezone && weather.timezone) {
+        rememberTimezone(coords.lat, coords.lon, weather.timezone, context.cache, context.ctx);
+      }
+      return { weather, provider };
+    } catch (e) {
+      console.error(`${provider.id} weather failed, trying next provider:`, e);
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
+
+// Fetch alerts from the first covering alert provider with any, falling back
+// down the chain when one throws or returns nothing
+// Returns { alerts, provider } (provider is the first that answered when none
+// had alerts, or null where no alert source covers the location or all failed)
+async function fetchAlertsFromProviders(coords, context) {
+  const providers = getProviders('alerts', context.location.country_code, coords.lat, coords.lon);
+  let answered = null;
+  for (const provider of providers) {
+    try {
+      const alerts = await provider.fetchAlerts(coords, context);
+      if (alerts.length > 0) return { alerts, provider };
+      answered ??= provider;
+    } catch (e) {
+      console.error(`${provider.id} alerts failed, trying next provider:`, e);
+    }
+  }
+  return { alerts: [], provider: answered };
+}
+
+// Handle consolidated location API
+async function handleLocation(request, env, ctx) {
+  const url = new URL(request.url);
+  const lat = url.searchParams.get('lat');
+  const lon = url.searchParams.get('lon');
+  const query = url.searchParams.get('q');
+  const hoursParam = url.searchParams.get('hours');
+  const language = url.searchParams.get('lang') || 'en';
+  const skipCache = shouldSkipCache(request);
+
+  if ((!lat || !lon) && !query) {
+    return jsonResponse({ error: 'Missing lat/lon or q parameter' }, 400);
+  }
+
+  // Alert text language (?lang=es for Spanish translations)
+  if (!ALERT_LANGUAGES.includes(language)) {
+    return jsonResponse({ error: 'Invalid lang value' }, 400);
+  }
+
+  // Hourly window: default 48 hours, capped at 7 days
+  let hours = HOURLY_DEFAULT_HOURS;
+  if (hoursParam !== null) {
+    if (!/^\d+$/.test(hoursParam) || Number(hoursParam) < 1) {
+      return jsonResponse({ error: 'Invalid hours value' }, 400);
+    }
+    hours = Math.min(Number(hoursParam), HOURLY_MAX_HOURS);
+  }
 
   // Validate lat/lon are finite numbers
   if (lat && lon) {
@@ -1208,25 +2725,12 @@ async function handleLocation(request, env, ctx) {
     let coords;
     let speculativePointsPromise = null;
 
-    // Check if coordinates are likely in the US (rough bounding box)
-    // Continental US: lat 24-49, lon -125 to -66
-    // Also includes Alaska: lat 51-72, lon -180 to -130
-    // Also includes Hawaii: lat 18-23, lon -161 to -154
-    const isLikelyUS = (latNum, lonNum) => {
-      // Continental US
-      if (latNum >= 24 && latNum <= 49 && lonNum >= -125 && lonNum <= -66) return true;
-      // Alaska
-      if (latNum >= 51 && latNum <= 72 && lonNum >= -180 && lonNum <= -130) return true;
-      // Hawaii
-      if (latNum >= 18 && latNum <= 23 && lonNum >= -161 && lonNum <= -154) return true;
-      return false;
-    };
-
     if (lat && lon) {
       coords = { lat: truncateCoord(lat), lon: truncateCoord(lon) };
 
-      // Speculatively start NWS points fetch if likely US (runs in parallel with geocode)
-      if (isLikelyUS(coords.lat, coords.lon)) {
+      // Speculatively start NWS points fetch if likely US or a US territory
+      // (runs in parallel with geocode; see NWS_COVERAGE)
+      if (isLikelyNWS(coords.lat, coords.lon)) {
         speculativePointsPromise = fetchNWSPoints(coords.lat, coords.lon, cache, ctx, skipCache).catch(() => null);
       }
 
@@ -1236,43 +2740,31 @@ async function handleLocation(request, env, ctx) {
       coords = { lat: truncateCoord(location.latitude), lon: truncateCoord(location.longitude) };
     }
 
-    // Determine if US location
-    const isUS = location.country_code === 'us';
+    // NWS grid point, shared by the NWS provider and the office lookup below
+    // (uses the speculative fetch if available, otherwise fetches once)
+    let pointsPromise = null;
+    const getNwsPoints = () => {
+      pointsPromise ??= (async () => (speculativePointsPromise && await speculativePointsPromise) ||
+        fetchNWSPoints(coords.lat, coords.lon, cache, ctx, skipCache))();
+      return pointsPromise;
+    };
 
-    // Fetch weather based on location
-    let weather;
-    let alerts = [];
-    let nwsOffice = null;
+    const context = { location, cache, ctx, skipCache, language, getNwsPoints };
 
-    if (isUS) {
-      // Start alerts fetch immediately - it's independent of weather/points
-      const alertsPromise = fetchAlerts(coords.lat, coords.lon, cache, ctx);
+    // Start alerts immediately - they're independent of the weather provider
+    const alertsPromise = fetchAlertsFromProviders(coords, context);
+    const { weather, provider } = await fetchWeatherFromProviders(coords, context);
+    const { alerts, provider: alertsProvider } = await alertsPromise;
 
-      // Try NWS first for US locations
+    // NWS office for wxstory/AFD (US states and territories), even when the
+    // forecast fell back to another provider
+    let nwsOffice = null;
+    if (isNWSCountry(location.country_code)) {
       try {
-        // Use speculative points if available, otherwise fetch
-        const points = (speculativePointsPromise && await speculativePointsPromise) ||
-                       await fetchNWSPoints(coords.lat, coords.lon, cache, ctx, skipCache);
-        nwsOffice = points.gridId;
-        // Pass pre-fetched points to avoid redundant API call
-        weather = await fetchWeatherNWS(coords.lat, coords.lon, cache, ctx, skipCache, points);
+        nwsOffice = (await getNwsPoints()).gridId;
       } catch (e) {
-        console.error('NWS failed, falling back to Open-Meteo:', e);
-        weather = await fetchWeatherOpenMeteo(coords.lat, coords.lon, cache, ctx, skipCache);
-        // Try to get NWS office for wxstory even if weather fetch failed
-        try {
-          const points = await fetchNWSPoints(coords.lat, coords.lon, cache, ctx, skipCache);
-          nwsOffice = points.gridId;
-        } catch (e2) {
-          // Ignore - nwsOffice stays null
-        }
+        // Ignore - nwsOffice stays null
       }
-
-      // Wait for alerts (likely already resolved by now)
-      alerts = await alertsPromise;
-    } else {
-      // Use Open-Meteo for non-US locations
-      weather = await fetchWeatherOpenMeteo(coords.lat, coords.lon, cache, ctx, skipCache);
     }
 
     const result = {
@@ -1281,8 +2773,16 @@ async function handleLocation(request, env, ctx) {
         timezone: weather.timezone,
         nwsOffice
       },
-      weather,
-      alerts
+      // Providers return up to 7 days of hourly data; trim to the requested window
+      weather: { ...weather, hourly: weather.hourly.slice(0, hours) },
+      alerts,
+      // Provider that served each section (null where none did)
+      sources: {
+        forecast: provider.id,
+        textForecasts: provider.capabilities.textForecasts ? provider.id : null,
+        observations: provider.capabilities.observations && weather.current.observedAt ? provider.id : null,
+        alerts: alertsProvider?.id ?? null
+      }
     };
 
     if (skipCache) {
@@ -1519,15 +3019,745 @@ async function handleWxStory(request, env) {
       return `/api/wxstory/image?url=${encodeURIComponent(cleanUrl)}`;
     });
 
-    return jsonResponse({ office: office.toUpperCase(), images }, 200, cacheTTL, WXSTORY_SWR_TTL);
+    return jsonResponse({ office: office.toUpperCase(), images }, 200, cacheTTL, WXSTORY_SWR_TTL);
+  } catch (e) {
+    console.error('Weather story fetch error:', e);
+    return jsonResponse({ error: 'Failed to fetch weather story', details: e.message }, 500);
+  }
+}
+
+// Handle weather story image proxy - caches and serves wxstory images
+async function handleWxStoryImage(request, env, ctx) {
+  const url = new URL(request.url);
+  const imageUrl = url.searchParams.get('url');
+
+  if (!imageUrl) {
+    return jsonResponse({ error: 'Missing url parameter' }, 400);
+  }
+
+  // Validate URL is from weather.gov and contains wxstory
+  if (!imageUrl.startsWith('https://www.weather.gov/') || !imageUrl.toLowerCase().includes('wxstory')) {
+    return jsonResponse({ error: 'Invalid wxstory image URL' }, 400);
+  }
+
+  const cache = caches.default;
+  const cacheRequest = new Request(imageUrl);
+
+  // Check cache
+  const cached = await cache.match(cacheRequest);
+  if (cached) {
+    return new Response(cached.body, {
+      headers: {
+        'Content-Type': cached.headers.get('Content-Type') || 'image/png',
+        'Cache-Control': `public, max-age=${WXSTORY_IMAGE_CACHE_TTL}`,
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+
+  try {
+    const response = await fetch(imageUrl, {
+      headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+    });
+
+    if (!response.ok) {
+      return jsonResponse({ error: 'Failed to fetch wxstory image' }, 502);
+    }
+
+    const contentType = response.headers.get('Content-Type') || 'image/png';
+    const proxyResponse = new Response(response.body, {
+      headers: {
+        'Content-Type': contentType,
+        'Cache-Control': `public, max-age=${WXSTORY_IMAGE_CACHE_TTL}`,
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+
+    ctx.waitUntil(cache.put(cacheRequest, proxyResponse.clone()));
+    return proxyResponse;
+  } catch (e) {
+    console.error('WxStory image fetch error:', e);
+    return jsonResponse({ error: 'Failed to fetch wxstory image' }, 500);
+  }
+}
+
+// Unwrap a block of fixed-width product text lines into paragraphs
+// Blank lines separate paragraphs; "-"/"*" bullets each start a new line
+function unwrapProductText(lines) {
+  const paragraphs = [];
+  let current = [];
+  const flush = () => {
+    if (current.length > 0) paragraphs.push(current.join('\n'));
+    current = [];
+  };
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) {
+      flush();
+    } else if (/^[-*] /.test(line) || current.length === 0) {
+      current.push(line);
+    } else {
+      current[current.length - 1] += ` ${line}`;
+    }
+  }
+  flush();
+  return paragraphs.join('\n\n');
+}
+
+// Spanish alert bullet labels and their English equivalents
+const ALERT_SECTION_KEYS = {
+  'QUÉ': 'WHAT',
+  'QUE': 'WHAT',
+  'DÓNDE': 'WHERE',
+  'DONDE': 'WHERE',
+  'CUÁNDO': 'WHEN',
+  'CUANDO': 'WHEN',
+  'IMPACTOS': 'IMPACTS',
+  'DETALLES ADICIONALES': 'ADDITIONAL DETAILS'
+};
+
+// Parse an alert description's "* WHAT...", "* WHERE...", "* WHEN...",
+// "* IMPACTS..." bullets (or their Spanish "* QUÉ...", "* DÓNDE..." forms) into
+// labelled sections ({ key, label, text }, in order; key is the English label)
+// Returns null for products that don't follow the format (no WHAT bullet)
+function parseAlertSections(description) {
+  if (!description) return null;
+  const sections = [];
+  for (const chunk of description.split(/^\* /m).slice(1)) {
+    const match = chunk.match(/^([A-ZÁÉÍÓÚÑ][A-ZÁÉÍÓÚÑ /]*?)\.\.\.([\s\S]*)$/);
+    if (!match) continue;
+    const label = match[1].trim();
+    const text = unwrapProductText(match[2].split('\n'));
+    if (text) sections.push({ key: ALERT_SECTION_KEYS[label] || label, label, text });
+  }
+  return sections.some(section => section.key === 'WHAT') ? sections : null;
+}
+
+// Parse an Area Forecast Discussion into its dot-headed sections
+// (".SYNOPSIS...", ".NEAR TERM /THROUGH TONIGHT/...", ".AVIATION /18Z TAFS/...")
+// Each section runs until "&&", "$$" or the next header
+function parseAfdSections(productText) {
+  const sections = [];
+  let section = null;
+
+  for (const line of productText.split('\n')) {
+    const header = line.match(/^\.([A-Z][^.]*?)\.\.\.(.*)$/);
+    if (header) {
+      if (section) sections.push(section);
+      // Split a "/qualifier/" off the name (e.g. NEAR TERM /THROUGH TONIGHT/)
+      const [, name, period] = header[1].trim().match(/^(.*?)\s*(?:\/(.*)\/)?$/);
+      section = { name, period: period || null, lines: [header[2]] };
+    } else if (/^(&&|\$\$)/.test(line.trim())) {
+      if (section) sections.push(section);
+      section = null;
+    } else if (section) {
+      section.lines.push(line);
+    }
+  }
+  if (section) sections.push(section);
+
+  return sections
+    .map(({ name, period, lines }) => ({ name, period, text: unwrapProductText(lines) }))
+    .filter(s => s.text);
+}
+
+// Handle Area Forecast Discussion API - latest AFD for an NWS office, split
+// into sections, with the synopsis (or its closest equivalent) called out
+async function handleAfd(request, env) {
+  const url = new URL(request.url);
+  const office = url.searchParams.get('office');
+  const skipCache = shouldSkipCache(request);
+
+  if (!office || !/^[A-Za-z]{3}$/.test(office)) {
+    return jsonResponse({ error: 'Invalid office code. Please provide a 3-letter NWS office code.' }, 400);
+  }
+
+  const cacheTTL = skipCache ? 'no-store' : AFD_CACHE_TTL;
+  const officeCode = office.toUpperCase();
+
+  try {
+    const listResponse = await fetch(
+      `https://api.weather.gov/products/types/AFD/locations/${officeCode}`,
+      { headers: NWS_HEADERS }
+    );
+    if (!listResponse.ok) {
+      return jsonResponse({ office: officeCode, available: false }, 200, cacheTTL, AFD_SWR_TTL);
+    }
+    const list = await listResponse.json();
+    const latest = list['@graph']?.[0];
+    if (!latest) {
+      return jsonResponse({ office: officeCode, available: false }, 200, cacheTTL, AFD_SWR_TTL);
+    }
+
+    const productResponse = await fetch(`https://api.weather.gov/products/${latest.id}`, { headers: NWS_HEADERS });
+    if (!productResponse.ok) {
+      throw new Error(`AFD product fetch failed: ${productResponse.status}`);
+    }
+    const product = await productResponse.json();
+    const productText = (product.productText || '').replace(/\r/g, '');
+    const sections = parseAfdSections(productText);
+
+    // Not every office writes a .SYNOPSIS; fall back to key messages or the discussion
+    const synopsis = ['SYNOPSIS', 'KEY MESSAGES', 'UPDATE', 'DISCUSSION']
+      .map(name => sections.find(s => s.name === name))
+      .find(Boolean) || sections[0] || null;
+
+    return jsonResponse({
+      office: officeCode,
+      available: true,
+      id: product.id,
+      issued: product.issuanceTime,
+      synopsis,
+      sections,
+      text: productText
+    }, 200, cacheTTL, AFD_SWR_TTL);
+  } catch (e) {
+    console.error('AFD fetch error:', e);
+    return jsonResponse({ error: 'Failed to fetch forecast discussion', details: e.message }, 500);
+  }
+}
+
+// Ray-casting point-in-ring test (GeoJSON positions are [lon, lat])
+function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (((yi > lat) !== (yj > lat)) && (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Point-in-geometry test for GeoJSON Polygon/MultiPolygon (outer ring minus holes)
+function pointInGeometry(lon, lat, geometry) {
+  if (!geometry) return false;
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates
+    : [];
+  return polygons.some(rings =>
+    pointInRing(lon, lat, rings[0]) && !rings.slice(1).some(hole => pointInRing(lon, lat, hole))
+  );
+}
+
+// Fetch a GeoJSON (or JSON) product (SPC/WPC/NHC, NWS products), cached internally under cacheKey for ttl seconds
+// namespace: internal cache path the key lives under (alerts use alerts-cache)
+async function fetchCachedGeoJson(cacheKey, url, ttl, cache, ctx, skipCache = false, namespace = 'spc-cache') {
+  const cacheRequest = new Request(`https://weather.gripe/api/${namespace}/${cacheKey}`);
+
+  if (skipCache) {
+    ctx.waitUntil(cache.delete(cacheRequest));
+  } else {
+    const cached = await cache.match(cacheRequest);
+    if (cached) {
+      return cached.json();
+    }
+  }
+
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+  });
+  if (!response.ok) {
+    throw new Error(`GeoJSON fetch error: ${response.status} (${cacheKey})`);
+  }
+
+  const data = await response.json();
+
+  const cacheResponse = new Response(JSON.stringify(data), {
+    headers: { 'Cache-Control': `public, max-age=${ttl}` }
+  });
+  ctx.waitUntil(cache.put(cacheRequest, cacheResponse));
+
+  return data;
+}
+
+// Fetch the latest SPC categorical convective outlook GeoJSON for a day (1-3), with caching
+function fetchSpcOutlook(day, cache, ctx, skipCache = false) {
+  return fetchCachedGeoJson(
+    `spc-outlook:day${day}`,
+    `https://www.spc.noaa.gov/products/outlook/day${day}otlk_cat.lyr.geojson`,
+    SPC_OUTLOOK_CACHE_TTL, cache, ctx, skipCache
+  );
+}
+
+// SPC day 1-2 probabilistic hazard outlooks: probability areas per hazard plus
+// the significant-severe (hatched) areas
+const SPC_HAZARDS = [
+  { key: 'tornado', layer: 'torn', sigLayer: 'sigtorn' },
+  { key: 'hail', layer: 'hail', sigLayer: 'sighail' },
+  { key: 'wind', layer: 'wind', sigLayer: 'sigwind' }
+];
+
+// Fetch a day's probabilistic outlook layer (e.g. day1otlk_torn), with caching
+function fetchSpcProbOutlook(day, layer, cache, ctx, skipCache = false) {
+  return fetchCachedGeoJson(
+    `spc-outlook:day${day}-${layer}`,
+    `https://www.spc.noaa.gov/products/outlook/day${day}otlk_${layer}.lyr.geojson`,
+    SPC_OUTLOOK_CACHE_TTL, cache, ctx, skipCache
+  );
+}
+
+// Evaluate the day 1/2 hazard outlooks at the point: highest probability area
+// containing it (percent, 0 outside every area) and whether it's in a
+// significant-severe area
+async function fetchSpcHazardsAtPoint(day, lat, lon, cache, ctx, skipCache = false) {
+  const entries = await Promise.all(SPC_HAZARDS.map(async ({ key, layer, sigLayer }) => {
+    const [probGeojson, sigGeojson] = await Promise.all([
+      fetchSpcProbOutlook(day, layer, cache, ctx, skipCache),
+      fetchSpcProbOutlook(day, sigLayer, cache, ctx, skipCache).catch(() => null)
+    ]);
+    const hit = (probGeojson.features || [])
+      .filter(f => pointInGeometry(lon, lat, f.geometry))
+      .sort((a, b) => (b.properties?.DN ?? 0) - (a.properties?.DN ?? 0))[0];
+    const significant = (sigGeojson?.features || []).some(f => pointInGeometry(lon, lat, f.geometry));
+    return [key, {
+      probability: hit?.properties?.DN ?? 0,
+      fill: hit?.properties?.fill || null,
+      significant
+    }];
+  }));
+  return Object.fromEntries(entries);
+}
+
+// Extended (day 4-8) outlook: 15% and 30% any-severe probability areas at the
+// point, each with its valid dates and the national graphic (SPC publishes no
+// state graphics past day 3)
+async function fetchSpcExtendedAtPoint(lat, lon, cache, ctx, skipCache = false) {
+  const days = await Promise.all([4, 5, 6, 7, 8].map(async day => {
+    try {
+      const geojson = await fetchCachedGeoJson(
+        `spc-outlook:day${day}-prob`,
+        `https://www.spc.noaa.gov/products/exper/day4-8/day${day}prob.lyr.geojson`,
+        SPC_OUTLOOK_CACHE_TTL, cache, ctx, skipCache
+      );
+      const hit = (geojson.features || [])
+        .filter(f => (f.properties?.DN ?? 0) >= 15 && pointInGeometry(lon, lat, f.geometry))
+        .sort((a, b) => b.properties.DN - a.properties.DN)[0];
+      if (!hit) return null;
+      const props = hit.properties;
+      const imageUrl = `https://www.spc.noaa.gov/products/exper/day4-8/day${day}prob.gif`;
+      return {
+        day,
+        probability: props.DN,
+        label2: props.LABEL2,
+        fill: props.fill,
+        issued: props.ISSUE_ISO,
+        valid: props.VALID_ISO,
+        expires: props.EXPIRE_ISO,
+        image: `/api/spc/image?url=${encodeURIComponent(imageUrl)}`
+      };
+    } catch (e) {
+      console.error(`SPC day ${day} outlook error:`, e);
+      return null;
+    }
+  }));
+  return days.filter(Boolean);
+}
+
+// SPC watch boxes in effect. SPC itself publishes watch polygons only as
+// KMZ/shapefile archives, so they come from the Iowa Environmental Mesonet's
+// GeoJSON mirror of SPC watches (a third-party academic service, no SLA).
+// Only fetchIemWatches talks to IEM; swap it out to change the source
+const IEM_SPC_WATCHES_URL = 'https://mesonet.agron.iastate.edu/json/spcwatch.py';
+
+// Active mesoscale discussion polygons (NOAA map service, GeoJSON). Only the
+// layer's documented name field ("MD 1234") is requested, so a renamed field
+// fails the query instead of silently dropping discussions
+const SPC_MD_URL = 'https://mapservices.weather.noaa.gov/vector/rest/services/outlooks/spc_mesoscale_discussion/MapServer/0/query?where=1%3D1&outFields=name&f=geojson';
+
+// Mesoscale discussion text: SPC issues each MD as an SWO product from
+// location MCD on the NWS products API; the newest few are scanned for the
+// active MD numbers
+const SPC_MD_PRODUCTS_URL = 'https://api.weather.gov/products/types/SWO/locations/MCD';
+const SPC_MD_MAX_PRODUCTS = 15;
+const SPC_MD_PRODUCT_CACHE_TTL = 24 * 60 * 60; // issued products don't change
+
+// Current SPC watches from IEM as { number, tornado, issued, expires, geometry }
+// IEM's spcwatch.py features carry number, type ('TOR'/'SVR'), issue and expire
+// properties; throws when features come back without them (format change)
+async function fetchIemWatches(cache, ctx, skipCache = false) {
+  const geojson = await fetchCachedGeoJson('spc-watches', IEM_SPC_WATCHES_URL, SPC_ACTIVE_CACHE_TTL, cache, ctx, skipCache);
+  const features = geojson.features || [];
+  const watches = features
+    .map(f => ({
+      number: parseInt(f.properties?.number, 10),
+      tornado: f.properties?.type === 'TOR',
+      issued: f.properties?.issue || null,
+      expires: f.properties?.expire || null,
+      geometry: f.geometry
+    }))
+    .filter(w => Number.isFinite(w.number) && w.geometry);
+  if (features.length > 0 && watches.length === 0) {
+    throw new Error(`IEM watch features had no parseable number/geometry (properties: ${Object.keys(features[0].properties || {}).join(', ')})`);
+  }
+  return watches;
+}
+
+// Watches whose box contains the point
+async function fetchSpcWatchesAtPoint(lat, lon, cache, ctx, skipCache = false) {
+  try {
+    const now = Date.now();
+    return (await fetchIemWatches(cache, ctx, skipCache))
+      .filter(w => pointInGeometry(lon, lat, w.geometry))
+      .map(w => ({
+        type: w.tornado ? 'tornado' : 'severe-thunderstorm',
+        number: w.number,
+        name: `${w.tornado ? 'Tornado' : 'Severe Thunderstorm'} Watch ${w.number}`,
+        issued: w.issued,
+        expires: w.expires,
+        url: `https://www.spc.noaa.gov/products/watch/ww${String(w.number).padStart(4, '0')}.html`,
+        geometry: w.geometry
+      }))
+      .filter(w => !w.expires || Date.parse(w.expires) > now)
+      // Tornado watches first
+      .sort((a, b) => (a.type === 'tornado' ? 0 : 1) - (b.type === 'tornado' ? 0 : 1));
+  } catch (e) {
+    console.error('SPC watches error:', e);
+    return [];
+  }
+}
+
+// "Valid 101945Z - 102145Z" -> ISO start/end; the month and year aren't in the
+// product, so take the current UTC month (the previous one if the day is ahead)
+function parseSpcValidTimes(validLine) {
+  const match = validLine?.match(/(\d{2})(\d{2})(\d{2})Z\s*-\s*(\d{2})(\d{2})(\d{2})Z/);
+  if (!match) return { valid: null, expires: null };
+  const now = new Date();
+  const toIso = (day, hour, minute) => {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), Number(day), Number(hour), Number(minute)));
+    if (date - now > 15 * 24 * 60 * 60 * 1000) date.setUTCMonth(date.getUTCMonth() - 1);
+    return date.toISOString();
+  };
+  return {
+    valid: toIso(match[1], match[2], match[3]),
+    expires: toIso(match[4], match[5], match[6])
+  };
+}
+
+// Parse an SWO/MCD product's text: MD number, areas affected, concern, watch
+// probability, valid times and the discussion
+function parseSpcMdText(productText) {
+  const paragraphs = unwrapProductText(productText.split('\n')).split('\n\n');
+  const field = (prefix) => {
+    const paragraph = paragraphs.find(p => p.toUpperCase().startsWith(prefix));
+    return paragraph ? paragraph.slice(prefix.length).trim() : null;
+  };
+
+  // Discussion body: SUMMARY through the paragraph before the forecaster
+  // signature ("..Name.. 06/10/2025") or the ATTN/LAT...LON trailer
+  const start = paragraphs.findIndex(p => p.startsWith('SUMMARY...'));
+  const body = [];
+  if (start >= 0) {
+    for (const p of paragraphs.slice(start)) {
+      if (/^(\.\.|ATTN\.\.\.|LAT\.\.\.LON)/.test(p)) break;
+      body.push(p);
+    }
+  }
+
+  const number = productText.match(/Mesoscale Discussion (\d+)/i);
+  const probability = productText.match(/Probability of Watch Issuance\.\.\.(\d+) percent/i);
+  return {
+    number: number ? Number(number[1]) : null,
+    areas: field('AREAS AFFECTED...'),
+    concerning: field('CONCERNING...'),
+    probability: probability ? Number(probability[1]) : null,
+    ...parseSpcValidTimes(paragraphs.find(p => p.startsWith('Valid '))),
+    summary: field('SUMMARY...'),
+    text: body.join('\n\n')
+  };
+}
+
+// Parsed text of the given MD numbers from the newest SWO/MCD products
+// Returns Map of number -> details; logs the numbers no product was found for
+async function fetchSpcMdDetails(numbers, cache, ctx, skipCache = false) {
+  const details = new Map();
+  const list = await fetchCachedGeoJson('spc-md-products', SPC_MD_PRODUCTS_URL, SPC_ACTIVE_CACHE_TTL, cache, ctx, skipCache);
+  for (const item of (list['@graph'] || []).slice(0, SPC_MD_MAX_PRODUCTS)) {
+    if (numbers.every(number => details.has(number))) break;
+    const product = await fetchCachedGeoJson(`spc-md-product:${item.id}`, `https://api.weather.gov/products/${item.id}`, SPC_MD_PRODUCT_CACHE_TTL, cache, ctx);
+    const parsed = parseSpcMdText((product.productText || '').replace(/\r/g, ''));
+    if (numbers.includes(parsed.number)) details.set(parsed.number, parsed);
+  }
+
+  const missing = numbers.filter(number => !details.has(number));
+  if (missing.length > 0) {
+    console.error(`SPC MD text not found in the latest ${SPC_MD_MAX_PRODUCTS} SWO/MCD products: ${missing.join(', ')}`);
+  }
+  return details;
+}
+
+// Mesoscale discussions whose area contains the point, with their text
+async function fetchSpcMdsAtPoint(lat, lon, cache, ctx, skipCache = false) {
+  try {
+    const geojson = await fetchCachedGeoJson('spc-mds', SPC_MD_URL, SPC_ACTIVE_CACHE_TTL, cache, ctx, skipCache);
+    // ArcGIS reports query errors (e.g. an unknown field) in a 200 response
+    if (geojson.error) {
+      throw new Error(`SPC MD layer query error: ${geojson.error.message || JSON.stringify(geojson.error)}`);
+    }
+
+    // Feature names look like "MD 1234"
+    const hits = (geojson.features || [])
+      .filter(f => pointInGeometry(lon, lat, f.geometry))
+      .map(f => ({ number: parseInt(String(f.properties?.name ?? '').match(/\d+/)?.[0], 10), geometry: f.geometry }));
+    const unnamed = hits.filter(hit => !Number.isFinite(hit.number));
+    if (unnamed.length > 0) {
+      console.error(`SPC MD features without a parseable name: ${unnamed.length} of ${hits.length}`);
+    }
+    const mds = hits.filter(hit => Number.isFinite(hit.number));
+    if (mds.length === 0) return [];
+
+    let details = new Map();
+    try {
+      details = await fetchSpcMdDetails(mds.map(md => md.number), cache, ctx, skipCache);
+    } catch (e) {
+      console.error('SPC MD text error:', e);
+    }
+    return mds.map(({ number, geometry }) => ({
+      ...details.get(number),
+      number,
+      name: `Mesoscale Discussion ${number}`,
+      url: `https://www.spc.noaa.gov/products/md/md${String(number).padStart(4, '0')}.html`,
+      geometry
+    }));
+  } catch (e) {
+    console.error('SPC mesoscale discussions error:', e);
+    return [];
+  }
+}
+
+// Handle SPC severe weather outlook API - returns state outlook graphics for
+// days 1-3 when the point sits inside a severe risk area. General thunderstorm
+// areas (TSTM, DN 2) don't count; severe risk starts at Marginal (DN 3).
+// Also returns day 4-8 probability areas (extended), watches and mesoscale
+// discussions covering the point.
+async function handleSpc(request, env, ctx) {
+  const url = new URL(request.url);
+  const lat = parseFloat(url.searchParams.get('lat'));
+  const lon = parseFloat(url.searchParams.get('lon'));
+  const skipCache = shouldSkipCache(request);
+  const cacheTTL = skipCache ? 'no-store' : SPC_CACHE_TTL;
+
+  if (isNaN(lat) || isNaN(lon)) {
+    return jsonResponse({ error: 'Invalid lat/lon parameters' }, 400);
+  }
+
+  const cache = caches.default;
+
+  try {
+    // The state determines which pre-rendered SPC graphic to show
+    const location = await reverseGeocode(lat, lon, cache, ctx);
+    if (location.country_code !== 'us') {
+      return jsonResponse({ risk: false, days: [], extended: [], watches: [], mesoscaleDiscussions: [] }, 200, cacheTTL, SPC_SWR_TTL);
+    }
+    const stateName = location.region.split(',')[0]?.trim();
+    const stateCode = US_STATE_CODES[stateName];
+
+    // Day 1-3 outlooks need a state graphic; days 4-8, watches and MDs don't
+    const [outlooks, extended, watches, mesoscaleDiscussions] = await Promise.all([
+      stateCode ? Promise.all([1, 2, 3].map(async day => {
+        try {
+          const geojson = await fetchSpcOutlook(day, cache, ctx, skipCache);
+          // Highest-severity category containing the point
+          const hit = (geojson.features || [])
+            .filter(f => (f.properties?.DN ?? 0) >= 3 && pointInGeometry(lon, lat, f.geometry))
+            .sort((a, b) => b.properties.DN - a.properties.DN)[0];
+          if (!hit) return null;
+          const props = hit.properties;
+          const imageUrl = `https://www.spc.noaa.gov/partners/outlooks/state/images/${stateCode}_swody${day}.png`;
+
+          // Per-hazard breakdown (days 1-2 only; day 3 has a combined probability)
+          let hazards = null;
+          if (day <= 2) {
+            try {
+              hazards = await fetchSpcHazardsAtPoint(day, lat, lon, cache, ctx, skipCache);
+            } catch (e) {
+              console.error(`SPC day ${day} hazard outlook error:`, e);
+            }
+          }
+
+          return {
+            day,
+            label: props.LABEL,
+            label2: props.LABEL2,
+            fill: props.fill,
+            stroke: props.stroke,
+            issued: props.ISSUE_ISO,
+            valid: props.VALID_ISO,
+            expires: props.EXPIRE_ISO,
+            hazards,
+            image: `/api/spc/image?url=${encodeURIComponent(imageUrl)}`
+          };
+        } catch (e) {
+          console.error(`SPC day ${day} outlook error:`, e);
+          return null;
+        }
+      })) : [],
+      fetchSpcExtendedAtPoint(lat, lon, cache, ctx, skipCache),
+      fetchSpcWatchesAtPoint(lat, lon, cache, ctx, skipCache),
+      fetchSpcMdsAtPoint(lat, lon, cache, ctx, skipCache)
+    ]);
+
+    const days = outlooks.filter(Boolean);
+    return jsonResponse({
+      risk: days.length > 0,
+      state: stateCode || null,
+      days,
+      extended,
+      watches,
+      mesoscaleDiscussions
+    }, 200, cacheTTL, SPC_SWR_TTL);
+  } catch (e) {
+    console.error('SPC outlook error:', e);
+    return jsonResponse({ error: 'Failed to fetch SPC outlook' }, 500);
+  }
+}
+
+// Handle SPC outlook image proxy - caches and serves outlook graphics
+async function handleSpcImage(request, env, ctx) {
+  const url = new URL(request.url);
+  const imageUrl = url.searchParams.get('url');
+
+  if (!imageUrl) {
+    return jsonResponse({ error: 'Missing url parameter' }, 400);
+  }
+
+  // State graphics (days 1-3) and national day 4-8 graphics only
+  if (!imageUrl.startsWith('https://www.spc.noaa.gov/partners/outlooks/state/images/') &&
+      !imageUrl.startsWith('https://www.spc.noaa.gov/products/exper/day4-8/')) {
+    return jsonResponse({ error: 'Invalid SPC image URL' }, 400);
+  }
+
+  const cache = caches.default;
+  const cacheRequest = new Request(imageUrl);
+
+  const cached = await cache.match(cacheRequest);
+  if (cached) {
+    return new Response(cached.body, {
+      headers: {
+        'Content-Type': cached.headers.get('Content-Type') || 'image/png',
+        'Cache-Control': `public, max-age=${SPC_IMAGE_CACHE_TTL}`,
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+
+  try {
+    const response = await fetch(imageUrl, {
+      headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+    });
+
+    if (!response.ok) {
+      return jsonResponse({ error: 'Failed to fetch SPC image' }, 502);
+    }
+
+    const contentType = response.headers.get('Content-Type') || 'image/png';
+    const proxyResponse = new Response(response.body, {
+      headers: {
+        'Content-Type': contentType,
+        'Cache-Control': `public, max-age=${SPC_IMAGE_CACHE_TTL}`,
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+
+    ctx.waitUntil(cache.put(cacheRequest, proxyResponse.clone()));
+    return proxyResponse;
+  } catch (e) {
+    console.error('SPC image fetch error:', e);
+    return jsonResponse({ error: 'Failed to fetch SPC image' }, 500);
+  }
+}
+
+// WPC Excessive Rainfall Outlook categories, lowest first: chance of rainfall
+// exceeding flash flood guidance within 25 miles of a point
+const ERO_CATEGORIES = [
+  { key: 'MRGL', match: /\b(marginal|mrgl)\b/i, label: 'Marginal', probability: 5, fill: '#6fbf6f', description: 'Isolated flash flooding possible' },
+  { key: 'SLGT', match: /\b(slight|slgt)\b/i, label: 'Slight', probability: 15, fill: '#f2e35c', description: 'Scattered flash flooding possible' },
+  { key: 'MDT', match: /\b(moderate|mdt)\b/i, label: 'Moderate', probability: 40, fill: '#e0463f', description: 'Numerous flash floods possible' },
+  { key: 'HIGH', match: /\bhigh\b/i, label: 'High', probability: 70, fill: '#c43ad0', description: 'Widespread flash flooding expected' }
+];
+
+// National ERO graphics for days 1-3
+const ERO_IMAGES = {
+  1: 'https://www.wpc.ncep.noaa.gov/qpf/94ewbg.gif',
+  2: 'https://www.wpc.ncep.noaa.gov/qpf/98ewbg.gif',
+  3: 'https://www.wpc.ncep.noaa.gov/qpf/99ewbg.gif'
+};
+
+// Index into ERO_CATEGORIES for an outlook feature (-1 when unrecognized)
+// The category name lives in OUTLOOK (e.g. "Slight (At Least 15%)"); older
+// files use CATEGORY/LABEL
+function getEroCategoryIndex(props) {
+  const text = [props?.OUTLOOK, props?.outlook, props?.CATEGORY, props?.category, props?.LABEL]
+    .filter(value => typeof value === 'string')
+    .join(' ');
+  for (let i = ERO_CATEGORIES.length - 1; i >= 0; i--) {
+    if (ERO_CATEGORIES[i].match.test(text)) return i;
+  }
+  return -1;
+}
+
+// Fetch the latest WPC Excessive Rainfall Outlook GeoJSON for a day (1-3), with caching
+async function fetchEroOutlook(day, cache, ctx, skipCache = false) {
+  return fetchCachedGeoJson(
+    `ero-outlook:day${day}`,
+    `https://www.wpc.ncep.noaa.gov/exper/eromap/geojson/Day${day}_Latest.geojson`,
+    ERO_OUTLOOK_CACHE_TTL, cache, ctx, skipCache
+  );
+}
+
+// Handle WPC Excessive Rainfall Outlook API - returns the flash flood risk
+// category for days 1-3 when the point sits inside a Marginal or higher area
+async function handleEro(request, env, ctx) {
+  const url = new URL(request.url);
+  const lat = parseFloat(url.searchParams.get('lat'));
+  const lon = parseFloat(url.searchParams.get('lon'));
+  const skipCache = shouldSkipCache(request);
+  const cacheTTL = skipCache ? 'no-store' : ERO_CACHE_TTL;
+
+  if (isNaN(lat) || isNaN(lon)) {
+    return jsonResponse({ error: 'Invalid lat/lon parameters' }, 400);
+  }
+
+  const cache = caches.default;
+
+  try {
+    const outlooks = await Promise.all([1, 2, 3].map(async day => {
+      try {
+        const geojson = await fetchEroOutlook(day, cache, ctx, skipCache);
+        // Highest category containing the point
+        const index = Math.max(-1, ...(geojson.features || [])
+          .filter(f => pointInGeometry(lon, lat, f.geometry))
+          .map(f => getEroCategoryIndex(f.properties)));
+        if (index < 0) return null;
+        const { key, label, probability, fill, description } = ERO_CATEGORIES[index];
+        return {
+          day,
+          category: key,
+          level: index + 1,
+          label,
+          probability,
+          fill,
+          description,
+          image: `/api/ero/image?url=${encodeURIComponent(ERO_IMAGES[day])}`
+        };
+      } catch (e) {
+        console.error(`ERO day ${day} outlook error:`, e);
+        return null;
+      }
+    }));
+
+    const days = outlooks.filter(Boolean);
+    return jsonResponse({ risk: days.length > 0, days }, 200, cacheTTL, ERO_SWR_TTL);
   } catch (e) {
-    console.error('Weather story fetch error:', e);
-    return jsonResponse({ error: 'Failed to fetch weather story', details: e.message }, 500);
+    console.error('ERO outlook error:', e);
+    return jsonResponse({ error: 'Failed to fetch excessive rainfall outlook' }, 500);
   }
 }
 
-// Handle weather story image proxy - caches and serves wxstory images
-async function handleWxStoryImage(request, env, ctx) {
+// Handle WPC excessive rainfall outlook image proxy - caches and serves the national graphics
+async function handleEroImage(request, env, ctx) {
   const url = new URL(request.url);
   const imageUrl = url.searchParams.get('url');
 
@@ -1535,21 +3765,19 @@ async function handleWxStoryImage(request, env, ctx) {
     return jsonResponse({ error: 'Missing url parameter' }, 400);
   }
 
-  // Validate URL is from weather.gov and contains wxstory
-  if (!imageUrl.startsWith('https://www.weather.gov/') || !imageUrl.toLowerCase().includes('wxstory')) {
-    return jsonResponse({ error: 'Invalid wxstory image URL' }, 400);
+  if (!Object.values(ERO_IMAGES).includes(imageUrl)) {
+    return jsonResponse({ error: 'Invalid ERO image URL' }, 400);
   }
 
   const cache = caches.default;
   const cacheRequest = new Request(imageUrl);
 
-  // Check cache
   const cached = await cache.match(cacheRequest);
   if (cached) {
     return new Response(cached.body, {
       headers: {
-        'Content-Type': cached.headers.get('Content-Type') || 'image/png',
-        'Cache-Control': `public, max-age=${WXSTORY_IMAGE_CACHE_TTL}`,
+        'Content-Type': cached.headers.get('Content-Type') || 'image/gif',
+        'Cache-Control': `public, max-age=${ERO_IMAGE_CACHE_TTL}`,
         'Access-Control-Allow-Origin': '*'
       }
     });
@@ -1561,14 +3789,14 @@ async function handleWxStoryImage(request, env, ctx) {
     });
 
     if (!response.ok) {
-      return jsonResponse({ error: 'Failed to fetch wxstory image' }, 502);
+      return jsonResponse({ error: 'Failed to fetch ERO image' }, 502);
     }
 
-    const contentType = response.headers.get('Content-Type') || 'image/png';
+    const contentType = response.headers.get('Content-Type') || 'image/gif';
     const proxyResponse = new Response(response.body, {
       headers: {
         'Content-Type': contentType,
-        'Cache-Control': `public, max-age=${WXSTORY_IMAGE_CACHE_TTL}`,
+        'Cache-Control': `public, max-age=${ERO_IMAGE_CACHE_TTL}`,
         'Access-Control-Allow-Origin': '*'
       }
     });
@@ -1576,74 +3804,143 @@ async function handleWxStoryImage(request, env, ctx) {
     ctx.waitUntil(cache.put(cacheRequest, proxyResponse.clone()));
     return proxyResponse;
   } catch (e) {
-    console.error('WxStory image fetch error:', e);
-    return jsonResponse({ error: 'Failed to fetch wxstory image' }, 500);
+    console.error('ERO image fetch error:', e);
+    return jsonResponse({ error: 'Failed to fetch ERO image' }, 500);
   }
 }
 
-// Ray-casting point-in-ring test (GeoJSON positions are [lon, lat])
-function pointInRing(lon, lat, ring) {
-  let inside = false;
-  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-    const [xi, yi] = ring[i];
-    const [xj, yj] = ring[j];
-    if (((yi > lat) !== (yj > lat)) && (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
-      inside = !inside;
-    }
-  }
-  return inside;
-}
+// NHC active storms, and the tropical MapServer holding each storm's forecast
+// cone, track and points (one group of layers per storm slot, e.g. AT1, EP2)
+const NHC_CURRENT_STORMS_URL = 'https://www.nhc.noaa.gov/CurrentStorms.json';
+const NHC_MAPSERVER_URL = 'https://mapservices.weather.noaa.gov/tropical/rest/services/tropical/NHC_tropical_weather/MapServer';
+const NHC_NEARBY_KM = 500; // storms passing this close count even when the cone misses
+
+const NHC_CLASSIFICATIONS = {
+  HU: 'Hurricane',
+  TS: 'Tropical Storm',
+  TD: 'Tropical Depression',
+  STS: 'Subtropical Storm',
+  STD: 'Subtropical Depression',
+  PTC: 'Potential Tropical Cyclone',
+  PC: 'Post-Tropical Cyclone',
+  TY: 'Typhoon'
+};
 
-// Point-in-geometry test for GeoJSON Polygon/MultiPolygon (outer ring minus holes)
-function pointInGeometry(lon, lat, geometry) {
-  if (!geometry) return false;
-  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
-    : geometry.type === 'MultiPolygon' ? geometry.coordinates
-    : [];
-  return polygons.some(rings =>
-    pointInRing(lon, lat, rings[0]) && !rings.slice(1).some(hole => pointInRing(lon, lat, hole))
-  );
+// Great-circle distance between two points in km
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
 }
 
-// Fetch the latest SPC categorical convective outlook GeoJSON for a day (1-3), with caching
-async function fetchSpcOutlook(day, cache, ctx, skipCache = false) {
-  const cacheRequest = new Request(`https://weather.gripe/api/spc-cache/spc-outlook:day${day}`);
-
-  if (skipCache) {
-    ctx.waitUntil(cache.delete(cacheRequest));
-  } else {
-    const cached = await cache.match(cacheRequest);
-    if (cached) {
-      return cached.json();
-    }
-  }
-
-  const response = await fetch(`https://www.spc.noaa.gov/products/outlook/day${day}otlk_cat.lyr.geojson`, {
-    headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
-  });
-  if (!response.ok) {
-    throw new Error(`SPC outlook API error: ${response.status}`);
-  }
+// Read an NHC feature property (shapefile fields are upper case; the MapServer may lower-case them)
+function getNhcProp(props, key) {
+  return props?.[key] ?? props?.[key.toLowerCase()];
+}
 
-  const data = await response.json();
+// Forecast point valid time ("DD/HHMM" UTC) as ISO, in the advisory's month
+// or the next one when the forecast crosses a month boundary
+function parseNhcValidTime(validTime, issued) {
+  const match = /^(\d{2})\/(\d{2})(\d{2})$/.exec(validTime || '');
+  const base = new Date(issued);
+  if (!match || isNaN(base)) return null;
+  const date = new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), +match[1], +match[2], +match[3]));
+  if (date < base - 24 * 60 * 60 * 1000) date.setUTCMonth(date.getUTCMonth() + 1);
+  return date.toISOString();
+}
 
-  const cacheResponse = new Response(JSON.stringify(data), {
-    headers: { 'Cache-Control': `public, max-age=${SPC_OUTLOOK_CACHE_TTL}` }
-  });
-  ctx.waitUntil(cache.put(cacheRequest, cacheResponse));
+// Find a storm slot's forecast cone/track/points layer ids in the MapServer
+// Leaf layers carry the slot in their own name or their group's (e.g. "AT1 Forecast Cone")
+async function fetchNhcLayerIds(binNumber, cache, ctx, skipCache) {
+  const service = await fetchCachedGeoJson('nhc-layers', `${NHC_MAPSERVER_URL}?f=json`, NHC_LAYERS_CACHE_TTL, cache, ctx, skipCache);
+  const layers = service.layers || [];
+  const groupNames = new Map(layers.map(layer => [layer.id, layer.name || '']));
+  const find = (name) => layers.find(layer =>
+    !layer.subLayerIds?.length &&
+    layer.name?.includes(name) &&
+    (layer.name.includes(binNumber) || groupNames.get(layer.parentLayerId)?.includes(binNumber))
+  )?.id ?? null;
+  return { cone: find('Forecast Cone'), track: find('Forecast Track'), points: find('Forecast Points') };
+}
 
-  return data;
+// Build a storm's forecast (cone, track, points) and decide whether it
+// threatens the point: inside the cone, or the center or a forecast point
+// within NHC_NEARBY_KM. Returns null otherwise.
+async function fetchNhcStormAtPoint(storm, lat, lon, cache, ctx, skipCache) {
+  const advisory = storm.publicAdvisory?.advNum || storm.forecastTrack?.advNum || '';
+  const issued = storm.publicAdvisory?.issuance || storm.lastUpdate || null;
+  const layerIds = storm.binNumber ? await fetchNhcLayerIds(storm.binNumber, cache, ctx, skipCache) : {};
+  const fetchLayer = (key) => layerIds[key] == null ? null : fetchCachedGeoJson(
+    `nhc-${storm.binNumber}-${key}:${advisory}`,
+    `${NHC_MAPSERVER_URL}/${layerIds[key]}/query?where=1%3D1&outFields=*&f=geojson`,
+    NHC_FORECAST_CACHE_TTL, cache, ctx, skipCache
+  );
+  const [coneGeojson, trackGeojson, pointsGeojson] = await Promise.all(['cone', 'track', 'points'].map(fetchLayer));
+
+  const cone = (coneGeojson?.features || []).find(f => f.geometry?.type === 'Polygon' || f.geometry?.type === 'MultiPolygon')?.geometry || null;
+  const track = (trackGeojson?.features || []).find(f => f.geometry?.type === 'LineString' || f.geometry?.type === 'MultiLineString')?.geometry || null;
+  const points = (pointsGeojson?.features || [])
+    .filter(f => f.geometry?.type === 'Point')
+    .map(f => {
+      const props = f.properties || {};
+      const [pointLon, pointLat] = f.geometry.coordinates;
+      const maxWind = parseFloat(getNhcProp(props, 'MAXWIND'));
+      return {
+        lat: pointLat,
+        lon: pointLon,
+        hour: parseInt(getNhcProp(props, 'TAU'), 10) || 0,
+        time: parseNhcValidTime(getNhcProp(props, 'VALIDTIME'), issued),
+        wind: Number.isFinite(maxWind) ? Math.round(maxWind * 1.852) : null, // kt -> km/h
+        development: getNhcProp(props, 'TCDVLP') || null
+      };
+    })
+    .sort((a, b) => a.hour - b.hour);
+
+  const centerLat = parseFloat(storm.latitudeNumeric);
+  const centerLon = parseFloat(storm.longitudeNumeric);
+  const distances = [[centerLat, centerLon], ...points.map(p => [p.lat, p.lon])]
+    .filter(([pLat, pLon]) => Number.isFinite(pLat) && Number.isFinite(pLon))
+    .map(([pLat, pLon]) => distanceKm(lat, lon, pLat, pLon));
+  const distance = distances.length > 0 ? Math.min(...distances) : null;
+  const inCone = pointInGeometry(lon, lat, cone);
+  if (!inCone && (distance == null || distance > NHC_NEARBY_KM)) return null;
+
+  const wind = parseFloat(storm.intensity);
+  const pressure = parseFloat(storm.pressure);
+  const movementSpeed = parseFloat(storm.movementSpeed);
+  return {
+    id: storm.id,
+    name: storm.name,
+    classification: storm.classification,
+    type: NHC_CLASSIFICATIONS[storm.classification] || 'Tropical Cyclone',
+    wind: Number.isFinite(wind) ? Math.round(wind * 1.852) : null, // kt -> km/h
+    pressure: Number.isFinite(pressure) ? pressure : null,
+    movement: Number.isFinite(movementSpeed)
+      ? { direction: parseFloat(storm.movementDir), speed: Math.round(movementSpeed * 1.60934) } // mph -> km/h
+      : null,
+    lat: Number.isFinite(centerLat) ? centerLat : null,
+    lon: Number.isFinite(centerLon) ? centerLon : null,
+    advisory,
+    issued,
+    url: storm.publicAdvisory?.url || null,
+    inCone,
+    distance: distance != null ? Math.round(distance) : null,
+    cone,
+    track,
+    points
+  };
 }
 
-// Handle SPC severe weather outlook API - returns state outlook graphics for
-// days 1-3 when the point sits inside a severe risk area. General thunderstorm
-// areas (TSTM, DN 2) don't count; severe risk starts at Marginal (DN 3).
-async function handleSpc(request, env, ctx) {
+// Handle NHC tropical cyclone API - returns active storms whose forecast cone
+// covers the point or whose center/forecast track passes nearby, closest first
+async function handleNhc(request, env, ctx) {
   const url = new URL(request.url);
   const lat = parseFloat(url.searchParams.get('lat'));
   const lon = parseFloat(url.searchParams.get('lon'));
   const skipCache = shouldSkipCache(request);
-  const cacheTTL = skipCache ? 'no-store' : SPC_CACHE_TTL;
+  const cacheTTL = skipCache ? 'no-store' : NHC_CACHE_TTL;
 
   if (isNaN(lat) || isNaN(lon)) {
     return jsonResponse({ error: 'Invalid lat/lon parameters' }, 400);
@@ -1652,102 +3949,87 @@ async function handleSpc(request, env, ctx) {
   const cache = caches.default;
 
   try {
-    // The state determines which pre-rendered SPC graphic to show
-    const location = await reverseGeocode(lat, lon, cache, ctx);
-    if (location.country_code !== 'us') {
-      return jsonResponse({ risk: false, days: [] }, 200, cacheTTL, SPC_SWR_TTL);
-    }
-    const stateName = location.region.split(',')[0]?.trim();
-    const stateCode = US_STATE_CODES[stateName];
-    if (!stateCode) {
-      return jsonResponse({ risk: false, days: [] }, 200, cacheTTL, SPC_SWR_TTL);
-    }
-
-    const outlooks = await Promise.all([1, 2, 3].map(async day => {
+    const current = await fetchCachedGeoJson('nhc-storms', NHC_CURRENT_STORMS_URL, NHC_STORMS_CACHE_TTL, cache, ctx, skipCache);
+    const storms = await Promise.all((current.activeStorms || []).map(async storm => {
       try {
-        const geojson = await fetchSpcOutlook(day, cache, ctx, skipCache);
-        // Highest-severity category containing the point
-        const hit = (geojson.features || [])
-          .filter(f => (f.properties?.DN ?? 0) >= 3 && pointInGeometry(lon, lat, f.geometry))
-          .sort((a, b) => b.properties.DN - a.properties.DN)[0];
-        if (!hit) return null;
-        const props = hit.properties;
-        const imageUrl = `https://www.spc.noaa.gov/partners/outlooks/state/images/${stateCode}_swody${day}.png`;
-        return {
-          day,
-          label: props.LABEL,
-          label2: props.LABEL2,
-          fill: props.fill,
-          stroke: props.stroke,
-          issued: props.ISSUE_ISO,
-          valid: props.VALID_ISO,
-          expires: props.EXPIRE_ISO,
-          image: `/api/spc/image?url=${encodeURIComponent(imageUrl)}`
-        };
+        return await fetchNhcStormAtPoint(storm, lat, lon, cache, ctx, skipCache);
       } catch (e) {
-        console.error(`SPC day ${day} outlook error:`, e);
+        console.error(`NHC ${storm.id} forecast error:`, e);
         return null;
       }
     }));
 
-    const days = outlooks.filter(Boolean);
-    return jsonResponse({ risk: days.length > 0, state: stateCode, days }, 200, cacheTTL, SPC_SWR_TTL);
+    const threats = storms.filter(Boolean).sort((a, b) =>
+      (b.inCone - a.inCone) || ((a.distance ?? Infinity) - (b.distance ?? Infinity))
+    );
+    return jsonResponse({ threat: threats.length > 0, storms: threats }, 200, cacheTTL, NHC_SWR_TTL);
   } catch (e) {
-    console.error('SPC outlook error:', e);
-    return jsonResponse({ error: 'Failed to fetch SPC outlook' }, 500);
+    console.error('NHC storms error:', e);
+    return jsonResponse({ error: 'Failed to fetch tropical cyclones' }, 500);
   }
 }
 
-// Handle SPC outlook image proxy - caches and serves state outlook graphics
-async function handleSpcImage(request, env, ctx) {
+// Handle air quality API - current AQI, pollutants and a 24-hour trend
+// coverage is false when the model has no AQI for the point (e.g. open ocean)
+async function handleAirQuality(request, env, ctx) {
   const url = new URL(request.url);
-  const imageUrl = url.searchParams.get('url');
+  const lat = parseFloat(url.searchParams.get('lat'));
+  const lon = parseFloat(url.searchParams.get('lon'));
+  const skipCache = shouldSkipCache(request);
+  const cacheTTL = skipCache ? 'no-store' : AIRQUALITY_CACHE_TTL;
 
-  if (!imageUrl) {
-    return jsonResponse({ error: 'Missing url parameter' }, 400);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return jsonResponse({ error: 'Invalid lat/lon parameters' }, 400);
   }
 
-  if (!imageUrl.startsWith('https://www.spc.noaa.gov/partners/outlooks/state/images/')) {
-    return jsonResponse({ error: 'Invalid SPC image URL' }, 400);
+  try {
+    // Pollen is served separately by /api/pollen
+    const { pollen, ...airQuality } = await fetchAirQuality(truncateCoord(lat), truncateCoord(lon), caches.default, ctx, skipCache);
+    const coverage = airQuality.current.usAqi != null || airQuality.current.europeanAqi != null;
+    return jsonResponse({ coverage, ...airQuality }, 200, cacheTTL, AIRQUALITY_SWR_TTL);
+  } catch (e) {
+    console.error('Air quality error:', e);
+    return jsonResponse({ error: 'Failed to fetch air quality' }, 500);
   }
+}
 
-  const cache = caches.default;
-  const cacheRequest = new Request(imageUrl);
+// Handle pollen API - 24-hour peak count and level per pollen type
+// Shares the cached air-quality fetch; present is true only when at least one
+// type reaches the Low level (mirrors SPC's risk flag)
+async function handlePollen(request, env, ctx) {
+  const url = new URL(request.url);
+  const lat = parseFloat(url.searchParams.get('lat'));
+  const lon = parseFloat(url.searchParams.get('lon'));
+  const skipCache = shouldSkipCache(request);
+  const cacheTTL = skipCache ? 'no-store' : AIRQUALITY_CACHE_TTL;
 
-  const cached = await cache.match(cacheRequest);
-  if (cached) {
-    return new Response(cached.body, {
-      headers: {
-        'Content-Type': cached.headers.get('Content-Type') || 'image/png',
-        'Cache-Control': `public, max-age=${SPC_IMAGE_CACHE_TTL}`,
-        'Access-Control-Allow-Origin': '*'
-      }
-    });
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return jsonResponse({ error: 'Invalid lat/lon parameters' }, 400);
   }
 
   try {
-    const response = await fetch(imageUrl, {
-      headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
-    });
-
-    if (!response.ok) {
-      return jsonResponse({ error: 'Failed to fetch SPC image' }, 502);
-    }
-
-    const contentType = response.headers.get('Content-Type') || 'image/png';
-    const proxyResponse = new Response(response.body, {
-      headers: {
-        'Content-Type': contentType,
-        'Cache-Control': `public, max-age=${SPC_IMAGE_CACHE_TTL}`,
-        'Access-Control-Allow-Origin': '*'
-      }
-    });
+    const { pollen, timezone } = await fetchAirQuality(truncateCoord(lat), truncateCoord(lon), caches.default, ctx, skipCache);
+
+    const types = POLLEN_TYPES.map(t => {
+      const series = pollen?.[t.key];
+      const values = [series?.current, ...(series?.hourly || [])].filter(v => v != null);
+      if (values.length === 0) return null;
+      const peak = Math.max(...values);
+      return {
+        key: t.key,
+        name: t.name,
+        current: series.current,
+        peak,
+        level: POLLEN_LEVELS[t.scale.filter(threshold => peak >= threshold).length]
+      };
+    }).filter(Boolean);
 
-    ctx.waitUntil(cache.put(cacheRequest, proxyResponse.clone()));
-    return proxyResponse;
+    const coverage = types.length > 0;
+    const present = types.some(t => t.level !== 'none');
+    return jsonResponse({ coverage, present, types, timezone }, 200, cacheTTL, AIRQUALITY_SWR_TTL);
   } catch (e) {
-    console.error('SPC image fetch error:', e);
-    return jsonResponse({ error: 'Failed to fetch SPC image' }, 500);
+    console.error('Pollen error:', e);
+    return jsonResponse({ error: 'Failed to fetch pollen' }, 500);
   }
 }
 
@@ -1761,30 +4043,27 @@ async function handleRadar(request, env, ctx) {
     return jsonResponse({ error: 'Invalid lat/lon parameters' }, 400);
   }
 
-  // Determine radar region
+  // Determine radar region (global composite outside NOAA coverage)
   const region = getRadarRegion(lat, lon);
+  const cache = caches.default;
   if (!region) {
-    return jsonResponse({
-      coverage: false,
-      error: 'Location outside NOAA radar coverage'
-    });
+    return handleGlobalRadar(lat, lon, cache, ctx);
   }
 
   const config = NOAA_RADAR_CONFIG[region];
-  const cache = caches.default;
 
-  // Check for cached timestamp
-  const timestampCacheKey = `radar-timestamp:${region}`;
+  // Check for cached loop times (all products for the region)
+  const timestampCacheKey = `radar-timestamps:${region}`;
   const timestampCacheUrl = `https://weather.gripe/api/radar-cache/${timestampCacheKey}`;
   const timestampCacheRequest = new Request(timestampCacheUrl);
 
-  let timestamp = null;
+  let productTimestamps = {};
   const cached = await cache.match(timestampCacheRequest);
   if (cached) {
     const data = await cached.json();
-    timestamp = data.timestamp;
+    productTimestamps = data.products;
   } else {
-    // Fetch GetCapabilities to get latest timestamp
+    // Fetch GetCapabilities once for every product's time dimension
     try {
       const capabilitiesUrl = `https://opengeo.ncep.noaa.gov/geoserver/${region}/wms?service=WMS&version=1.1.1&request=GetCapabilities`;
       const capResponse = await fetch(capabilitiesUrl, {
@@ -1792,43 +4071,173 @@ async function handleRadar(request, env, ctx) {
       });
       if (capResponse.ok) {
         const capText = await capResponse.text();
-        // Extract timestamp from capabilities (look for time dimension in the specific layer)
-        const layerRegex = new RegExp(`<Name>${region}:${config.layer}</Name>[\\s\\S]*?<Dimension[^>]*name="time"[^>]*>([^<]+)</Dimension>`, 'i');
-        const timeMatch = capText.match(layerRegex);
-        if (timeMatch) {
-          const times = timeMatch[1].split(',');
-          timestamp = times[times.length - 1].trim();
+        for (const [product, layer] of Object.entries(config.layers)) {
+          // Extract timestamps from capabilities (look for time dimension in the specific layer)
+          const layerRegex = new RegExp(`<Name>${region}:${layer}</Name>[\\s\\S]*?<Dimension[^>]*name="time"[^>]*>([^<]+)</Dimension>`, 'i');
+          const timeMatch = capText.match(layerRegex);
+          if (timeMatch) {
+            // Oldest first; keep the last N frames for the loop
+            const timestamps = timeMatch[1].split(',')
+              .map(t => t.trim())
+              .filter(Boolean)
+              .slice(-RADAR_FRAME_COUNT);
+            if (timestamps.length > 0) productTimestamps[product] = timestamps;
+          }
         }
       }
     } catch (e) {
       console.error('Failed to fetch radar capabilities:', e);
     }
 
-    // Cache timestamp for 1 minute
-    if (timestamp) {
-      const timestampResponse = new Response(JSON.stringify({ timestamp }), {
+    // Cache timestamps for 1 minute
+    if (Object.keys(productTimestamps).length > 0) {
+      const timestampResponse = new Response(JSON.stringify({ products: productTimestamps }), {
         headers: { 'Cache-Control': `public, max-age=${RADAR_TIMESTAMP_CACHE_TTL}` }
       });
       ctx.waitUntil(cache.put(timestampCacheRequest, timestampResponse));
     }
   }
 
+  // Products the client can toggle between (layer + loop times, oldest first)
+  const products = {};
+  for (const [product, layer] of Object.entries(config.layers)) {
+    if (productTimestamps[product]) products[product] = { layer, timestamps: productTimestamps[product] };
+  }
+
+  // Base reflectivity is the default product (timestamp/timestamps are its loop)
+  const product = products.reflectivity ? 'reflectivity' : (Object.keys(products)[0] || 'reflectivity');
+  const timestamps = products[product]?.timestamps || [];
+  const timestamp = timestamps[timestamps.length - 1] || null;
+
   // Calculate BBOX for this location
   const bbox = calculateRadarBbox(lat, lon);
   const bboxStr = `${bbox.minX},${bbox.minY},${bbox.maxX},${bbox.maxY}`;
 
   // Return radar metadata for client-side MapLibre rendering
-  // Client builds WMS URLs dynamically with {bbox-epsg-3857} placeholder
+  // Client builds WMS URLs dynamically with {bbox-epsg-3857} placeholder, one
+  // per loop frame (timestamps, oldest first; timestamp is the latest);
+  // product/timestamps are the default product's, products has all
   // Degraded (timestamp: null) responses must not be pinned in the front
   // cache — leave them uncacheable so recovery is immediate
   return jsonResponse({
     coverage: true,
     region,
+    product,
+    layer: config.layers[product],
     timestamp,
+    timestamps,
+    products,
     bbox: bboxStr
   }, 200, timestamp ? RADAR_TIMESTAMP_CACHE_TTL : null, RADAR_METADATA_SWR_TTL);
 }
 
+// Global radar metadata (RainViewer past frames) for locations outside NOAA coverage
+// Frames are RainViewer frame ids (the last path segment), oldest first
+async function handleGlobalRadar(lat, lon, cache, ctx) {
+  const timestampCacheRequest = new Request('https://weather.gripe/api/radar-cache/radar-timestamps:global');
+
+  let frames = [];
+  const cached = await cache.match(timestampCacheRequest);
+  if (cached) {
+    const data = await cached.json();
+    frames = data.frames;
+  } else {
+    try {
+      const mapsResponse = await fetch(GLOBAL_RADAR_MAPS_URL, {
+        headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+      });
+      if (mapsResponse.ok) {
+        const maps = await mapsResponse.json();
+        frames = (maps.radar?.past || [])
+          .filter(frame => frame.time && frame.path)
+          .slice(-RADAR_FRAME_COUNT)
+          .map(frame => ({
+            id: frame.path.split('/').pop(),
+            time: new Date(frame.time * 1000).toISOString()
+          }));
+      }
+    } catch (e) {
+      console.error('Failed to fetch global radar frames:', e);
+    }
+
+    // Cache frames for 1 minute
+    if (frames.length > 0) {
+      const timestampResponse = new Response(JSON.stringify({ frames }), {
+        headers: { 'Cache-Control': `public, max-age=${RADAR_TIMESTAMP_CACHE_TTL}` }
+      });
+      ctx.waitUntil(cache.put(timestampCacheRequest, timestampResponse));
+    }
+  }
+
+  if (frames.length === 0) {
+    return jsonResponse({
+      coverage: false,
+      error: 'Global radar unavailable'
+    });
+  }
+
+  const bbox = calculateRadarBbox(lat, lon);
+  return jsonResponse({
+    coverage: true,
+    region: 'global',
+    source: 'rainviewer',
+    timestamp: frames[frames.length - 1].time,
+    timestamps: frames.map(frame => frame.time),
+    frames: frames.map(frame => frame.id),
+    maxZoom: GLOBAL_RADAR_MAX_ZOOM,
+    bbox: `${bbox.minX},${bbox.minY},${bbox.maxX},${bbox.maxY}`
+  }, 200, RADAR_TIMESTAMP_CACHE_TTL, RADAR_METADATA_SWR_TTL);
+}
+
+// Handle global radar tile proxy - proxies RainViewer XYZ tiles
+// Accepts frame, z, x, y params and constructs the tile URL server-side
+async function handleGlobalRadarTile(request, env) {
+  const url = new URL(request.url);
+  const frame = url.searchParams.get('frame');
+  const z = parseInt(url.searchParams.get('z'), 10);
+  const x = parseInt(url.searchParams.get('x'), 10);
+  const y = parseInt(url.searchParams.get('y'), 10);
+
+  if (!frame || !Number.isInteger(z) || !Number.isInteger(x) || !Number.isInteger(y)) {
+    return jsonResponse({ error: 'Missing required parameters (frame, z, x, y)' }, 400);
+  }
+
+  // Frame ids are timestamps or hex hashes - never a path
+  if (!/^[0-9a-z]+$/i.test(frame)) {
+    return jsonResponse({ error: 'Invalid radar frame' }, 400);
+  }
+
+  // Validate tile coordinates against the zoom level
+  const tileCount = 2 ** z;
+  if (z < 0 || z > GLOBAL_RADAR_MAX_ZOOM || x < 0 || x >= tileCount || y < 0 || y >= tileCount) {
+    return jsonResponse({ error: 'Invalid tile coordinates' }, 400);
+  }
+
+  const tileUrl = `${GLOBAL_RADAR_TILE_HOST}/v2/radar/${frame}/256/${z}/${x}/${y}/${GLOBAL_RADAR_COLOR_SCHEME}/1_1.png`;
+
+  // Tile responses are cached by the front Workers Cache (keyed by request URL)
+  try {
+    const response = await fetch(tileUrl, {
+      headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+    });
+
+    if (!response.ok) {
+      return jsonResponse({ error: 'Failed to fetch radar tile' }, 502);
+    }
+
+    return new Response(response.body, {
+      headers: {
+        'Content-Type': response.headers.get('Content-Type') || 'image/png',
+        'Cache-Control': `public, max-age=${RADAR_TILE_CACHE_TTL}`,
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  } catch (e) {
+    console.error('Global radar tile fetch error:', e);
+    return jsonResponse({ error: 'Failed to fetch radar tile' }, 500);
+  }
+}
+
 // Handle radar tile proxy - proxies NOAA radar tiles to handle CORS
 // Accepts region, layer, time, bbox params and constructs WMS URL server-side
 async function handleRadarTile(request, env) {
@@ -1849,8 +4258,8 @@ async function handleRadarTile(request, env) {
     return jsonResponse({ error: 'Invalid radar region' }, 400);
   }
 
-  // Validate layer matches the configured layer for this region
-  if (layer !== NOAA_RADAR_CONFIG[region].layer) {
+  // Validate layer matches a configured product layer for this region
+  if (!Object.values(NOAA_RADAR_CONFIG[region].layers).includes(layer)) {
     return jsonResponse({ error: 'Invalid layer for region' }, 400);
   }
 
@@ -1896,6 +4305,63 @@ async function handleRadarTile(request, env) {
   }
 }
 
+// Handle radar legend proxy - the geoserver's own GetLegendGraphic for a
+// product layer, so legends always match the layer's style
+// format=json returns the style's color map (GeoServer JSON legend) instead of a PNG
+async function handleRadarLegend(request, env) {
+  const url = new URL(request.url);
+  const region = url.searchParams.get('region');
+  const layer = url.searchParams.get('layer');
+  const format = url.searchParams.get('format') || 'png';
+
+  if (!region || !layer) {
+    return jsonResponse({ error: 'Missing required parameters (region, layer)' }, 400);
+  }
+  if (!NOAA_RADAR_CONFIG[region]) {
+    return jsonResponse({ error: 'Invalid radar region' }, 400);
+  }
+  if (!Object.values(NOAA_RADAR_CONFIG[region].layers).includes(layer)) {
+    return jsonResponse({ error: 'Invalid layer for region' }, 400);
+  }
+  if (format !== 'png' && format !== 'json') {
+    return jsonResponse({ error: 'Invalid format (png or json)' }, 400);
+  }
+  const contentType = format === 'json' ? 'application/json' : 'image/png';
+
+  const legendParams = new URLSearchParams({
+    service: 'WMS',
+    version: '1.1.1',
+    request: 'GetLegendGraphic',
+    layer,
+    format: contentType,
+    transparent: 'true',
+    legend_options: 'fontAntiAliasing:true'
+  });
+  const legendUrl = `https://opengeo.ncep.noaa.gov/geoserver/${region}/${layer}/ows?${legendParams.toString()}`;
+
+  try {
+    const response = await fetch(legendUrl, {
+      headers: { 'User-Agent': 'weather.gripe (https://weather.gripe)' }
+    });
+
+    // GeoServer reports errors as 200 XML service exceptions
+    if (!response.ok || !(response.headers.get('Content-Type') || '').startsWith(format === 'json' ? 'application/json' : 'image/')) {
+      return jsonResponse({ error: 'Failed to fetch radar legend' }, 502);
+    }
+
+    return new Response(response.body, {
+      headers: {
+        'Content-Type': response.headers.get('Content-Type'),
+        'Cache-Control': `public, max-age=${RADAR_LEGEND_CACHE_TTL}`,
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  } catch (e) {
+    console.error('Radar legend fetch error:', e);
+    return jsonResponse({ error: 'Failed to fetch radar legend' }, 500);
+  }
+}
+
 // Handle satellite API - returns satellite imagery metadata for a location
 async function handleSatellite(request, env, ctx) {
   const url = new URL(request.url);
@@ -1916,29 +4382,21 @@ async function handleSatellite(request, env, ctx) {
   }
 
   const config = NOAA_SATELLITE_CONFIG[region];
-
-  // Pick band by sun position at the location: visible imagery is black at
-  // night, so switch to longwave infrared when the sun is below ~10 degrees
-  const sunAltitude = SunCalc.getPosition(new Date(), lat, lon).altitude;
-  const band = sunAltitude > (10 * Math.PI / 180) ? 'visible' : 'infrared';
-  const layer = config.layers[band];
-
   const cache = caches.default;
 
-  // Check for cached timestamp
-  const timestampCacheKey = `satellite-timestamp:${layer}`;
+  // Check for cached loop times (all bands for the region)
+  const timestampCacheKey = `satellite-timestamps:${region}`;
   const timestampCacheUrl = `https://weather.gripe/api/satellite-cache/${timestampCacheKey}`;
   const timestampCacheRequest = new Request(timestampCacheUrl);
 
-  let timestamp = null;
+  let bandTimestamps = {};
   const cached = await cache.match(timestampCacheRequest);
   if (cached) {
     const data = await cached.json();
-    timestamp = data.timestamp;
+    bandTimestamps = data.bands;
   } else {
-    // Fetch GetCapabilities to get latest timestamp
+    // Fetch GetCapabilities once for every band's time dimension
     // nowCOAST's WMS 1.1.1 capabilities list times in <Extent name="time">
-    // with the latest as the default attribute
     try {
       const capabilitiesUrl = 'https://nowcoast.noaa.gov/geoserver/satellite/wms?service=WMS&version=1.1.1&request=GetCapabilities';
       const capResponse = await fetch(capabilitiesUrl, {
@@ -1946,31 +4404,51 @@ async function handleSatellite(request, env, ctx) {
       });
       if (capResponse.ok) {
         const capText = await capResponse.text();
-        const layerRegex = new RegExp(`<Name>(?:satellite:)?${layer}</Name>[\\s\\S]*?<Extent[^>]*name="time"[^>]*default="([^"]+)"`, 'i');
-        const timeMatch = capText.match(layerRegex);
-        if (timeMatch) {
-          timestamp = timeMatch[1].trim();
+        for (const [band, layer] of Object.entries(config.layers)) {
+          const layerRegex = new RegExp(`<Name>(?:satellite:)?${layer}</Name>[\\s\\S]*?<Extent[^>]*name="time"[^>]*>([^<]+)</Extent>`, 'i');
+          const timeMatch = capText.match(layerRegex);
+          if (timeMatch) {
+            const timestamps = getWmsLoopTimes(timeMatch[1], SATELLITE_LOOP_MINUTES, SATELLITE_FRAME_COUNT);
+            if (timestamps.length > 0) bandTimestamps[band] = timestamps;
+          }
         }
       }
     } catch (e) {
       console.error('Failed to fetch satellite capabilities:', e);
     }
 
-    // Cache timestamp
-    if (timestamp) {
-      const timestampResponse = new Response(JSON.stringify({ timestamp }), {
+    // Cache loop times
+    if (Object.keys(bandTimestamps).length > 0) {
+      const timestampResponse = new Response(JSON.stringify({ bands: bandTimestamps }), {
         headers: { 'Cache-Control': `public, max-age=${SATELLITE_TIMESTAMP_CACHE_TTL}` }
       });
       ctx.waitUntil(cache.put(timestampCacheRequest, timestampResponse));
     }
   }
 
+  // Bands the client can toggle between (layer + loop times, oldest first)
+  const bands = {};
+  for (const [band, layer] of Object.entries(config.layers)) {
+    if (bandTimestamps[band]) bands[band] = { layer, timestamps: bandTimestamps[band] };
+  }
+
+  // Pick default band by sun position at the location: visible imagery is black
+  // at night, so switch to longwave infrared when the sun is below ~10 degrees
+  // (or whichever band the capabilities actually list)
+  const sunAltitude = SunCalc.getPosition(new Date(), lat, lon).altitude;
+  const preferredBand = sunAltitude > (10 * Math.PI / 180) ? 'visible' : 'infrared';
+  const band = bands[preferredBand] ? preferredBand : (Object.keys(bands)[0] || preferredBand);
+  const layer = config.layers[band];
+  const timestamps = bands[band]?.timestamps || [];
+  const timestamp = timestamps[timestamps.length - 1] || null;
+
   // Calculate BBOX for this location
   const bbox = calculateSatelliteBbox(lat, lon);
   const bboxStr = `${bbox.minX},${bbox.minY},${bbox.maxX},${bbox.maxY}`;
 
   // Return satellite metadata for client-side MapLibre rendering
-  // Client builds WMS URLs dynamically with {bbox-epsg-3857} placeholder
+  // Client builds WMS URLs dynamically with {bbox-epsg-3857} placeholder, one
+  // per loop frame; band/layer/timestamps are the default band's, bands has all
   // Degraded (timestamp: null) responses must not be pinned in the front
   // cache — leave them uncacheable so recovery is immediate
   return jsonResponse({
@@ -1979,6 +4457,8 @@ async function handleSatellite(request, env, ctx) {
     band,
     layer,
     timestamp,
+    timestamps,
+    bands,
     bbox: bboxStr
   }, 200, timestamp ? SATELLITE_TIMESTAMP_CACHE_TTL : null, SATELLITE_METADATA_SWR_TTL);
 }
@@ -2111,12 +4591,30 @@ export default {
     if (path === '/api/wxstory/image') {
       return handleWxStoryImage(request, env, ctx);
     }
+    if (path === '/api/afd') {
+      return handleAfd(request, env);
+    }
     if (path === '/api/spc') {
       return handleSpc(request, env, ctx);
     }
     if (path === '/api/spc/image') {
       return handleSpcImage(request, env, ctx);
     }
+    if (path === '/api/ero') {
+      return handleEro(request, env, ctx);
+    }
+    if (path === '/api/ero/image') {
+      return handleEroImage(request, env, ctx);
+    }
+    if (path === '/api/nhc') {
+      return handleNhc(request, env, ctx);
+    }
+    if (path === '/api/airquality') {
+      return handleAirQuality(request, env, ctx);
+    }
+    if (path === '/api/pollen') {
+      return handlePollen(request, env, ctx);
+    }
     if (path === '/api/cf-location') {
       return handleCfLocation(request);
     }
@@ -2126,6 +4624,12 @@ export default {
     if (path === '/api/radar/tile') {
       return handleRadarTile(request, env);
     }
+    if (path === '/api/radar/legend') {
+      return handleRadarLegend(request, env);
+    }
+    if (path === '/api/radar/global-tile') {
+      return handleGlobalRadarTile(request, env);
+    }
     if (path === '/api/satellite') {
       return handleSatellite(request, env, ctx);
     }